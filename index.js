@@ -1,3 +1,4 @@
 'use strict';
 
 module.exports = require('./lib/shepherd.js');
+module.exports.storage = require('./lib/components/storage.js');    // { ObjectBoxStorage, MemoryStorage, JsonLinesStorage }
@@ -16,6 +16,9 @@ var zcl = require('./zcl'),
     Coordpoint = require('../model/coordpoint'),
     seqNumber = 0,
     rebornDevs = {},  // { nwkAddr: [ { type, msg } ], ... };
+    OTA_CID = 0x0019,
+    GP_CID = 0x0021,
+    GP_EPID = 242,
 	debug = require('debug')("zigbee-shepherd:af");
 
 var af = {
@@ -44,20 +47,14 @@ function format_af_error(errText, statusCode){
 af.send = function (srcEp, dstEp, cId, rawPayload, opt, callback) {
     // srcEp maybe a local app ep, or a remote ep
     var deferred = Q.defer(),
-        controller = af.controller,
-        shepherd = controller.getShepherd(),
-        coordinator,
-        areq = af.areq,
-        areqTimeout,
-        profId = srcEp.getProfId(),
-        afParams,
-        afEventCnf,
-        apsAck = false,
-        senderEp;
+        areqTimeout;
 
     if (!((srcEp instanceof Endpoint) || (srcEp instanceof Coordpoint)))
         throw new TypeError('srcEp should be an instance of Endpoint class.');
 
+    if (!((dstEp instanceof Endpoint) || (dstEp instanceof Coordpoint)))
+        throw new TypeError('dstEp should be an instance of Endpoint class.');
+
     if (_.isString(cId)) {
         var cIdItem = zclId.cluster(cId);
         if (_.isUndefined(cIdItem)) {
@@ -78,93 +75,36 @@ af.send = function (srcEp, dstEp, cId, rawPayload, opt, callback) {
 
     opt = opt || {};
 
-    if (opt.hasOwnProperty('timeout'))
-        proving.number(opt.timeout, 'opt.timeout should be a number.');
-
-    areqTimeout = opt.hasOwnProperty('timeout') ? opt.timeout : af.indirectTimeout;
-
-    coordinator = controller.getCoord()
-
-    if(!coordinator)
-        return Q.reject("Coordinator is manditory").nodeify(callback)
-
-    senderEp = srcEp.isLocal() ? srcEp : coordinator.getDelegator(profId);
-
-    if (!senderEp)
-        senderEp = srcEp.isLocal() ? srcEp : coordinator.getDelegator(0x0104);
-
-    // if (!senderEp) {
-    //     // only occurs if srcEp is a remote one
-    //     deferred.reject(new Error('Profile: ' + profId + ' is not supported at this moment.'));
-    //     return deferred.promise.nodeify(callback);
-    // }
+    // checked here since the request itself may be sent later by the scheduler
+    proving.number(cId, 'cId should be a number.');
 
-    afParams = makeAfParams(senderEp, dstEp, cId, rawPayload, opt);
-    afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParams.transid;
-    apsAck = afParams.options & ZSC.AF.options.ACK_REQUEST;
+    if (opt.hasOwnProperty('options'))
+        proving.number(opt.options, 'opt.options should be a number.');
 
-    var search = 0
-    while (areq.isEventPending(afEventCnf) && search++ < af.maxTransactions) {
-        afParams.transid = controller.nextTransId();
-        afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParams.transid;
-    }
-    if(search == af.maxTransactions){
-        return Q.reject("Too many transactions pending").nodeify(callback)
-    }
+    if (opt.hasOwnProperty('radius'))
+        proving.number(opt.radius, 'opt.radius should be a number.');
 
-    var indirecter, lastError
+    if (opt.hasOwnProperty('timeout'))
+        proving.number(opt.timeout, 'opt.timeout should be a number.');
 
-    areq.register(afEventCnf, deferred, function (cnf) {
-        var errText = 'AF:dataRequest fails, status code: ';
+    if (opt.hasOwnProperty('expiry'))
+        proving.number(opt.expiry, 'opt.expiry should be a number.');
 
-        if (cnf.status === 0 || cnf.status === 'SUCCESS') {  // success
-            indirecter.done()
-            if(shepherd){
-                shepherd.emit('ind:dataConfirm', dstEp, afParams);
-            }
-            areq.resolve(afEventCnf, cnf);
-        } else {
-            lastError = new Error(format_af_error(errText, cnf.status))
-            
-            if(cnf.status == 183 || cnf.status == 240 || cnf.status == 205){
-                indirecter.handleTimeout()
-            } else if(cnf.status != 205){
-                areq.reject(afEventCnf, lastError)
-            }
-        }
-    }, areqTimeout, false);
-    
-    indirecter = controller._indirect_send(dstEp.getNwkAddr(), function _sendBasic(){
-        controller.request('AF', 'dataRequest', afParams).then(function (rsp) {
-            areq.setTimeout(afEventCnf, areqTimeout)
-            if (rsp.status !== 0 && rsp.status !== 'SUCCESS' )  // unsuccessful
-                areq.reject(afEventCnf, new Error('AF:dataRequest failed, status code: ' + rsp.status + '.'));
-            else if (!apsAck)
-                areq.resolve(afEventCnf, rsp);
-        }).fail(function (err) {
-            areq.reject(afEventCnf, err);
-        }).done()
-    }, deferred.promise)
+    areqTimeout = opt.hasOwnProperty('timeout') ? opt.timeout : af.indirectTimeout;
 
-    return deferred.promise.finally(function(){
-        indirecter.done()
-    }).catch(function(e){
-        if(e.code == 'ETIMEDOUT' && lastError){
-            throw lastError
-        }
-        throw e
+    // opt.lane: 'user' (default) or 'interview', see components/scheduler.js
+    // opt.queue, opt.expiry and opt.coalesce: messages to sleepy devices, see components/sleepy_queue.js
+    return whenAwake(dstEp, opt, function (holdTime) {
+        return af.controller.scheduler.schedule(function () {
+            return sendNow(srcEp, dstEp, cId, rawPayload, opt, areqTimeout, holdTime);
+        }, { key: dstEp.getIeeeAddr(), lane: opt.lane });
     }).nodeify(callback);
 };
 
 af.sendExt = function (srcEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, callback) {
     // srcEp must be a local ep
     var deferred = Q.defer(),
-        controller = af.controller,
-        areq = af.areq,
         areqTimeout,
-        afParamsExt,
-        afEventCnf,
-        apsAck = false,
         senderEp = srcEp;
 
     if (!((srcEp instanceof Endpoint) || (srcEp instanceof Coordpoint)))
@@ -197,6 +137,15 @@ af.sendExt = function (srcEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, ca
 
     opt = opt || {};
 
+    // checked here since the request itself may be sent later by the scheduler
+    proving.number(cId, 'cId should be a number.');
+
+    if (opt.hasOwnProperty('options'))
+        proving.number(opt.options, 'opt.options should be a number.');
+
+    if (opt.hasOwnProperty('radius'))
+        proving.number(opt.radius, 'opt.radius should be a number.');
+
     if (opt.hasOwnProperty('timeout'))
         proving.number(opt.timeout, 'opt.timeout should be a number.');
 
@@ -207,78 +156,9 @@ af.sendExt = function (srcEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, ca
         return deferred.promise.nodeify(callback);
     }
 
-    afParamsExt = makeAfParamsExt(senderEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt);
-
-    if (!afParamsExt) {
-        deferred.reject(new Error('Unknown address mode. Cannot send.'));
-        return deferred.promise.nodeify(callback);
-    }
-
-    var indirecter, lastError
-
-    if (addrMode === ZSC.AF.addressMode.ADDR_GROUP || addrMode === ZSC.AF.addressMode.ADDR_BROADCAST) {
-        // no ack
-        indirecter = controller._indirect_send(dstAddrOrGrpId, function _sendExt(){
-            controller.request('AF', 'dataRequestExt', afParamsExt).then(function (rsp) {
-                indirecter.done()
-                if (rsp.status !== 0 && rsp.status !== 'SUCCESS')   // unsuccessful
-                    deferred.reject(new Error('AF:dataExtend request failed, status code: ' + rsp.status + '.'));
-                else
-                    deferred.resolve(rsp);  // Broadcast (or Groupcast) has no AREQ confirm back, just resolve this transaction.
-            }).fail(function (err) {
-                deferred.reject(err);
-            }).done()
-        }, deferred.promise)
-    } else {
-        afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParamsExt.transid;
-        apsAck = afParamsExt.options & ZSC.AF.options.ACK_REQUEST;
-
-        var search = 0
-        while (areq.isEventPending(afEventCnf) && search++ < af.maxTransactions) {
-            afParamsExt.transid = controller.nextTransId();
-            afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParamsExt.transid;
-        }
-        if(search == af.maxTransactions){
-            return Q.reject("Too many transactions pending").nodeify(callback)
-        }
-
-        areq.register(afEventCnf, deferred, function (cnf) {
-            var errText = 'AF:dataRequest fails, status code: ';
-            if (cnf.status === 0 || cnf.status === 'SUCCESS') {  // success        
-                indirecter.done()
-                areq.resolve(afEventCnf, cnf);
-            } else {
-                lastError = new Error(format_af_error(errText, cnf.status))
-
-                if(cnf.status == 183 || cnf.status == 240){
-                    indirecter.handleTimeout()
-                } else if(cnf.status != 205){
-                    areq.reject(afEventCnf, lastError)
-                }
-            }
-        }, areqTimeout, false);
-
-        indirecter = controller._indirect_send(dstAddrOrGrpId, function _sendExt(){
-            controller.request('AF', 'dataRequestExt', afParamsExt).then(function (rsp) {
-                areq.setTimeout(afEventCnf, areqTimeout)
-                if (rsp.status !== 0 && rsp.status !== 'SUCCESS')   // unsuccessful
-                    areq.reject(afEventCnf, new Error('AF:dataRequestExt failed, status code: ' + rsp.status + '.'));
-                else if (!apsAck)
-                    areq.resolve(afEventCnf, rsp);
-            }).fail(function (err) {
-                areq.reject(afEventCnf, err);
-            }).done()
-        }, deferred.promise)
-    }
-    
-    return deferred.promise.finally(function(){
-        indirecter.done()
-    }).catch(function(e){
-        if(e.code == 'ETIMEDOUT' && lastError){
-            throw lastError
-        }
-        throw e
-    }).nodeify(callback);
+    return af.controller.scheduler.schedule(function () {
+        return sendExtNow(senderEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, areqTimeout);
+    }, { key: schedulerKeyOf(addrMode, dstAddrOrGrpId), lane: opt.lane }).nodeify(callback);
 };
 
 af.zclFoundation = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
@@ -312,7 +192,7 @@ af.zclFoundation = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
     };
 
     if (frameCntl.manufSpec === 1)
-        manufCode = dstEp.getManufCode();
+        manufCode = cfg.hasOwnProperty('manufCode') ? cfg.manufCode : manufCodeOf(dstEp);
 
     // .frame(frameCntl, manufCode, seqNum, cmd, zclPayload[, clusterId])
     seqNum = cfg.hasOwnProperty('seqNum') ? cfg.seqNum : nextZclSeqNum();
@@ -328,30 +208,39 @@ af.zclFoundation = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
         }
     }
 
-    if (frameCntl.direction === 0) {    // client-to-server, thus require getting the feedback response
+    function exchange(holdTime) {
+        // the response is waited for from the time the frame goes out, a sleepy device may hold it up for holdTime
+        if (frameCntl.direction === 0) {    // client-to-server, thus require getting the feedback response
 
-        if (srcEp === dstEp)    // from remote to remote itself
-            mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + seqNum;
-        else                    // from local ep to remote ep
-            mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + srcEp.getEpId() + ':' + seqNum;
+            if (srcEp === dstEp)    // from remote to remote itself
+                mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + seqNum;
+            else                    // from local ep to remote ep
+                mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + srcEp.getEpId() + ':' + seqNum;
 
-        areq.register(mandatoryEvent, deferred, function (msg) {
-            // { groupid, clusterid, srcaddr, srcendpoint, dstendpoint, wasbroadcast, linkquality, securityuse, timestamp, transseqnumber, zclMsg }
-            areq.resolve(mandatoryEvent, msg.zclMsg);
-        });
+            areq.register(mandatoryEvent, deferred, function (msg) {
+                // { groupid, clusterid, srcaddr, srcendpoint, dstendpoint, wasbroadcast, linkquality, securityuse, timestamp, transseqnumber, zclMsg }
+                areq.resolve(mandatoryEvent, msg.zclMsg);
+            }, holdTime && (holdTime + af.indirectTimeout));
+        }
+
+        af.send(srcEp, dstEp, cId, zclBuffer, { lane: cfg.lane, queue: false, holdTime: holdTime }).fail(function (err) {
+            if (mandatoryEvent && areq.isEventPending(mandatoryEvent))
+                areq.reject(mandatoryEvent, err);
+            else
+                deferred.reject(err);
+        }).then(function (rsp) {
+            if (!mandatoryEvent)
+                deferred.resolve(rsp);
+        }).done();
+
+        return deferred.promise;
     }
 
-    af.send(srcEp, dstEp, cId, zclBuffer).fail(function (err) {
-        if (mandatoryEvent && areq.isEventPending(mandatoryEvent))
-            areq.reject(mandatoryEvent, err);
-        else
-            deferred.reject(err);
-    }).then(function (rsp) {
-        if (!mandatoryEvent)
-            deferred.resolve(rsp);
-    }).done();
-
-    return deferred.promise.fail((err)=>{
+    return whenAwake(dstEp, {
+        queue: cfg.queue,
+        expiry: cfg.expiry,
+        coalesce: cfg.hasOwnProperty('coalesce') ? cfg.coalesce : writeKeyOf(dstEp, cId, cmd, zclData)
+    }, exchange).fail((err)=>{
         if(err.code == "ETIMEDOUT"){
             err.message = "zclFoundation("+cmd+":"+seqNum+") " + err.message
         }
@@ -400,7 +289,7 @@ af.zclFunctional = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
     };
 
     if (frameCntl.manufSpec === 1)
-        manufCode = dstEp.getManufCode();
+        manufCode = cfg.hasOwnProperty('manufCode') ? cfg.manufCode : manufCodeOf(dstEp);
 
     // .frame(frameCntl, manufCode, seqNum, cmd, zclPayload[, clusterId])
     seqNum = cfg.hasOwnProperty('seqNum') ? cfg.seqNum : nextZclSeqNum();
@@ -417,33 +306,38 @@ af.zclFunctional = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
         }
     }
 
-    if (frameCntl.direction === 0) {    // client-to-server, thus require getting the feedback response
+    function exchange(holdTime) {
+        // see af.zclFoundation()
+        if (frameCntl.direction === 0) {    // client-to-server, thus require getting the feedback response
 
-        if (srcEp === dstEp)    // from remote to remote itself
-            mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + seqNum;
-        else                    // from local ep to remote ep
-            mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + srcEp.getEpId() + ':' + seqNum;
-        
-        areq.register(mandatoryEvent, deferred, function (msg) {
-            // { groupid, clusterid, srcaddr, srcendpoint, dstendpoint, wasbroadcast, linkquality, securityuse, timestamp, transseqnumber, zclMsg }
-            areq.resolve(mandatoryEvent, msg.zclMsg);
-        });
-    }
+            if (srcEp === dstEp)    // from remote to remote itself
+                mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + seqNum;
+            else                    // from local ep to remote ep
+                mandatoryEvent = 'ZCL:incomingMsg:' + dstEp.getNwkAddr() + ':' + dstEp.getEpId() + ':' + srcEp.getEpId() + ':' + seqNum;
+
+            areq.register(mandatoryEvent, deferred, function (msg) {
+                // { groupid, clusterid, srcaddr, srcendpoint, dstendpoint, wasbroadcast, linkquality, securityuse, timestamp, transseqnumber, zclMsg }
+                areq.resolve(mandatoryEvent, msg.zclMsg);
+            }, holdTime && (holdTime + af.indirectTimeout));
+        }
 
-    var afOptions = cfg.hasOwnProperty('afOptions') ? cfg.afOptions : {}
+        var afOptions = _.assign({ lane: cfg.lane }, cfg.hasOwnProperty('afOptions') ? cfg.afOptions : {}, { queue: false, holdTime: holdTime })
 
-    // af.send(srcEp, dstEp, cId, rawPayload, opt, callback)
-    af.send(srcEp, dstEp, cId, zclBuffer, afOptions).fail(function (err) {
-        if (mandatoryEvent && areq.isEventPending(mandatoryEvent))
-            areq.reject(mandatoryEvent, err);
-        else
-            deferred.reject(err);
-    }).then(function (rsp) {
-        if (!mandatoryEvent)
-            deferred.resolve(rsp);
-    }).done();
+        // af.send(srcEp, dstEp, cId, rawPayload, opt, callback)
+        af.send(srcEp, dstEp, cId, zclBuffer, afOptions).fail(function (err) {
+            if (mandatoryEvent && areq.isEventPending(mandatoryEvent))
+                areq.reject(mandatoryEvent, err);
+            else
+                deferred.reject(err);
+        }).then(function (rsp) {
+            if (!mandatoryEvent)
+                deferred.resolve(rsp);
+        }).done();
 
-    return deferred.promise.fail((err)=>{
+        return deferred.promise;
+    }
+
+    return whenAwake(dstEp, { queue: cfg.queue, expiry: cfg.expiry, coalesce: cfg.coalesce }, exchange).fail((err)=>{
         if(err.code == "ETIMEDOUT"){
             err.message = "zclFunctional("+cmd+":"+seqNum+") " + err.message
         }
@@ -451,6 +345,51 @@ af.zclFunctional = function (srcEp, dstEp, cId, cmd, zclData, cfg, callback) {
     }).nodeify(callback);
 };
 
+af.zclFunctionalExt = function (srcEp, addrMode, dstAddrOrGrpId, cId, cmd, zclData, cfg, callback) {
+    // groupcast or broadcast a functional command, no zcl response is waited for
+    var manufCode = 0,
+        frameCntl,
+        zclBuffer;
+
+    if (_.isFunction(cfg)) {
+        if (!_.isFunction(callback)) {
+            callback = cfg;
+            cfg = {};
+        }
+    } else {
+        cfg = cfg || {};
+    }
+
+    if (!((srcEp instanceof Endpoint) || (srcEp instanceof Coordpoint)))
+        throw new TypeError('srcEp should be an instance of Endpoint class.');
+
+    if (typeof zclData !== 'object' || zclData === null)
+        throw new TypeError('zclData should be an object or an array');
+
+    proving.stringOrNumber(cId, 'cId should be a number or a string.');
+    proving.stringOrNumber(cmd, 'cmd should be a number or a string.');
+    proving.object(cfg, 'cfg should be a plain object if given.');
+
+    frameCntl = {
+        frameType: 1,       // functional command frame
+        manufSpec: cfg.hasOwnProperty('manufSpec') ? cfg.manufSpec : 0,
+        direction: cfg.hasOwnProperty('direction') ? cfg.direction : 0,
+        disDefaultRsp: cfg.hasOwnProperty('disDefaultRsp') ? cfg.disDefaultRsp : 1  // nobody to answer a groupcast
+    };
+
+    if (frameCntl.manufSpec === 1)
+        manufCode = cfg.manufCode || 0;
+
+    try {
+        zclBuffer = zcl.frame(frameCntl, manufCode, cfg.hasOwnProperty('seqNum') ? cfg.seqNum : nextZclSeqNum(), cmd, zclData, cId);
+    } catch (e) {
+        return Q.reject(e).nodeify(callback);
+    }
+
+    // af.sendExt(srcEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, callback)
+    return af.sendExt(srcEp, addrMode, dstAddrOrGrpId, cId, zclBuffer, cfg.hasOwnProperty('afOptions') ? cfg.afOptions : {}).nodeify(callback);
+};
+
 /*************************************************************************************************/
 /*** ZCL Cluster and Attribute Requests                                                        ***/
 /*************************************************************************************************/
@@ -655,7 +594,8 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
     proving.stringOrNumber(cId, 'cId should be a number or a string.');
 
     var error = false
-    return Q(af.controller.limitConcurrency(()=>af.zclClusterAttrIdsReq(dstEp, cId), dstEp.getIeeeAddr())(true)).then(function (attrIds) {
+    // reading every attribute is bulk work, it gives way to the commands of users
+    return af.zclClusterAttrIdsReq(dstEp, cId, { lane: 'interview' }).then(function (attrIds) {
         var attributes = []
         if(interestedValue === false){
             for(var i = 0; i<attrIds.length; i++){
@@ -667,6 +607,16 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
             return attributes
         }
         
+        var quirks = quirksOf(),
+            dev = dstEp.getDevice(),
+            chunkSize = (quirks && quirks.readsSingly(dev, cId)) ? 1 : 5;
+
+        if (quirks) {
+            attrIds = _.filter(attrIds, function (id) {
+                return !quirks.isAttrIgnored(dev, cId, id);
+            });
+        }
+
         var readReq = [],
             attrsReqs = [],
             attrIdsLen = attrIds.length;
@@ -674,11 +624,11 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
         _.forEach(attrIds, function (id) {
             readReq.push({ attrId: id });
 
-            if (readReq.length === 5 || readReq.length === attrIdsLen) {
+            if (readReq.length === chunkSize || readReq.length === attrIdsLen) {
                 var req = _.cloneDeep(readReq);
                 attrsReqs.push(function () {
                     /* Process in groups of 5 */
-                    return af.controller.limitConcurrency(()=>af.zclFoundation(dstEp, dstEp, cId, 'read', req), dstEp.getIeeeAddr())(true)
+                    return af.zclFoundation(dstEp, dstEp, cId, 'read', req, { lane: 'interview' })
                         .then(
                             function (readStatusRecsRsp) {
                                 Array.prototype.push.apply(attributes,readStatusRecsRsp.payload);
@@ -690,7 +640,7 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
                                 var singleChain = Q(0)
                                 req.forEach(function(r){
                                     singleChain = singleChain.then(function(){
-                                        af.controller.limitConcurrency(()=>af.zclFoundation(dstEp, dstEp, cId, 'read', [r]), dstEp.getIeeeAddr())(true)
+                                        af.zclFoundation(dstEp, dstEp, cId, 'read', [r], { lane: 'interview' })
                                             .then(function (readStatusRecsRsp) {
                                                 Array.prototype.push.apply(attributes,readStatusRecsRsp.payload);
                                             },(err)=>{
@@ -703,7 +653,7 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
                             }
                         );
                 });
-                attrIdsLen -= 5;
+                attrIdsLen -= chunkSize;
                 readReq = [];
             }
         });
@@ -740,10 +690,17 @@ af.zclClusterAttrsReq = function (dstEp, cId, interestedValue, callback) {
     })
 };
 
-af.zclClusterAttrIdsReq = function (dstEp, cId, callback) {
+af.zclClusterAttrIdsReq = function (dstEp, cId, cfg, callback) {
     var deferred = Q.defer(),
         attrsToRead = [];
 
+    if (_.isFunction(cfg)) {
+        callback = cfg;
+        cfg = {};
+    } else {
+        cfg = cfg || {};
+    }
+
     if (!((dstEp instanceof Endpoint) || (dstEp instanceof Coordpoint)))
         throw new TypeError('dstEp should be an instance of Endpoint class.');
         
@@ -753,7 +710,7 @@ af.zclClusterAttrIdsReq = function (dstEp, cId, callback) {
         af.zclFoundation(dstEp, dstEp, cId, 'discover', {
             startAttrId: startAttrId,
             maxAttrIds: 240
-        }).then(function (discoverRsp) {
+        }, { lane: cfg.lane }).then(function (discoverRsp) {
             // discoverRsp.payload: { discComplete, attrInfos: [ { attrId, dataType }, ... ] }
             var payload = discoverRsp.payload,
                 discComplete = payload.discComplete,
@@ -800,7 +757,14 @@ function dispatchIncomingMsg(type, msg) {
         targetEp = coord.getEndpoint(msg.endpoint);                  //  => find local ep, such a message is going to local ep
     } else if (msg.hasOwnProperty('srcaddr') && msg.hasOwnProperty('srcendpoint')) {    // incomingMsg, incomingMsgExt, zclIncomingMsg
 		if(!coord) return;
+        if (msg.srcaddrmode === ZSC.AF.addressMode.ADDR_64BIT)          // inter-PAN frames of the devices out of the network, see touchlink.js
+            return;
+        if (msg.clusterid === GP_CID && msg.dstendpoint === GP_EPID) {  // green power frames of the proxies, decoded raw by shepherd.greenPower
+            af.controller.getShepherd().emit('ind:gpFrame', msg);
+            return;
+        }
         targetEp = coord.getEndpoint(msg.dstendpoint);               //  => find local ep
+        remapSrcEndpoint(msg);
 
         if (targetEp) {  // local
             remoteEp = af.controller.findEndpoint(msg.srcaddr, msg.srcendpoint);
@@ -886,6 +850,10 @@ function dispatchIncomingMsg(type, msg) {
                     if(msg.zclMsg.cmdId === 'statusChangeNotification' && frameType === 1 && msg.zclMsg.payload){   
                         af.controller.getShepherd().emit('ind:statusChange', targetEp, msg.clusterid, msg.zclMsg.payload, msg);
                     } 
+
+                    // functional commands of remote devices, e.g. a switch bound to the coordinator
+                    if (frameType === 1 && msg.zclMsg.payload)
+                        af.controller.getShepherd().emit('ind:cmd', targetEp, msg.clusterid, msg.zclMsg.cmdId, msg.zclMsg.payload, msg);
                 }
             }
                          
@@ -911,6 +879,10 @@ function dispatchIncomingMsg(type, msg) {
     if (type === 'zclIncomingMsg')  // no need for further parsing
         return;
 
+    // upgrade requests from an OTA client, served by shepherd.ota with the raw frame
+    if (zclHeader && remoteEp && msg.clusterid === OTA_CID && zclHeader.frameCntl.frameType === 1 && zclHeader.frameCntl.direction === 0)
+        af.controller.getShepherd().emit('ind:otaRequest', remoteEp, zclHeader, msg);
+
     // further parse for ZCL packet from incomingMsg and incomingMsgExt
     if (zclHeader) {  // if (zclHeader && targetEp.isZclSupported()) {
         function zclIncomingParsedMsgEmitter (err, zclData) {
@@ -934,6 +906,251 @@ function dispatchIncomingMsg(type, msg) {
 /*************************************************************************************************/
 /*** Private Functions                                                                         ***/
 /*************************************************************************************************/
+function sendNow(srcEp, dstEp, cId, rawPayload, opt, areqTimeout, holdTime) {
+    var deferred = Q.defer(),
+        controller = af.controller,
+        shepherd = controller.getShepherd(),
+        coordinator,
+        areq = af.areq,
+        profId = srcEp.getProfId(),
+        afParams,
+        afEventCnf,
+        apsAck = false,
+        senderEp;
+
+    coordinator = controller.getCoord()
+
+    if(!coordinator)
+        return Q.reject("Coordinator is manditory")
+
+    senderEp = srcEp.isLocal() ? srcEp : coordinator.getDelegator(profId);
+
+    if (!senderEp)
+        senderEp = srcEp.isLocal() ? srcEp : coordinator.getDelegator(0x0104);
+
+    // if (!senderEp) {
+    //     // only occurs if srcEp is a remote one
+    //     deferred.reject(new Error('Profile: ' + profId + ' is not supported at this moment.'));
+    //     return deferred.promise.nodeify(callback);
+    // }
+
+    afParams = makeAfParams(senderEp, dstEp, cId, rawPayload, opt);
+    afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParams.transid;
+    apsAck = afParams.options & ZSC.AF.options.ACK_REQUEST;
+
+    var search = 0
+    while (areq.isEventPending(afEventCnf) && search++ < af.maxTransactions) {
+        afParams.transid = controller.nextTransId();
+        afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParams.transid;
+    }
+    if(search == af.maxTransactions){
+        return Q.reject("Too many transactions pending")
+    }
+
+    var indirecter, lastError
+
+    areq.register(afEventCnf, deferred, function (cnf) {
+        var errText = 'AF:dataRequest fails, status code: ';
+
+        if (cnf.status === 0 || cnf.status === 'SUCCESS') {  // success
+            indirecter.done()
+            if(shepherd){
+                shepherd.emit('ind:dataConfirm', dstEp, afParams);
+            }
+            areq.resolve(afEventCnf, cnf);
+        } else {
+            lastError = new Error(format_af_error(errText, cnf.status))
+            
+            if(cnf.status == 205){
+                discoverRoute(dstEp.getNwkAddr()).then(function () {
+                    indirecter.handleTimeout()
+                }).done()
+            } else if(cnf.status == 183 || cnf.status == 240){
+                indirecter.handleTimeout()
+            } else {
+                areq.reject(afEventCnf, lastError)
+            }
+        }
+    }, areqTimeout, false);
+    
+    indirecter = controller._indirect_send(dstEp.getNwkAddr(), function _sendBasic(){
+        controller.request('AF', 'dataRequest', afParams).then(function (rsp) {
+            areq.setTimeout(afEventCnf, areqTimeout)
+            if (rsp.status !== 0 && rsp.status !== 'SUCCESS' )  // unsuccessful
+                areq.reject(afEventCnf, new Error('AF:dataRequest failed, status code: ' + rsp.status + '.'));
+            else if (!apsAck)
+                areq.resolve(afEventCnf, rsp);
+        }).fail(function (err) {
+            areq.reject(afEventCnf, err);
+        }).done()
+    }, deferred.promise, holdTime)
+
+    return deferred.promise.finally(function(){
+        indirecter.done()
+    }).catch(function(e){
+        if(e.code == 'ETIMEDOUT' && lastError){
+            throw lastError
+        }
+        throw e
+    });
+}
+
+function sendExtNow(senderEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt, areqTimeout) {
+    var deferred = Q.defer(),
+        controller = af.controller,
+        areq = af.areq,
+        afParamsExt,
+        afEventCnf,
+        apsAck = false;
+
+    afParamsExt = makeAfParamsExt(senderEp, addrMode, dstAddrOrGrpId, cId, rawPayload, opt);
+
+    if (!afParamsExt) {
+        deferred.reject(new Error('Unknown address mode. Cannot send.'));
+        return deferred.promise;
+    }
+
+    var indirecter, lastError
+
+    if (addrMode === ZSC.AF.addressMode.ADDR_GROUP || addrMode === ZSC.AF.addressMode.ADDR_BROADCAST) {
+        // no ack
+        indirecter = controller._indirect_send(dstAddrOrGrpId, function _sendExt(){
+            controller.request('AF', 'dataRequestExt', afParamsExt).then(function (rsp) {
+                indirecter.done()
+                if (rsp.status !== 0 && rsp.status !== 'SUCCESS')   // unsuccessful
+                    deferred.reject(new Error('AF:dataExtend request failed, status code: ' + rsp.status + '.'));
+                else
+                    deferred.resolve(rsp);  // Broadcast (or Groupcast) has no AREQ confirm back, just resolve this transaction.
+            }).fail(function (err) {
+                deferred.reject(err);
+            }).done()
+        }, deferred.promise)
+    } else {
+        afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParamsExt.transid;
+        apsAck = afParamsExt.options & ZSC.AF.options.ACK_REQUEST;
+
+        var search = 0
+        while (areq.isEventPending(afEventCnf) && search++ < af.maxTransactions) {
+            afParamsExt.transid = controller.nextTransId();
+            afEventCnf = 'AF:dataConfirm:' + senderEp.getEpId() + ':' + afParamsExt.transid;
+        }
+        if(search == af.maxTransactions){
+            return Q.reject("Too many transactions pending")
+        }
+
+        areq.register(afEventCnf, deferred, function (cnf) {
+            var errText = 'AF:dataRequest fails, status code: ';
+            if (cnf.status === 0 || cnf.status === 'SUCCESS') {  // success        
+                indirecter.done()
+                areq.resolve(afEventCnf, cnf);
+            } else {
+                lastError = new Error(format_af_error(errText, cnf.status))
+
+                if(cnf.status == 205){
+                    discoverRoute(dstAddrOrGrpId).then(function () {
+                        indirecter.handleTimeout()
+                    }).done()
+                } else if(cnf.status == 183 || cnf.status == 240){
+                    indirecter.handleTimeout()
+                } else {
+                    areq.reject(afEventCnf, lastError)
+                }
+            }
+        }, areqTimeout, false);
+
+        indirecter = controller._indirect_send(dstAddrOrGrpId, function _sendExt(){
+            controller.request('AF', 'dataRequestExt', afParamsExt).then(function (rsp) {
+                areq.setTimeout(afEventCnf, areqTimeout)
+                if (rsp.status !== 0 && rsp.status !== 'SUCCESS')   // unsuccessful
+                    areq.reject(afEventCnf, new Error('AF:dataRequestExt failed, status code: ' + rsp.status + '.'));
+                else if (!apsAck)
+                    areq.resolve(afEventCnf, rsp);
+            }).fail(function (err) {
+                areq.reject(afEventCnf, err);
+            }).done()
+        }, deferred.promise)
+    }
+    
+    return deferred.promise.finally(function(){
+        indirecter.done()
+    }).catch(function(e){
+        if(e.code == 'ETIMEDOUT' && lastError){
+            throw lastError
+        }
+        throw e
+    });
+}
+
+function quirksOf() {
+    var shepherd = af.controller.getShepherd();
+    return shepherd ? shepherd.quirks : undefined;
+}
+
+function schedulerKeyOf(addrMode, dstAddr) {
+    // the ieeeAddr of the target device, groupcasts, broadcasts and devices not known have none
+    var shepherd = af.controller.getShepherd(),
+        dev;
+
+    if (addrMode === ZSC.AF.addressMode.ADDR_64BIT)
+        return dstAddr;
+
+    if (addrMode !== ZSC.AF.addressMode.ADDR_16BIT || !shepherd)
+        return;
+
+    dev = shepherd._findDevByAddr(dstAddr);
+    return dev ? dev.getIeeeAddr() : undefined;
+}
+
+function whenAwake(dstEp, opt, fn) {
+    // a message to a sleepy device waits until the device polls or checks in, unless opt.queue is false
+    var shepherd = af.controller.getShepherd(),
+        sleepyQueue = shepherd ? shepherd.sleepyQueue : null;
+
+    if (opt.queue === false || !sleepyQueue || dstEp.isLocal() || !sleepyQueue.holds(dstEp.getIeeeAddr()))
+        return fn(opt.holdTime);
+
+    return sleepyQueue.enqueue(dstEp.getIeeeAddr(), fn, { expiry: opt.expiry, coalesce: opt.coalesce });
+}
+
+function writeKeyOf(dstEp, cId, cmd, zclData) {
+    // writes of the same attributes supersede each other while they wait for a sleepy device
+    var cmdItem = zclId.foundation(cmd),
+        cIdItem = zclId.cluster(cId);
+
+    if (!cmdItem || !_.includes([ 'write', 'writeUndiv', 'writeNoRsp' ], cmdItem.key) || !_.isArray(zclData))
+        return undefined;
+
+    return 'write:' + dstEp.getEpId() + ':' + (cIdItem ? cIdItem.value : cId) + ':' + _.map(zclData, function (rec) {
+        return rec.attrId;
+    }).sort().join(',');
+}
+
+function discoverRoute(nwkAddr) {
+    // NWK_NO_ROUTE, the route is discovered again before the frame is resent
+    var shepherd = af.controller.getShepherd();
+
+    if (!shepherd || !shepherd.routing || !_.isNumber(nwkAddr))
+        return Q();
+
+    return shepherd.routing.discover(nwkAddr).fail(function (err) {
+        debug('Route discovery to 0x%s failed: %s', nwkAddr.toString(16), err);
+    });
+}
+
+function manufCodeOf(dstEp) {
+    var quirks = quirksOf();
+    return quirks ? quirks.manufCodeOf(dstEp.getDevice()) : dstEp.getManufId();
+}
+
+function remapSrcEndpoint(msg) {
+    // some devices send from an endpoint other than the one serving the cluster
+    var quirks = quirksOf(),
+        dev = quirks ? af.controller.getShepherd()._findDevByAddr(msg.srcaddr) : undefined;
+
+    if (dev)
+        msg.srcendpoint = quirks.remapEndpoint(dev, msg.srcendpoint);
+}
+
 
 function makeAfParams(loEp, dstEp, cId, rawPayload, opt) {
     opt = opt || {};    // opt = { options, radius }
@@ -0,0 +1,261 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:availability');
+
+var Device = require('../model/device');
+
+var POLL_WINDOW = 3600000,      // the poll interval is the longest one within the current and the last window
+    LAST_SEEN_SYNC = 600000;    // lastSeen of a device is persisted no more often than this
+
+function Availability(shepherd, policies) {
+    // policies: { router, endDevice, sleepy, checkInterval }, each one merged with the defaults below
+    var self = this,
+        controller = shepherd.controller;
+
+    this._shepherd = shepherd;
+    this._timer = null;
+    this._checking = false;
+    this._polls = {};           // { ieeeAddr: { last, windowStart, longest, lastLongest } }, data polls of a sleepy device in this run
+    this._synced = {};          // { ieeeAddr: lastSeen }, the lastSeen persisted to the database
+
+    this.checkInterval = 30000;
+    this.policies = {
+        router: { pingInterval: 300000, timeout: 600000 },      // routers are pinged if they have been quiet for pingInterval
+        endDevice: { pingInterval: 300000, timeout: 600000 },   // end devices keeping the receiver on when idle
+        sleepy: { timeout: 90000000, pollMisses: 10 }           // 25 hours until the poll rate is known, then pollMisses polls
+    };
+
+    this.configure(policies || {});
+
+    // every message sent by a device, answers to pings included, tells that it is alive
+    controller.on('ZNP:AREQ', function (msg) {
+        var data = msg.data || {},
+            srcAddr = _.isNil(data.srcaddr) ? data.nwkaddr : data.srcaddr;
+
+        if (!isFromDevice(msg))
+            return;
+
+        if (_.isNumber(srcAddr) && srcAddr !== 0)
+            self.seen(srcAddr, msg.subsys === 'NWK' && msg.ind === 'pollInd');
+    });
+
+    shepherd.on('_ready', function () {
+        self.start();
+    });
+
+    controller.on('ZNP:CLOSE', function () {
+        self.stop();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Availability.prototype.configure = function (policies) {
+    var self = this;
+
+    proving.object(policies, 'policies should be an object.');
+
+    _.forEach(policies, function (policy, type) {
+        if (type === 'checkInterval') {
+            proving.number(policy, 'checkInterval should be a number.');
+            self.checkInterval = policy;
+            return;
+        }
+
+        if (!self.policies[type])
+            throw new TypeError('Unknown device type: ' + type + '.');
+
+        proving.object(policy, 'policy of ' + type + ' should be an object.');
+
+        _.forEach(policy, function (val, key) {
+            if (!_.has(self.policies[type], key))
+                throw new TypeError('Unknown policy of ' + type + ': ' + key + '.');
+
+            proving.number(val, type + '.' + key + ' should be a number.');
+            self.policies[type][key] = val;
+        });
+    });
+
+    if (this._timer) {
+        this.stop();
+        this.start();
+    }
+};
+
+Availability.prototype.start = function () {
+    var self = this;
+
+    if (this._timer)
+        return;
+
+    this._timer = setInterval(function () {
+        self.check().done();
+    }, this.checkInterval);
+};
+
+Availability.prototype.stop = function () {
+    if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+};
+
+Availability.prototype.seen = function (nwkAddr, isPoll) {
+    var dev = this._shepherd._findDevByAddr(nwkAddr),
+        now = Date.now();
+
+    if (!dev || dev.incomplete)
+        return;
+
+    if (isPoll)
+        this._poll(dev.getIeeeAddr(), now);
+
+    dev.update({ lastSeen: now });
+
+    if (dev.status !== 'online')
+        this._setStatus(dev, 'online');
+};
+
+Availability.prototype.timeoutOf = function (dev) {
+    var type = devType(this._shepherd, dev),
+        policy = this.policies[type],
+        pollInterval = this.pollIntervalOf(dev.getIeeeAddr());
+
+    if (type === 'sleepy' && pollInterval)
+        return Math.max(pollInterval * policy.pollMisses, this.checkInterval);
+
+    return policy.timeout;
+};
+
+Availability.prototype.pollIntervalOf = function (ieeeAddr) {
+    // null until two data polls of the device have been seen
+    var polls = this._polls[ieeeAddr];
+
+    return polls ? (Math.max(polls.longest, polls.lastLongest) || null) : null;
+};
+
+Availability.prototype.check = function (callback) {
+    // ping the quiet devices which can be pinged, then mark the ones that timed out as offline
+    var self = this,
+        now = Date.now(),
+        devs;
+
+    if (this._checking || !this._shepherd._enabled)
+        return Q().nodeify(callback);
+
+    this._checking = true;
+
+    devs = _.filter(this._shepherd._devbox.exportAllObjs(), function (dev) {
+        return (dev instanceof Device) && dev.getNwkAddr() !== 0 && !dev.incomplete;
+    });
+
+    return devs.reduce(function (soFar, dev) {
+        return soFar.then(function () {
+            var type = devType(self._shepherd, dev);
+
+            if (type === 'sleepy' || now - (dev.lastSeen || 0) < self.policies[type].pingInterval)
+                return;
+
+            return self._ping(dev);
+        });
+    }, Q(0)).then(function () {
+        _.forEach(devs, function (dev) {
+            if (dev.status === 'online' && Date.now() - (dev.lastSeen || 0) > self.timeoutOf(dev))
+                self._setStatus(dev, 'offline');
+            else if (dev.lastSeen - (self._synced[dev.getIeeeAddr()] || 0) >= LAST_SEEN_SYNC)
+                self._sync(dev);    // a restored lastSeen should not be older than this
+        });
+    }).fin(function () {
+        self._checking = false;
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Availability.prototype._ping = function (dev) {
+    // queued behind the commands of users
+    var self = this,
+        controller = this._shepherd.controller,
+        nwkAddr = dev.getNwkAddr();
+
+    return Q(controller.limitConcurrency(function () {
+        return controller.request('ZDO', 'nodeDescReq', { dstaddr: nwkAddr, nwkaddrofinterest: nwkAddr }).timeout(10000);
+    }, dev.getIeeeAddr())(true)).then(function () {
+        self.seen(nwkAddr);
+    }, function (err) {
+        debug('Ping to %s failed: %s', dev.getIeeeAddr(), err);
+    });
+};
+
+Availability.prototype._setStatus = function (dev, status) {
+    debug('Device %s is %s.', dev.getIeeeAddr(), status);
+    dev.update({ status: status });
+
+    this._sync(dev);
+    this._shepherd.emit('ind:status', dev, status);
+};
+
+Availability.prototype._sync = function (dev) {
+    // status and lastSeen go to the database together
+    this._synced[dev.getIeeeAddr()] = dev.lastSeen;
+
+    Q.ninvoke(this._shepherd._devbox, 'sync', dev._getId()).fail(function (err) {
+        debug('Unable to sync status of %s due to %s', dev.getIeeeAddr(), err);
+    }).done();
+};
+
+Availability.prototype._poll = function (ieeeAddr, now) {
+    // a device polls faster for a while after it has sent something, the longest interval of the recent windows is kept
+    // a gap longer than the sleepy timeout is an outage rather than a poll interval
+    var polls = this._polls[ieeeAddr],
+        gap;
+
+    if (!polls) {
+        this._polls[ieeeAddr] = { last: now, windowStart: now, longest: 0, lastLongest: 0 };
+        return;
+    }
+
+    gap = now - polls.last;
+    polls.last = now;
+
+    if (now - polls.windowStart > POLL_WINDOW) {
+        polls.lastLongest = polls.longest;
+        polls.longest = 0;
+        polls.windowStart = now;
+    }
+
+    if (gap <= this.policies.sleepy.timeout && gap > polls.longest)
+        polls.longest = gap;
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function isFromDevice(msg) {
+    // a leave indication, or a join reported by the parent, is not a sign of life of the device
+    switch (msg.subsys) {
+        case 'AF':
+            return msg.ind === 'incomingMsg' || msg.ind === 'incomingMsgExt';
+        case 'ZDO':
+            return msg.ind === 'endDeviceAnnceInd' || /Rsp$/.test(msg.ind);
+        case 'NWK':
+            return msg.ind === 'pollInd';
+        default:
+            return false;
+    }
+}
+
+function devType(shepherd, dev) {
+    if (shepherd.quirks.isSleepy(dev))
+        return 'sleepy';
+
+    return (dev.type === 'Router') ? 'router' : 'endDevice';
+}
+
+module.exports = Availability;
@@ -14,17 +14,21 @@ var Q = require('q'),
         init: require('debug')('zigbee-shepherd:init'),
         request: require('debug')('zigbee-shepherd:request'),
         response: require('debug')('zigbee-shepherd:response')
-    },
-    Ziee = require('ziee')
+    };
 
 var Zdo = require('./zdo'),
     querie = require('./querie'),
+    interview = require('./interview'),
+    Scheduler = require('./scheduler'),
     bridge = require('./event_bridge.js'),
     init = require('../initializers/init_controller'),
-    nvParams = require('../config/nv_start_options.js');
+    nvParams = require('../config/nv_start_options.js'),
+    MGMT_NWK_UPDATE_NOTIFY = 0x8038,
+    NWK_SEC_MATERIAL_TABLE_START = 0x0075,  // nwk frame counter(4) and extPanId(8), missing in zstack-constants
+    NV_CHUNK_SIZE = 240,
+    LOGICAL_TYPES = [ 'coordinator', 'router', 'enddevice' ];
 
 var Device = require('../model/device'),
-    Endpoint = require('../model/endpoint'),
     Coordpoint = require('../model/coordpoint');
 
 function Controller(shepherd, cfg) {
@@ -51,6 +55,7 @@ function Controller(shepherd, cfg) {
     this._joinLocks = {};
     this._permitJoinTime = 0;
     this._permitJoinInterval;
+    this._nvRestore = null;     // [ { id, value }, ... ] written at next start, see scheduleNvRestore()
 
     this._net = {
         state: null,
@@ -88,9 +93,19 @@ function Controller(shepherd, cfg) {
         return self._resetting;
     };
 
-    this.limitConcurrency = function(fcall){
-        return fcall
-    }
+    this.scheduler = new Scheduler({
+        isSleepy: function (ieeeAddr) {
+            var dev = shepherd._findDevByAddr && shepherd._findDevByAddr(ieeeAddr);
+            return !!dev && !!shepherd.quirks && shepherd.quirks.isSleepy(dev);
+        }
+    });
+
+    this.limitConcurrency = function (fcall, ieeeAddr) {
+        // the returned function queues fcall for the device, behind the commands of users if background is true
+        return function (background) {
+            return self.scheduler.schedule(fcall, { key: ieeeAddr, lane: background ? 'interview' : 'user' });
+        };
+    };
 
     /***************************************************/
     /*** Event Handlers                              ***/
@@ -109,6 +124,7 @@ function Controller(shepherd, cfg) {
     });
 
     this._znp.on('AREQ', function (msg) {
+        self.emit('ZNP:AREQ', msg);     // every indication, for whoever needs them unbridged
         bridge.areqEventBridge(self, msg);
     });
 
@@ -272,6 +288,9 @@ Controller.prototype.reset = function (mode, callback) {
                     function () { return self.request('SAPI', 'writeConfiguration', nvParams.logicalType).delay(10); },
                     function () { return self.request('SAPI', 'writeConfiguration', nvParams.precfgkey).delay(10); },
                     function () { return self.request('SAPI', 'writeConfiguration', nvParams.precfgkeysEnable).delay(10); },
+                    function () { return self.request('SYS', 'osalNvWrite', nvParams.securityMode).delay(10).fail(function (err) {
+                        debug.init('Unable to write the TCLK table entry: %s', err);    // the table differs between firmwares
+                    }); },
                     function () { return self.request('SAPI', 'writeConfiguration', nvParams.zdoDirectCb).delay(10); },
                     function () { return self.request('SYS', 'osalNvItemInit', nvParams.znpCfgItem).delay(10).fail(function (err) {
                         return (err.message === 'rsp error: 9') ? null : Q.reject(err);  // Success, item created and initialized
@@ -471,12 +490,306 @@ Controller.prototype.simpleDescReq = function (nwkAddr, ieeeAddr, callback) {
     return this.querie.deviceWithEndpoints(nwkAddr, ieeeAddr, callback);
 };
 
-Controller.prototype.bind = function (srcEp, cId, dstEpOrGrpId, callback) {
-    return this.querie.setBindingEntry('bind', srcEp, cId, dstEpOrGrpId, callback);
+Controller.prototype.bind = function (srcEp, cId, dst, dstEpId, callback) {
+    return this.querie.setBindingEntry('bind', srcEp, cId, dst, dstEpId, callback);
+};
+
+Controller.prototype.unbind = function (srcEp, cId, dst, dstEpId, callback) {
+    return this.querie.setBindingEntry('unbind', srcEp, cId, dst, dstEpId, callback);
+};
+
+Controller.prototype.addGroup = function (groupId, name, callback) {
+    // coordinator joins the group on its HA delegator, thus it receives the groupcasts as well
+    var self = this,
+        coord = this.getCoord(),
+        dlgEp = coord ? coord.getDelegator(0x0104) : undefined,
+        nameBuf = Buffer.from(name || '').slice(0, 16);    // APS_GROUP_NAME_LEN
+
+    proving.number(groupId, 'groupId should be a number.');
+
+    if (!dlgEp)
+        return Q.reject(new Error('Coordinator has not been initialized yet.')).nodeify(callback);
+
+    return this.request('ZDO', 'extFindGroup', { endpoint: dlgEp.getEpId(), groupid: groupId }).fail(function () {
+        return self.request('ZDO', 'extAddGroup', { endpoint: dlgEp.getEpId(), groupid: groupId, namelen: nameBuf.length, groupname: nameBuf });
+    }).nodeify(callback);
+};
+
+Controller.prototype.removeGroup = function (groupId, callback) {
+    var coord = this.getCoord(),
+        dlgEp = coord ? coord.getDelegator(0x0104) : undefined;
+
+    proving.number(groupId, 'groupId should be a number.');
+
+    if (!dlgEp)
+        return Q.reject(new Error('Coordinator has not been initialized yet.')).nodeify(callback);
+
+    return this.request('ZDO', 'extRemoveGroup', { endpoint: dlgEp.getEpId(), groupid: groupId }).fail(function (err) {
+        debug.shepherd('Coordinator is not in group %d: %s', groupId, err);
+    }).nodeify(callback);
+};
+
+Controller.prototype.setLinkKey = function (ieeeAddr, nwkAddr, linkKey, callback) {
+    // nwkAddr is 0xFFFE if the device has not joined yet
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.number(nwkAddr, 'nwkAddr should be a number.');
+
+    if (!Buffer.isBuffer(linkKey) || linkKey.length !== 16)
+        throw new TypeError('linkKey should be a buffer with 16 bytes.');
+
+    return this.request('ZDO', 'setLinkKey', { shortaddr: nwkAddr, ieeeaddr: ieeeAddr, linkkey: linkKey }).nodeify(callback);
+};
+
+Controller.prototype.removeLinkKey = function (ieeeAddr, callback) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return this.request('ZDO', 'removeLinkKey', { ieeeaddr: ieeeAddr }).nodeify(callback);
+};
+
+Controller.prototype.getLinkKey = function (ieeeAddr, callback) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return this.request('ZDO', 'getLinkKey', { ieeeaddr: ieeeAddr }).then(function (rsp) {
+        // rsp: { status, ieeeaddr, linkkeydata }
+        return rsp.linkkeydata;
+    }).nodeify(callback);
+};
+
+Controller.prototype.getNwkKeyInfo = function (callback) {
+    return this.request('SYS', 'osalNvRead', { id: ZSC.SYS.nvItemIds.NWK_ACTIVE_KEY_INFO, offset: 0 }).then(function (rsp) {
+        // rsp.value: keySeqNum(1), key(16)
+        return { keySeqNum: rsp.value.readUInt8(0), key: Array.prototype.slice.call(rsp.value.slice(1, 17)) };
+    }).nodeify(callback);
+};
+
+Controller.prototype.updateNwkKey = function (key, keySeqNum, callback) {
+    // broadcast to all devices, they keep it as the alternate key until the switch
+    return this.request('ZDO', 'extUpdateNwkKey', { dstaddr: 0xFFFF, keyseqnum: keySeqNum, key: Buffer.from(key) }).nodeify(callback);
+};
+
+Controller.prototype.switchNwkKey = function (keySeqNum, callback) {
+    return this.request('ZDO', 'extSwitchNwkKey', { dstaddr: 0xFFFF, keyseqnum: keySeqNum }).nodeify(callback);
+};
+
+Controller.prototype.saveNvParams = function (net, callback) {
+    // net: { precfgkey, channelList }, written to NV at once instead of waiting for a hard reset
+    var self = this;
+
+    this.setNvParams(net);
+
+    return _.keys(net).reduce(function (soFar, param) {
+        return soFar.then(function () {
+            return self.request('SAPI', 'writeConfiguration', nvParams[param]).delay(10);
+        });
+    }, Q(0)).nodeify(callback);
+};
+
+Controller.prototype.scanChannels = function (channelMask, duration, callback) {
+    // energy scan by the coordinator itself, its mgmtNwkUpdateNotify comes back through msgCbIncoming
+    var self = this,
+        deferred = Q.defer(),
+        nwkAddr = this._net.nwkAddr || 0,
+        channelCount = 0,
+        timeout,
+        notifyLsn;
+
+    for (var ch = 11; ch <= 26; ch += 1) {
+        if (channelMask & (1 << ch))
+            channelCount += 1;
+    }
+
+    // each channel is scanned for (2^duration + 1) * 15.36 ms
+    timeout = Math.ceil(channelCount * (Math.pow(2, duration) + 1) * 15.36) + 10000;
+
+    notifyLsn = function (msg) {
+        // msg: { srcaddr, wasbroadcast, clusterid, securityuse, seqnum, macdstaddr, msgdata }
+        var notify;
+
+        if (msg.clusterid !== MGMT_NWK_UPDATE_NOTIFY || msg.srcaddr !== nwkAddr)
+            return;
+
+        self.removeListener('ZDO:msgCbIncoming', notifyLsn);
+        notify = parseNwkUpdateNotify(msg.msgdata);
+
+        if (!notify)
+            deferred.reject(new Error('Malformed mgmtNwkUpdateNotify.'));
+        else if (notify.status !== 0)
+            deferred.reject(new Error('Energy scan failed, status: ' + notify.status + '.'));
+        else
+            deferred.resolve(notify);
+    };
+
+    this.on('ZDO:msgCbIncoming', notifyLsn);
+
+    this.request('ZDO', 'msgCbRegister', { clusterid: MGMT_NWK_UPDATE_NOTIFY }).fail(function () {
+        return;     // already registered
+    }).then(function () {
+        return self.request('ZDO', 'mgmtNwkUpdateReq', {
+            dstaddr: nwkAddr,
+            dstaddrmode: ZSC.AF.addressMode.ADDR_16BIT,
+            channelmask: channelMask,
+            scanduration: duration,
+            scancount: 1,
+            nwkmanageraddr: 0
+        });
+    }).fail(function (err) {
+        deferred.reject(err);
+    }).done();
+
+    return deferred.promise.timeout(timeout, 'Energy scan timeout.').fin(function () {
+        self.removeListener('ZDO:msgCbIncoming', notifyLsn);
+    }).nodeify(callback);
+};
+
+Controller.prototype.changeChannel = function (channel, callback) {
+    // every router follows the broadcast after nwkNetworkBroadcastDeliveryTime, the coordinator included
+    var self = this,
+        tries = 0;
+
+    function waitForChannel() {
+        return Q.delay(1000).then(function () {
+            return self.querie.network('CHANNEL');
+        }).then(function (current) {
+            tries += 1;
+
+            if (current === channel)
+                return;
+            else if (tries >= 20)
+                return Q.reject(new Error('Coordinator did not move to channel ' + channel + '.'));
+            else
+                return waitForChannel();
+        });
+    }
+
+    return this.request('ZDO', 'mgmtNwkUpdateReq', {
+        dstaddr: 0xFFFD,    // all rxOnWhenIdle devices
+        dstaddrmode: ZSC.AF.addressMode.ADDR_BROADCAST,
+        channelmask: 1 << channel,
+        scanduration: ZSC.ZDO.scanDuration.CH_CHANGE_REQ,
+        scancount: 0,
+        nwkmanageraddr: 0
+    }).then(function () {
+        return waitForChannel();
+    }).then(function () {
+        self.setNetInfo({ channel: channel });
+        return self.saveNvParams({ channelList: [ channel ] });
+    }).nodeify(callback);
+};
+
+Controller.prototype.readNvItem = function (id, callback) {
+    // osalNvRead returns at most one frame, a large item is read piece by piece. Resolves null if it does not exist
+    var self = this,
+        chunks = [];
+
+    function readFrom(offset, length) {
+        if (offset >= length)
+            return Q(Buffer.concat(chunks));
+
+        return self.request('SYS', 'osalNvRead', { id: id, offset: offset }).then(function (rsp) {
+            // rsp: { status, len, value }
+            var value = rsp.value.slice(0, Math.min(rsp.value.length, length - offset));
+
+            if (!value.length)
+                return Q.reject(new Error('Unable to read NV item ' + id + '.'));
+
+            chunks.push(value);
+            return readFrom(offset + value.length, length);
+        });
+    }
+
+    return this.request('SYS', 'osalNvLength', { id: id }).then(function (rsp) {
+        // rsp: { length }, 0 if the item does not exist
+        return rsp.length ? readFrom(0, rsp.length) : null;
+    }).nodeify(callback);
+};
+
+Controller.prototype.writeNvItem = function (id, value, callback) {
+    // the item is re-created if its length differs from the value, e.g. it was cleared by a hard reset
+    var self = this,
+        steps = [];
+
+    return this.request('SYS', 'osalNvLength', { id: id }).then(function (rsp) {
+        if (rsp.length !== value.length) {
+            if (rsp.length)
+                steps.push(function () { return self.request('SYS', 'osalNvDelete', { id: id, len: rsp.length }).delay(10); });
+
+            steps.push(function () {
+                var initValue = value.slice(0, NV_CHUNK_SIZE);
+
+                return self.request('SYS', 'osalNvItemInit', { id: id, len: value.length, initlen: initValue.length, initvalue: initValue }).delay(10).fail(function (err) {
+                    return (err.message === 'rsp error: 9') ? null : Q.reject(err);  // Success, item created and initialized
+                });
+            });
+        }
+
+        for (var offset = 0; offset < value.length; offset += NV_CHUNK_SIZE) {
+            steps.push(function (chunk, offset) {
+                return function () {
+                    return self.request('SYS', 'osalNvWrite', { id: id, offset: offset, len: chunk.length, value: chunk }).delay(10);
+                };
+            }(value.slice(offset, offset + NV_CHUNK_SIZE), offset));
+        }
+
+        return steps.reduce(function (soFar, fn) {
+            return soFar.then(fn);
+        }, Q(0));
+    }).nodeify(callback);
+};
+
+Controller.prototype.backupNv = function (callback) {
+    // everything a new coordinator needs to take over the network: addresses, keys, frame counter and link keys
+    var self = this,
+        NVID = ZSC.SYS.nvItemIds,
+        required = [ 'NIB', 'PANID', 'EXTENDED_PAN_ID', 'CHANLIST', 'NWK_ACTIVE_KEY_INFO' ],
+        items = [],
+        steps;
+
+    steps = _.map([
+        'EXTADDR', 'NIB', 'PANID', 'EXTENDED_PAN_ID', 'CHANLIST', 'APS_USE_EXT_PANID', 'PRECFGKEY', 'PRECFGKEYS_ENABLE',
+        'NWK_ACTIVE_KEY_INFO', 'NWK_ALTERN_KEY_INFO', 'APS_LINK_KEY_TABLE', 'NWK_SEC_MATERIAL_TABLE_START'
+    ], function (name) {
+        var id = (name === 'NWK_SEC_MATERIAL_TABLE_START') ? NWK_SEC_MATERIAL_TABLE_START : NVID[name];
+
+        return function () {
+            return self.readNvItem(id).then(function (value) {
+                if (value)
+                    items.push({ id: id, name: name, value: value });
+                else if (_.includes(required, name))
+                    return Q.reject(new Error('NV item ' + name + ' is missing, the coordinator has no network to back up.'));
+            });
+        };
+    });
+
+    // both tables end at the first missing entry
+    _.forEach([ [ 'TCLK_TABLE', NVID.TCLK_TABLE_START, NVID.TCLK_TABLE_END ], [ 'APS_LINK_KEY_DATA', NVID.APS_LINK_KEY_DATA_START, NVID.APS_LINK_KEY_DATA_END ] ], function (table) {
+        steps.push(function () {
+            function readEntry(id) {
+                if (id > table[2])
+                    return Q();
+
+                return self.readNvItem(id).then(function (value) {
+                    if (!value)
+                        return;
+
+                    items.push({ id: id, name: table[0] + '_' + (id - table[1]), value: value });
+                    return readEntry(id + 1);
+                });
+            }
+
+            return readEntry(table[1]);
+        });
+    });
+
+    return steps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        return items;
+    }).nodeify(callback);
 };
 
-Controller.prototype.unbind = function (srcEp, cId, dstEpOrGrpId, callback) {
-    return this.querie.setBindingEntry('unbind', srcEp, cId, dstEpOrGrpId, callback);
+Controller.prototype.scheduleNvRestore = function (items) {
+    // items: [ { id, value }, ... ], written by init.setupCoord() before the coordinator starts the network
+    this._nvRestore = items;
 };
 
 Controller.prototype.findEndpoint = function (addr, epId) {
@@ -484,16 +797,40 @@ Controller.prototype.findEndpoint = function (addr, epId) {
 };
 
 Controller.prototype.setNvParams = function (net) {
-    // net: { panId, channelList, precfgkey, precfgkeysEnable, startoptClearState }
+    // net: { panId, extPanId, channelList, precfgkey, precfgkeysEnable, networkKeyDistribute, logicalType, startoptClearState }
     net = net || {};
     proving.object(net, 'opts.net should be an object.');
 
+    // both write the same NV item with opposite meanings
+    if (net.hasOwnProperty('networkKeyDistribute') && net.hasOwnProperty('precfgkeysEnable'))
+        throw new TypeError('net.networkKeyDistribute and net.precfgkeysEnable should not be given together.');
+
     _.forEach(net, function (val, param) {
         switch (param) {
             case 'panId':
                 proving.number(val, 'net.panId should be a number.');
                 nvParams.panId.value = [ val & 0xFF, (val >> 8) & 0xFF ];
                 break;
+            case 'extPanId':
+                // '0x00124b0001ab89cd' as shown in getNetInfo(), or 8 bytes in NV order (little endian)
+                if (_.isString(val) && /^0x[0-9a-fA-F]{16}$/.test(val))
+                    val = Array.prototype.slice.call(Buffer.from(val.slice(2), 'hex')).reverse();
+                else if (!_.isArray(val) || val.length !== 8)
+                    throw new TypeError('net.extPanId should be a hex string like 0x00124b0001ab89cd or an array with 8 uint8 integers.');
+                nvParams.extPanId.value = val;
+                break;
+            case 'networkKeyDistribute':
+                // the coordinator sends the network key to joining devices unless they are all pre-configured with it
+                proving.boolean(val, 'net.networkKeyDistribute should be a bool.');
+                nvParams.precfgkeysEnable.value = val ? [ 0x00 ] : [ 0x01 ];
+                break;
+            case 'logicalType':
+                if (_.isString(val))
+                    val = LOGICAL_TYPES.indexOf(val);
+                if (!_.isNumber(val) || val < 0 || val > 2)
+                    throw new TypeError('net.logicalType should be one of ' + LOGICAL_TYPES.join(', ') + ' or a number between 0 and 2.');
+                nvParams.logicalType.value = [ val ];
+                break;
             case 'precfgkey':
                 if (!_.isArray(val) || val.length !== 16)
                     throw new TypeError('net.precfgkey should be an array with 16 uint8 integers.');
@@ -525,7 +862,9 @@ Controller.prototype.setNvParams = function (net) {
 };
 
 Controller.prototype.checkNvParams = function (callback) {
+    // resolves with the mismatched items, [ { param, expected, actual }, ... ], which are fixed by a hard reset
     var self = this,
+        diff = [],
         steps;
 
     function bufToArray(buf) {
@@ -538,37 +877,49 @@ Controller.prototype.checkNvParams = function (callback) {
         return arr;
     }
 
+    function verify(param, subsys, cmdId) {
+        return function () {
+            return self.request(subsys, cmdId, nvParams[param]).delay(10).then(function (rsp) {
+                var actual = bufToArray(rsp.value);
+
+                if (!_.isEqual(actual, nvParams[param].value))
+                    diff.push({ param: param, expected: nvParams[param].value, actual: actual });
+            }, function (err) {
+                if (err.message !== 'rsp error: 2')     // item does not exist
+                    return Q.reject(err);
+
+                diff.push({ param: param, expected: nvParams[param].value, actual: null });
+            });
+        };
+    }
+
+    // every item written by a hard reset but the TCLK table entry, whose layout differs between firmwares
     steps = [
-        function () { return self.request('SYS', 'osalNvRead', nvParams.znpHasConfigured).delay(10).then(function (rsp) {
-            if (!_.isEqual(bufToArray(rsp.value), nvParams.znpHasConfigured.value)) return Q.reject('reset znpHasConfigured');
-        }); },
-        function () { return self.request('SAPI', 'readConfiguration', nvParams.panId).delay(10).then(function (rsp) {
-            if (!_.isEqual(bufToArray(rsp.value), nvParams.panId.value)) return Q.reject('reset panId');
-        }); },
-        function () { return self.request('SAPI', 'readConfiguration', nvParams.channelList).delay(10).then(function (rsp) {
-            if (!_.isEqual(bufToArray(rsp.value), nvParams.channelList.value)) return Q.reject('reset channelList');
-        }); },
-        function () { return self.request('SAPI', 'readConfiguration', nvParams.precfgkey).delay(10).then(function (rsp) {
-            if (!_.isEqual(bufToArray(rsp.value), nvParams.precfgkey.value)) return Q.reject('reset precfgkey');
-        }); },
-        function () { return self.request('SAPI', 'readConfiguration', nvParams.precfgkeysEnable).delay(10).then(function (rsp) {
-            if (!_.isEqual(bufToArray(rsp.value), nvParams.precfgkeysEnable.value)) return Q.reject('reset precfgkeysEnable');
-        }); }
+        verify('znpHasConfigured', 'SYS', 'osalNvRead'),
+        verify('panId', 'SAPI', 'readConfiguration'),
+        verify('extPanId', 'SAPI', 'readConfiguration'),
+        verify('channelList', 'SAPI', 'readConfiguration'),
+        verify('logicalType', 'SAPI', 'readConfiguration'),
+        verify('precfgkey', 'SAPI', 'readConfiguration'),
+        verify('precfgkeysEnable', 'SAPI', 'readConfiguration'),
+        verify('zdoDirectCb', 'SAPI', 'readConfiguration')
     ];
 
     return steps.reduce(function (soFar, fn) {
         return soFar.then(fn);
-    }, Q(0)).fail(function (err) {
-		if(err.message !== undefined){
-			err = err.message
-		}
-        if (err.substr(0,5) === 'reset' || err === 'rsp error: 2') {
-            self._nvChanged = true;
-            debug.init('Non-Volatile memory is changed ('+err+').');
-            return self.reset('hard');
-        } else {
-            return Q.reject(err);
-        }
+    }, Q(0)).then(function () {
+        if (!diff.length)
+            return diff;
+
+        _.forEach(diff, function (item) {
+            debug.init('Non-Volatile memory is changed, %s: %j, expected: %j.', item.param, item.actual, item.expected);
+        });
+
+        self._nvChanged = true;
+        return self.reset('hard').then(function () {
+            self.emit('nvChanged', diff);
+            return diff;
+        });
     }).nodeify(callback);
 };
 
@@ -595,7 +946,8 @@ Controller.prototype.checkOnline = function (dev, callback) {
     });
 };
 
-Controller.prototype._indirect_send = function(dstAddr, _send, promise){
+Controller.prototype._indirect_send = function(dstAddr, _send, promise, holdTime){
+    // holdTime: how long an expired indirect transmission is resent for, a sleepy device picks it up when it polls
     var sendTime, deferred = Q.defer()
     var self = this, afResendEvt = 'ZDO:networkStatus:' + dstAddr
     var ret, initialTime = Date.now()
@@ -627,7 +979,7 @@ Controller.prototype._indirect_send = function(dstAddr, _send, promise){
             ret.isDone = true
             return false
         }
-        if((Date.now() - initialTime) < 30000){
+        if((Date.now() - initialTime) < (holdTime || 30000)){
             debug.shepherd("possible indirect expiration due to timeout, resending")
             send()
             return true
@@ -774,7 +1126,6 @@ Controller.prototype.endDeviceAnnceHdlr = function (data, abortExisting) {
 Controller.prototype._endDeviceAnnceHdlr = function (data, aborted) {
     var self = this,
         shepherd = this.getShepherd(),
-        devbox = shepherd._devbox,
         joinTimeout,
         joinEvent = 'ind:incoming:' + data.ieeeaddr,
         dev = this.getShepherd()._findDevByAddr(data.ieeeaddr);
@@ -811,217 +1162,16 @@ Controller.prototype._endDeviceAnnceHdlr = function (data, aborted) {
         start = shepherd._registerDev(dev)
     }
 
-    const _dev = dev
     return start.then(function(){
-            return dev
-        })
-        .then(function(dev){
-        /* Fill out endoints */
-        if(!dev.incomplete) return dev
-
-        function retry(fn, n){
-            var start = fn()
-            for(var i=0;i<n;i++){
-                start = start.fail(fn)
-            }
-            return start
-        }
-        
-        /* debug.shepherd("Retrying EP discovery due to failure on first attempt, error: %s", err) */
-        return retry(function(){
-                if(aborted()) return Q.reject("__abort__")
-                return self.limitConcurrency(function(){return self.simpleDescReq(dev.nwkAddr, dev.ieeeAddr)})(true)
-            } ,2)
-            .then(function(devInfo){
-                if(aborted()) return Q.reject("__abort__")
-                if(data.capabilities) dev.capabilities = data.capabilities;
-
-                /* Construct endpoints */
-                var endpoints = {}, epList = []
-                for(var i in devInfo.endpoints){
-                    let ep = new Endpoint(dev, devInfo.endpoints[i]);
-					ep.clusters = new Ziee();
-					shepherd._attachZclMethods(ep);
-                    endpoints[ep.getEpId()] = ep;
-                    epList.push(ep.getEpId())
-                }
-                if(!devInfo.epList) devInfo.epList = epList
-                devInfo.endpoints = endpoints
-
-                dev.update(devInfo)
-                return dev
-            })
+        /* Interview, resumed from the last completed stage */
+        return interview.run(self, dev, data, aborted)
     }).then(function(dev){
-        /* Early stage interview */
-        if(!dev.incomplete) return dev
-        if(aborted()) return Q.reject("__abort__")
-        try {
-            var attrMap = {
-                4: 'manufName',
-                5: 'modelId',
-                7: 'powerSource'
-            };
-
-            var powerSourceMap = {
-                0: 'Unknown',
-                1: 'Mains (single phase)',
-                2: 'Mains (3 phase)',
-                3: 'Battery',
-                4: 'DC Source',
-                5: 'Emergency mains constantly powered',
-                6: 'Emergency mains and transfer switch'
-            };
-
-            // Loop all endpoints to find genBasic cluster, and get basic endpoint if possible
-            var basicEpInst;
-
-            for (var i in dev.endpoints) {
-                var ep = dev.getEndpoint(i),
-                    clusterList = ep.getClusterList();
-
-                if (_.isArray(clusterList) && clusterList.indexOf(0) > -1) {
-                    // genBasic found
-                    basicEpInst = ep;
-                    break;
-                }
-            }
-
-            if (!basicEpInst || basicEpInst instanceof Error) return dev;
-
-            // Get manufName, modelId and powerSource information
-            return retry(function(){ 
-                if(aborted()) return Q.reject("__abort__")
-                return self.limitConcurrency(function(){return shepherd.af.zclFoundation(basicEpInst, basicEpInst, 0, 'read', [{ attrId: 4 }, { attrId: 5 }, { attrId: 7 }]) })
-            }, 3)
-                .then(function (readStatusRecsRsp) {
-                var data = {};
-                if (readStatusRecsRsp && _.isArray(readStatusRecsRsp.payload)) {
-                    readStatusRecsRsp.payload.forEach(function(item){  // { attrId, status, dataType, attrData }
-                        if (item && item.hasOwnProperty('attrId') && item.hasOwnProperty('attrData')) {
-                            if (item.attrId === 7)
-                                data[attrMap[item.attrId]] = powerSourceMap[item.attrData];
-                            else
-                                data[attrMap[item.attrId]] = item.attrData;
-                        }
-                    });
-                }
-
-                // Update dev
-                dev.update(data);
-
-                debug.shepherd('Identified Device: { manufacturer: %s, product: %s }', data.manufName, data.modelId);
-
-                return dev
-                        
-            }).catch(function(err){
-                throw new Error("Unable to query manditory cluster genBasic, error: " + err);
-            });
-        } catch (err) {
-            return dev;
-        }
-    }).then(function(dev){
-        /* Early Stage Accept */
-        if (_.isFunction(shepherd.acceptDevInterview)) {
-            var info = {
-                ieeeAddr: dev.getIeeeAddr(),
-                dev: dev,
-                endpoints: []
-            };
-
-            _.forEach(dev.epList, function (epId) {
-                info.endpoints.push(dev.getEndpoint(epId));
-            });
-
-            return Q.ninvoke(shepherd, 'acceptDevInterview', info).timeout(6000).then(function(result){
-                if(aborted()) return Q.reject("__abort__")
-                if(result) return {dev: dev, interested: result}
-                debug.shepherd("Rejected during Interview")
-            })
-        }
-        
-        return {dev: dev, interested: true};
-    }).then(function(result){
-        if(!result) return /* rejection during interview */
-
-        var dev = result.dev, interested = result.interested
-        /* Full Interview */
-        if(!dev || !dev.incomplete) return dev
-        if(aborted()) return Q.reject("__abort__")
-
-        var numberOfEndpoints = _.keys(dev.endpoints).length;
-
-        var interviewEvents = new EventEmitter();
-        interviewEvents.on('ind:interview', function(status) {
-            if (status && status.endpoint) status.endpoint.total = numberOfEndpoints;
-            shepherd.emit('ind:interview', dev.ieeeAddr, status);
-        });
-
-        var clustersReqs = []
-        debug.shepherd('Device: %s starting interview for %d endpoints.', dev.getIeeeAddr(), numberOfEndpoints);
-        _.forEach(dev.endpoints, function (ep) {
-            clustersReqs.push(function () {
-                if(aborted()) return Q.reject("__abort__")
-                return shepherd.af.zclClustersReq(ep, interviewEvents, interested).then(function (clusters) {
-                    if(aborted()) return Q.reject("__abort__")
-                    _.forEach(clusters, function (cInfo, cid) {
-                        if(cInfo.dir) ep.clusters.init(cid, 'dir', { value: cInfo.dir });
-                        ep.clusters.init(cid, 'attrs', cInfo.attrs, false);
-                    });
-                });
-            });
-        });
-
-        return clustersReqs.reduce(function (soFar, fn) {
-            if(aborted()) return Q.reject("__abort__")
-            return soFar.then(fn);
-        }, Q(0)).then(function(){return dev});
-    })
-    .then(function(dev){
-        /* Final Accept */
-        if (dev && _.isFunction(shepherd.acceptDevIncoming)) {
-            var info = {
-                ieeeAddr: dev.getIeeeAddr(),
-                endpoints: []
-            };
-
-            _.forEach(dev.epList, function (epId) {
-                info.endpoints.push(dev.getEndpoint(epId));
-            });
-
-            return Q.ninvoke(shepherd, 'acceptDevIncoming', info).timeout(6000).then(function(result){
-                if(result) return dev
-                debug.shepherd("Rejected during final stage")
-            })
-        } else {
-            return dev;
-        }
-    })
-    .then(function(dev){
-        if(aborted()) return Q.reject("__abort__")
-
-        /* Verdict */
         if(dev){
-            dev.update({ status: 'online', incomplete: false })
-
-            return Q.ninvoke(devbox, 'sync', dev._getId())
-                .fail(function(){
-                    return Q.ninvoke(devbox, 'set', dev._getId(), dev)
-                            .then(function(){
-                                return Q.ninvoke(devbox, 'sync', dev._getId())
-                            })
-                })
-                .then(function(){
-                    debug.shepherd('Device %s joins the network.', dev.getIeeeAddr());
-
-                    shepherd.emit('ind:incoming', dev);
-                    shepherd.emit('ind:status', dev, 'online');
-                    self.emit('ind:incoming:' + dev.getIeeeAddr());
-                    return dev
-                })
-        }else{
-            debug.shepherd('Device: %s not accepted.', _dev.getIeeeAddr())
-            _dev.update({incomplete: true})
-            return Q.ninvoke(devbox, 'sync', _dev._getId())
+            debug.shepherd('Device %s joins the network.', dev.getIeeeAddr());
+
+            shepherd.emit('ind:incoming', dev);
+            shepherd.emit('ind:status', dev, 'online');
+            self.emit('ind:incoming:' + dev.getIeeeAddr());
         }
     })
     .then(function () {
@@ -1052,4 +1202,40 @@ function makeRegParams(loEp) {
     };
 }
 
+function parseNwkUpdateNotify(buf) {
+    // status(1), scannedChannels(4), totalTransmissions(2), transmissionFailures(2), listCount(1), energyValues(listCount)
+    // a notify of a failed scan carries the status only, null if the buffer is too short
+    var scannedChannels,
+        count,
+        result,
+        i = 0;
+
+    if (!buf || buf.length < 1)
+        return null;
+
+    if (buf.readUInt8(0) !== 0)
+        return { status: buf.readUInt8(0) };
+
+    if (buf.length < 10 || buf.length < 10 + buf.readUInt8(9))
+        return null;
+
+    scannedChannels = buf.readUInt32LE(1);
+    count = buf.readUInt8(9);
+    result = {
+        status: 0,
+        totalTransmissions: buf.readUInt16LE(5),
+        transmissionFailures: buf.readUInt16LE(7),
+        channels: []
+    };
+
+    for (var ch = 11; ch <= 26 && i < count; ch += 1) {
+        if (scannedChannels & (1 << ch)) {
+            result.channels.push({ channel: ch, energy: buf.readUInt8(10 + i) });
+            i += 1;
+        }
+    }
+
+    return result;
+}
+
 module.exports = Controller;
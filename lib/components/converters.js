@@ -0,0 +1,426 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    zclId = require('zcl-id'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:converters');
+
+var Ias = require('./ias');
+
+var MATCH_KEYS = [ 'manufName', 'modelId' ];
+
+function Converters(shepherd, converters) {
+    // converters: [ converter, ... ], added after the built-in ones, see add() for the fields of a converter
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._converters = [];
+    this._states = {};      // { ieeeAddr: { epId: state } }
+
+    _.forEach(BUILT_IN.concat(converters || []), function (converter) {
+        self.add(converter);
+    });
+
+    shepherd.on('ind:reported', function (ep, cId, attrs) {
+        var data = {};
+
+        _.forEach(attrs, function (rec) {  // { attrId, dataType, attrData }
+            var attrItem = zclId.attr(cId, rec.attrId);
+            data[attrItem ? attrItem.key : rec.attrId] = rec.attrData;
+        });
+
+        self.convert(ep, { type: 'attr', cid: clusterKey(cId), data: data });
+    });
+
+    shepherd.on('ind:changed', function (ep, notifData) {
+        self.convert(ep, { type: 'attr', cid: notifData.cid, data: notifData.data });
+    });
+
+    shepherd.on('ind:cmd', function (ep, cId, cmdId, payload) {
+        self.convert(ep, { type: 'cmd', cid: clusterKey(cId), cmdId: cmdId, data: payload });
+    });
+
+    shepherd.on('ind:leaving', function (epList, nwkAddr, ieeeAddr) {
+        delete self._states[ieeeAddr];
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Converters.prototype.add = function (converter) {
+    // converter: {
+    //     cid: cluster the converter works on
+    //     manufName, modelId: string or RegExp, only for the matching devices. For a device, converters
+    //                         of its model replace the generic ones of the same cluster
+    //     fromZcl: function (msg, ep), returns the state in msg, msg is one of
+    //              { type: 'attr', cid, data: { attrId: value } } and { type: 'cmd', cid, cmdId, data: payload }
+    //     toZcl: { key: function (value, state, ep) }, returns { cmd, zclData[, cfg] } to set the key of a state
+    // }
+    proving.object(converter, 'converter should be an object.');
+    proving.stringOrNumber(converter.cid, 'converter.cid should be a number or a string.');
+
+    if (!zclId.cluster(converter.cid))
+        throw new TypeError('Unknown cluster: ' + converter.cid + '.');
+
+    _.forEach(MATCH_KEYS, function (key) {
+        if (_.has(converter, key) && !_.isString(converter[key]) && !(converter[key] instanceof RegExp))
+            throw new TypeError(key + ' should be a string or a RegExp.');
+    });
+
+    if (_.has(converter, 'fromZcl'))
+        proving.fn(converter.fromZcl, 'converter.fromZcl should be a function.');
+
+    if (_.has(converter, 'toZcl')) {
+        proving.object(converter.toZcl, 'converter.toZcl should be an object.');
+        _.forEach(converter.toZcl, function (fn, key) {
+            proving.fn(fn, 'converter.toZcl.' + key + ' should be a function.');
+        });
+    }
+
+    this._converters.push(converter);
+    return this;
+};
+
+Converters.prototype.remove = function (converter) {
+    var index = this._converters.indexOf(converter);
+
+    if (index > -1)
+        this._converters.splice(index, 1);
+
+    return index > -1;
+};
+
+Converters.prototype.find = function (dev, cId) {
+    var cid = clusterKey(cId),
+        generic = [],
+        specific = [];
+
+    _.forEach(this._converters, function (converter) {
+        if (clusterKey(converter.cid) !== cid)
+            return;
+
+        if (!_.some(MATCH_KEYS, function (key) { return _.has(converter, key); }))
+            generic.push(converter);
+        else if (matches(converter, dev))
+            specific.push(converter);
+    });
+
+    return specific.length ? specific : generic;
+};
+
+Converters.prototype.convert = function (ep, msg) {
+    // returns the state changed by msg, 'stateChange' is emitted if it is not empty
+    var dev = ep.getDevice(),
+        ieeeAddr = dev.getIeeeAddr(),
+        epId = ep.getEpId(),
+        result = {},
+        changed = {},
+        states,
+        state;
+
+    _.forEach(this.find(dev, msg.cid), function (converter) {
+        var converted;
+
+        if (!converter.fromZcl)
+            return;
+
+        try {
+            converted = converter.fromZcl(msg, ep);
+        } catch (err) {
+            debug('Unable to convert %s of %s due to %s', msg.cid, ieeeAddr, err);
+        }
+
+        if (_.isPlainObject(converted))
+            _.assign(result, converted);
+    });
+
+    states = this._states[ieeeAddr] = this._states[ieeeAddr] || {};
+    state = states[epId] = states[epId] || {};
+
+    _.forEach(result, function (val, key) {
+        // commands are events, they are never the same as before
+        if (msg.type === 'cmd' || !_.isEqual(state[key], val))
+            changed[key] = val;
+        state[key] = val;
+    });
+
+    if (!_.isEmpty(changed)) {
+        this._shepherd.emit('stateChange', {
+            ieeeAddr: ieeeAddr,
+            epId: epId,
+            endpoint: ep,
+            changed: changed,
+            state: _.cloneDeep(state)
+        });
+    }
+
+    return changed;
+};
+
+Converters.prototype.getState = function (ieeeAddr, epId) {
+    // the state of an endpoint, or all the endpoints merged if epId is not given, the lowest epId wins
+    var states = this._states[ieeeAddr] || {},
+        state = {};
+
+    if (!_.isNil(epId))
+        return _.cloneDeep(states[epId] || {});
+
+    _.forEach(_.keys(states).sort(function (a, b) { return b - a; }), function (id) {
+        _.assign(state, states[id]);
+    });
+
+    return _.cloneDeep(state);
+};
+
+Converters.prototype.setState = function (ieeeAddr, state, epId, callback) {
+    var self = this,
+        dev,
+        eps,
+        steps = [];
+
+    if (_.isFunction(epId)) {
+        callback = epId;
+        epId = undefined;
+    }
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.object(state, 'state should be an object.');
+
+    dev = this._shepherd._findDevByAddr(ieeeAddr);
+
+    if (!dev)
+        return Q.reject(new Error('device is not found.')).nodeify(callback);
+
+    eps = _.isNil(epId) ? _.map(dev.epList, function (id) { return dev.getEndpoint(id); }) : [ dev.getEndpoint(epId) ];
+    eps = _.filter(eps, function (ep) { return !!ep; });
+
+    try {
+        _.forEach(state, function (val, key) {
+            var target = self._findSetter(dev, eps, key);
+
+            if (!target)
+                throw new Error('No converter of ' + ieeeAddr + ' can set ' + key + '.');
+
+            steps.push(function () {
+                var req = target.converter.toZcl[key](val, state, target.ep),
+                    cfg;
+
+                if (!req)
+                    return;
+
+                // the cluster is read back after the command, so that the new state comes as a stateChange
+                cfg = _.assign({ skipFinalize: false }, req.cfg);
+                return target.ep.functional(target.converter.cid, req.cmd, req.zclData || {}, cfg);
+            });
+        });
+    } catch (err) {
+        return Q.reject(err).nodeify(callback);
+    }
+
+    return steps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        return;
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Converters.prototype._findSetter = function (dev, eps, key) {
+    var self = this,
+        target;
+
+    _.some(eps, function (ep) {
+        return _.some(ep.getInClusterList(), function (cId) {
+            var converter = _.find(self.find(dev, cId), function (conv) {
+                return conv.toZcl && _.isFunction(conv.toZcl[key]);
+            });
+
+            if (converter)
+                target = { ep: ep, converter: converter };
+
+            return !!converter;
+        });
+    });
+
+    return target;
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function matches(converter, dev) {
+    return _.every(MATCH_KEYS, function (key) {
+        var expected = converter[key],
+            actual = dev[key];
+
+        if (_.isNil(expected))
+            return true;
+        else if (_.isNil(actual))
+            return false;
+        else if (expected instanceof RegExp)
+            return expected.test(actual);
+        else
+            return expected === actual;
+    });
+}
+
+function clusterKey(cId) {
+    var cItem = zclId.cluster(cId);
+    return cItem ? cItem.key : cId;
+}
+
+function attrs(msg) {
+    return msg.type === 'attr' ? msg.data : {};
+}
+
+/*************************************************************************************************/
+/*** Built-in Converters                                                                       ***/
+/*************************************************************************************************/
+var BUILT_IN = [
+    {
+        cid: 'genOnOff',
+        fromZcl: function (msg) {
+            if (msg.type === 'cmd')
+                return { action: msg.cmdId };
+            if (_.has(attrs(msg), 'onOff'))
+                return { state: msg.data.onOff ? 'ON' : 'OFF' };
+        },
+        toZcl: {
+            state: function (value) {
+                var cmd = { ON: 'on', OFF: 'off', TOGGLE: 'toggle' }[String(value).toUpperCase()];
+
+                if (!cmd)
+                    throw new TypeError('state should be ON, OFF or TOGGLE.');
+
+                return { cmd: cmd, zclData: {} };
+            }
+        }
+    },
+    {
+        cid: 'genLevelCtrl',
+        fromZcl: function (msg) {
+            if (msg.type === 'cmd')
+                return { action: msg.cmdId };
+            if (_.has(attrs(msg), 'currentLevel'))
+                return { brightness: msg.data.currentLevel };
+        },
+        toZcl: {
+            brightness: function (value, state) {
+                return {
+                    cmd: 'moveToLevelWithOnOff',
+                    zclData: { level: Math.max(0, Math.min(254, Math.round(value))), transtime: state.transition ? state.transition * 10 : 0 }
+                };
+            },
+            transition: function () {
+                return;     // only used along with brightness
+            }
+        }
+    },
+    {
+        cid: 'lightingColorCtrl',
+        fromZcl: function (msg) {
+            var data = attrs(msg),
+                state = {};
+
+            if (_.has(data, 'colorTemperature'))
+                state.colorTemp = data.colorTemperature;
+            if (_.has(data, 'currentX'))
+                state.colorX = data.currentX / 65535;
+            if (_.has(data, 'currentY'))
+                state.colorY = data.currentY / 65535;
+
+            return state;
+        },
+        toZcl: {
+            colorTemp: function (value, state) {
+                return { cmd: 'moveToColorTemp', zclData: { colortemp: Math.round(value), transtime: state.transition ? state.transition * 10 : 0 } };
+            }
+        }
+    },
+    {
+        cid: 'genPowerCfg',
+        fromZcl: function (msg) {
+            var data = attrs(msg),
+                state = {};
+
+            // percentage in half percent, voltage in 100mV
+            if (_.has(data, 'batteryPercentageRemaining') && data.batteryPercentageRemaining !== 0xff)
+                state.battery = Math.round(data.batteryPercentageRemaining / 2);
+            if (_.has(data, 'batteryVoltage') && data.batteryVoltage !== 0xff)
+                state.voltage = data.batteryVoltage / 10;
+
+            return state;
+        }
+    },
+    {
+        cid: 'msTemperatureMeasurement',
+        fromZcl: function (msg) {
+            // in 0.01 degree Celsius
+            if (_.has(attrs(msg), 'measuredValue') && msg.data.measuredValue !== -32768)
+                return { temperature: msg.data.measuredValue / 100 };
+        }
+    },
+    {
+        cid: 'msRelativeHumidity',
+        fromZcl: function (msg) {
+            // in 0.01 percent
+            if (_.has(attrs(msg), 'measuredValue') && msg.data.measuredValue !== 0xffff)
+                return { humidity: msg.data.measuredValue / 100 };
+        }
+    },
+    {
+        cid: 'msPressureMeasurement',
+        fromZcl: function (msg) {
+            // in 0.1 kPa, which is hPa
+            if (_.has(attrs(msg), 'measuredValue') && msg.data.measuredValue !== -32768)
+                return { pressure: msg.data.measuredValue };
+        }
+    },
+    {
+        cid: 'msIlluminanceMeasurement',
+        fromZcl: function (msg) {
+            // 10000 * log10(lux) + 1
+            if (_.has(attrs(msg), 'measuredValue') && msg.data.measuredValue !== 0xffff)
+                return { illuminance: Math.round(Math.pow(10, (msg.data.measuredValue - 1) / 10000)) };
+        }
+    },
+    {
+        cid: 'msOccupancySensing',
+        fromZcl: function (msg) {
+            if (_.has(attrs(msg), 'occupancy'))
+                return { occupancy: !!(msg.data.occupancy & 0x01) };
+        }
+    },
+    {
+        cid: 'ssIasZone',
+        fromZcl: function (msg) {
+            var zoneStatus,
+                flags;
+
+            if (msg.type === 'cmd' && msg.cmdId === 'statusChangeNotification')
+                zoneStatus = msg.data.zonestatus;
+            else if (_.has(attrs(msg), 'zoneStatus'))
+                zoneStatus = msg.data.zoneStatus;
+
+            if (!_.isNumber(zoneStatus))
+                return;
+
+            flags = Ias.decodeZoneStatus(zoneStatus);
+
+            return {
+                alarm1: flags.alarm1,
+                alarm2: flags.alarm2,
+                tamper: flags.tamper,
+                batteryLow: flags.battery,
+                trouble: flags.trouble
+            };
+        }
+    }
+];
+
+module.exports = Converters;
@@ -0,0 +1,454 @@
+/* jshint node: true */
+'use strict';
+
+var crypto = require('crypto');
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    ZSC = require('zstack-constants'),
+    debug = require('debug')('zigbee-shepherd:green-power');
+
+var zutils = require('./zutils');
+
+var GP_CID = 0x0021,
+    GP_PROFID = 0xA1E0,
+    GP_EPID = 242,
+    REC_TYPE = 'GpDevice',
+    UNSPECIFIED_DEVICE_ID = 0xFE,
+    DEFAULT_TC_LINK_KEY = Buffer.from('ZigBeeAlliance09'),
+    CMD = {
+        notification: 0x00,             // proxy to sink
+        pairing: 0x01,                  // sink to proxy
+        proxyCommissioningMode: 0x02,   // sink to proxy
+        commissioningNotification: 0x04
+    },
+    GPD_CMD = {
+        commissioning: 0xE0,
+        decommissioning: 0xE1
+    },
+    GPD_CMDS = {
+        0x00: 'identify', 0x20: 'off', 0x21: 'on', 0x22: 'toggle',
+        0x30: 'moveUp', 0x31: 'moveDown', 0x32: 'stepUp', 0x33: 'stepDown', 0x34: 'levelControlStop',
+        0x60: 'press1of1', 0x61: 'release1of1', 0x62: 'press1of2', 0x63: 'release1of2', 0x64: 'press2of2', 0x65: 'release2of2',
+        0x66: 'shortPress1of1', 0x67: 'shortPress1of2', 0x68: 'shortPress2of2', 0x69: 'press8bitVector', 0x6A: 'release8bitVector',
+        0xE0: 'commissioning', 0xE1: 'decommissioning', 0xE2: 'success', 0xE3: 'channelRequest'
+    };
+
+for (var scene = 0; scene < 8; scene += 1) {
+    GPD_CMDS[0x10 + scene] = 'recallScene' + scene;
+    GPD_CMDS[0x18 + scene] = 'storeScene' + scene;
+}
+
+function GreenPower(shepherd) {
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._commissioning = false;
+    this._saving = {};      // { srcId: true }, the same commissioning may come from several proxies meanwhile
+    this._seq = 0;
+
+    // frames of the proxies are dispatched raw by af, the green power cluster has no definitions in zcl-packet
+    shepherd.on('ind:gpFrame', function (msg) {
+        Q.fcall(function () {
+            return self._handleFrame(msg);
+        }).fail(function (err) {
+            debug('Unable to handle green power frame from 0x%s due to %s', msg.srcaddr.toString(16), err);
+        }).done();
+    });
+
+    // the proxies look for new devices while the network is open
+    shepherd.on('permitJoining', function (time) {
+        if ((time > 0) === self._commissioning)
+            return;
+
+        self.commissioning(time).fail(function (err) {
+            debug('Unable to set proxy commissioning mode due to %s', err);
+        }).done();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+GreenPower.prototype.list = function () {
+    // [ { srcId, deviceId, securityLevel, securityKeyType, frameCounter, commissionedAt, lastSeen } ], the keys are left out
+    return _.map(this._records(), function (rec) {
+        return _.omit(rec, [ 'id', 'type', 'key', 'lastFrameCounter' ]);
+    });
+};
+
+GreenPower.prototype.find = function (srcId) {
+    proving.number(srcId, 'srcId should be a number.');
+
+    return _.find(this._records(), function (rec) {
+        return rec.srcId === srcId;
+    });
+};
+
+GreenPower.prototype.commissioning = function (time, callback) {
+    // time in seconds, 0 makes the proxies leave the commissioning mode
+    var payload;
+
+    proving.number(time, 'time should be a number.');
+
+    if (time > 0) {
+        // enter, window present, exit when the window expires
+        payload = Buffer.alloc(3);
+        payload.writeUInt8(0x07, 0);
+        payload.writeUInt16LE(Math.min(time, 0xFFFF), 1);
+    } else {
+        payload = Buffer.from([ 0x00 ]);
+    }
+
+    this._commissioning = time > 0;
+    debug('Proxies %s commissioning mode.', time > 0 ? 'enter' : 'leave');
+
+    return this._broadcast(CMD.proxyCommissioningMode, payload).nodeify(callback);
+};
+
+GreenPower.prototype.remove = function (srcId, callback) {
+    // the proxies drop their pairing, then the record is removed
+    var self = this,
+        rec;
+
+    proving.number(srcId, 'srcId should be a number.');
+
+    rec = this.find(srcId);
+
+    if (!rec)
+        return Q.reject(new Error('Green power device 0x' + srcId.toString(16) + ' is not found.')).nodeify(callback);
+
+    return this._pair(rec, true).then(function () {
+        return Q.ninvoke(self._shepherd._devbox, 'remove', rec.id);
+    }).then(function () {
+        debug('Green power device 0x%s removed.', srcId.toString(16));
+        self._shepherd.emit('ind', { type: 'gpDevLeaving', endpoints: [], data: srcId });
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+GreenPower.prototype._handleFrame = function (msg) {
+    var data = msg.data,
+        offset,
+        cmdId,
+        gpdf;
+
+    if (data.length < 3)
+        return Q();
+
+    offset = (data.readUInt8(0) & 0x04) ? 5 : 3;    // manufacturer specific frames carry the manufacturer code
+
+    if (data.length < offset)
+        return Q();
+
+    cmdId = data.readUInt8(offset - 1);
+
+    if ((data.readUInt8(0) & 0x03) !== 0x01 || (cmdId !== CMD.notification && cmdId !== CMD.commissioningNotification))
+        return Q();
+
+    gpdf = parseNotification(data.slice(offset), cmdId === CMD.commissioningNotification);
+
+    if (!gpdf) {
+        debug('Drop truncated or unsupported green power frame from 0x%s.', msg.srcaddr.toString(16));
+        return Q();
+    }
+
+    gpdf.linkquality = msg.linkquality;
+    gpdf.proxy = _.isNil(gpdf.proxy) ? msg.srcaddr : gpdf.proxy;
+
+    if (cmdId === CMD.commissioningNotification)
+        return this._commission(gpdf);
+
+    this._command(gpdf);
+
+    return Q();
+};
+
+GreenPower.prototype._commission = function (gpdf) {
+    // a commissioning command, or the first data frame of a device which commissions itself (e.g. Hue Tap)
+    var self = this,
+        rec = this.find(gpdf.srcId),
+        commissioning;
+
+    if (this._saving[gpdf.srcId])
+        return Q();
+
+    if (gpdf.securityFailed)
+        return Q.reject(new Error('security processing of 0x' + gpdf.srcId.toString(16) + ' failed at the proxy.'));
+
+    if (gpdf.cmdId === GPD_CMD.decommissioning)
+        return rec ? this.remove(gpdf.srcId) : Q();
+
+    if (rec && gpdf.cmdId !== GPD_CMD.commissioning) {
+        this._command(gpdf);
+        return Q();
+    }
+
+    if (!this._commissioning || (rec && this._isDuplicate(rec, gpdf))) {
+        debug('Ignore commissioning of 0x%s.', gpdf.srcId.toString(16));
+        return Q();
+    }
+
+    if (gpdf.cmdId !== GPD_CMD.commissioning) {
+        rec = this._newRecord(gpdf, { deviceId: UNSPECIFIED_DEVICE_ID, securityLevel: gpdf.securityLevel, securityKeyType: gpdf.securityKeyType, key: null });
+
+        return this._save(rec, gpdf).then(function () {
+            self._command(gpdf);
+        });
+    }
+
+    commissioning = parseCommissioning(gpdf.srcId, gpdf.payload);
+
+    if (!commissioning)
+        return Q.reject(new Error('malformed or unauthenticated commissioning frame of 0x' + gpdf.srcId.toString(16) + '.'));
+
+    if (rec)
+        _.assign(rec, commissioning);
+    else
+        rec = this._newRecord(gpdf, commissioning);
+
+    rec.lastFrameCounter = gpdf.frameCounter;
+    rec.lastSeen = Date.now();
+
+    return this._save(rec, gpdf);
+};
+
+GreenPower.prototype._command = function (gpdf) {
+    var rec = this.find(gpdf.srcId);
+
+    if (!rec) {
+        debug('Drop command 0x%s of unknown green power device 0x%s.', gpdf.cmdId.toString(16), gpdf.srcId.toString(16));
+        return;
+    }
+
+    if (this._isReplayed(rec, gpdf))
+        return;
+
+    rec.lastFrameCounter = gpdf.frameCounter;
+    rec.lastSeen = Date.now();
+
+    // the counter has to survive a restart, or the frames recorded before it could be replayed
+    Q.ninvoke(this._shepherd._devbox, 'sync', rec.id).fail(function (err) {
+        debug('Unable to save the frame counter of 0x%s due to %s', gpdf.srcId.toString(16), err);
+    }).done();
+
+    this._shepherd.emit('ind', {
+        type: 'gpCommand',
+        endpoints: [],
+        data: {
+            srcId: gpdf.srcId,
+            cmdId: gpdf.cmdId,
+            cmd: GPD_CMDS[gpdf.cmdId] || 'unknown',
+            payload: Array.prototype.slice.call(gpdf.payload),
+            frameCounter: gpdf.frameCounter,
+            linkquality: gpdf.linkquality,
+            proxy: gpdf.proxy
+        }
+    });
+};
+
+GreenPower.prototype._isDuplicate = function (rec, gpdf) {
+    // every proxy in range forwards the same frame
+    return rec.lastFrameCounter === gpdf.frameCounter && Date.now() - rec.lastSeen < 2000;
+};
+
+GreenPower.prototype._isReplayed = function (rec, gpdf) {
+    // the counter of a secured frame only increases, without security it is the MAC sequence number, which wraps
+    if (!rec.securityLevel || _.isNil(rec.lastFrameCounter))
+        return this._isDuplicate(rec, gpdf);
+
+    return gpdf.frameCounter <= rec.lastFrameCounter;
+};
+
+GreenPower.prototype._newRecord = function (gpdf, commissioning) {
+    // the outgoing counter of a commissioning command is preferred over the one of the frame
+    return _.assign({ type: REC_TYPE, srcId: gpdf.srcId, frameCounter: gpdf.frameCounter }, commissioning, {
+        commissionedAt: Date.now(),
+        lastSeen: Date.now(),
+        lastFrameCounter: null
+    });
+};
+
+GreenPower.prototype._save = function (rec, gpdf) {
+    // the proxies are paired first, a device they do not forward is of no use
+    var self = this,
+        devbox = this._shepherd._devbox,
+        isNew = _.isNil(rec.id);
+
+    rec.frameCounter = Math.max(rec.frameCounter || 0, gpdf.frameCounter);
+    this._saving[rec.srcId] = true;
+
+    return this._pair(rec, false).then(function () {
+        return isNew ? Q.ninvoke(devbox, 'add', rec) : Q.ninvoke(devbox, 'sync', rec.id);
+    }).then(function () {
+        debug('Green power device 0x%s commissioned.', rec.srcId.toString(16));
+
+        if (isNew)
+            self._shepherd.emit('ind', { type: 'gpDevIncoming', endpoints: [], data: _.omit(rec, [ 'id', 'type', 'key', 'lastFrameCounter' ]) });
+    }).fin(function () {
+        delete self._saving[rec.srcId];
+    });
+};
+
+GreenPower.prototype._pair = function (rec, remove) {
+    // lightweight unicast, the proxies tunnel the frames of the device to the coordinator, GP 1.0a A.3.5.2.2
+    var net = this._shepherd.controller.getNetInfo(),
+        hasKey = !remove && !!rec.key,
+        options = (remove ? 0x10 : 0x08) | (3 << 5) | 0x80,    // add or remove, lightweight unicast, fixed location
+        payload;
+
+    if (!remove)
+        options |= ((rec.securityLevel & 0x03) << 9) | ((rec.securityKeyType & 0x07) << 11) | (1 << 14) | (hasKey ? (1 << 15) : 0);
+
+    payload = Buffer.alloc(remove ? 7 : (22 + (hasKey ? 16 : 0)));
+    payload.writeUIntLE(options, 0, 3);
+    payload.writeUInt32LE(rec.srcId, 3);
+
+    if (!remove) {
+        Buffer.from(zutils.toLongAddrString(net.ieeeAddr).slice(2), 'hex').reverse().copy(payload, 7);
+        payload.writeUInt16LE(0x0000, 15);
+        payload.writeUInt8(rec.deviceId, 17);
+        payload.writeUInt32LE(rec.frameCounter, 18);
+
+        if (hasKey)
+            Buffer.from(rec.key).copy(payload, 22);
+    }
+
+    return this._broadcast(CMD.pairing, payload);
+};
+
+GreenPower.prototype._broadcast = function (cmdId, payload) {
+    // cluster specific, server to client, default response disabled, to all the devices with the receiver on
+    var gpEp = this._shepherd.controller.getCoord() ? this._shepherd.controller.getCoord().getDelegator(GP_PROFID) : null,
+        frame;
+
+    if (!gpEp)
+        return Q.reject(new Error('Profile: ' + GP_PROFID + ' is not supported.'));
+
+    this._seq = (this._seq + 1) & 0xFF;
+    frame = Buffer.concat([ Buffer.from([ 0x19, this._seq, cmdId ]), payload ]);
+
+    return this._shepherd.af.sendExt(gpEp, ZSC.AF.addressMode.ADDR_16BIT, 0xFFFD, GP_CID, frame, { dstEpId: GP_EPID, options: 0 });
+};
+
+GreenPower.prototype._records = function () {
+    return this._shepherd._devbox.filter(function (obj) {
+        return obj.type === REC_TYPE;
+    });
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function parseNotification(payload, commissioning) {
+    // GP notification and GP commissioning notification, only devices addressed by a source id (application id 0)
+    var options,
+        gpdf,
+        len;
+
+    if (payload.length < 12)
+        return null;
+
+    options = payload.readUInt16LE(0);
+    len = payload.readUInt8(11);
+
+    if ((options & 0x07) !== 0 || payload.length < 12 + len)
+        return null;
+
+    gpdf = {
+        srcId: payload.readUInt32LE(2),
+        frameCounter: payload.readUInt32LE(6),
+        cmdId: payload.readUInt8(10),
+        payload: payload.slice(12, 12 + len),
+        securityLevel: commissioning ? (options >> 4) & 0x03 : (options >> 6) & 0x03,
+        securityKeyType: commissioning ? (options >> 6) & 0x07 : (options >> 8) & 0x07,
+        securityFailed: commissioning && !!(options & (1 << 9)),
+        proxy: null
+    };
+
+    // the proxy info of a commissioning notification is at bit 11, of a notification at bit 14
+    if ((options & (commissioning ? (1 << 11) : (1 << 14))) && payload.length >= 14 + len)
+        gpdf.proxy = payload.readUInt16LE(12 + len);
+
+    return gpdf;
+}
+
+function parseCommissioning(srcId, payload) {
+    // GP commissioning command, GP 1.0a A.4.2.1.1, the application information is not used
+    var options,
+        extOptions = 0,
+        offset = 2,
+        commissioning,
+        key;
+
+    if (payload.length < 2)
+        return null;
+
+    options = payload.readUInt8(1);
+
+    if (options & 0x80) {
+        if (payload.length < offset + 1)
+            return null;
+
+        extOptions = payload.readUInt8(offset++);
+    }
+
+    commissioning = {
+        deviceId: payload.readUInt8(0),
+        securityLevel: extOptions & 0x03,
+        securityKeyType: (extOptions >> 2) & 0x07,
+        key: null
+    };
+
+    if (extOptions & 0x20) {
+        if (payload.length < offset + ((extOptions & 0x40) ? 20 : 16))
+            return null;
+
+        // an encrypted key is followed by its MIC, a key which fails it is not taken
+        key = (extOptions & 0x40) ? decryptKey(srcId, payload.slice(offset, offset + 16), payload.slice(offset + 16, offset + 20)) : payload.slice(offset, offset + 16);
+
+        if (!key)
+            return null;
+
+        commissioning.key = Array.prototype.slice.call(key);
+        offset += (extOptions & 0x40) ? 20 : 16;
+    }
+
+    if ((extOptions & 0x80) && payload.length >= offset + 4)
+        commissioning.frameCounter = payload.readUInt32LE(offset);
+
+    return commissioning;
+}
+
+function decryptKey(srcId, encrypted, mic) {
+    // AES-CCM* with the default TC link key, the nonce and the header are made of the source id, GP 1.0a A.1.5.3.3.3
+    var nonce = Buffer.alloc(13),
+        header = Buffer.alloc(4),
+        decipher,
+        key;
+
+    nonce.writeUInt32LE(srcId, 0);
+    nonce.writeUInt32LE(srcId, 4);
+    nonce.writeUInt32LE(srcId, 8);
+    nonce.writeUInt8(0x05, 12);             // security control
+    header.writeUInt32LE(srcId, 0);
+
+    decipher = crypto.createDecipheriv('aes-128-ccm', DEFAULT_TC_LINK_KEY, nonce, { authTagLength: 4 });
+    decipher.setAuthTag(mic);
+    decipher.setAAD(header, { plaintextLength: encrypted.length });
+
+    try {
+        key = decipher.update(encrypted);
+        decipher.final();
+    } catch (e) {
+        debug('MIC of the key of 0x%s mismatch.', srcId.toString(16));
+        return null;
+    }
+
+    return key;
+}
+
+module.exports = GreenPower;
@@ -0,0 +1,205 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:ias');
+
+var Device = require('../model/device'),
+    Endpoint = require('../model/endpoint');
+
+var IAS_ZONE_CID = 0x0500,
+    MAX_ZONE_ID = 0xfe,
+    ZONE_STATE_ENROLLED = 1,
+    ENROLL_SUCCESS = 0,
+    ENROLL_TOO_MANY_ZONES = 3,
+    MODES = [ 'autoResponse', 'tripToPair' ];
+
+var ZONE_STATUS_BITS = {
+    alarm1: 0x0001,
+    alarm2: 0x0002,
+    tamper: 0x0004,
+    battery: 0x0008,            // low battery
+    supervisionReports: 0x0010,
+    restoreReports: 0x0020,
+    trouble: 0x0040,
+    acMains: 0x0080,            // AC mains fault
+    test: 0x0100,
+    batteryDefect: 0x0200
+};
+
+function Ias(shepherd, opts) {
+    // opts: { mode }, 'autoResponse' enrolls a zone as soon as the CIE address is written,
+    // 'tripToPair' waits for the zone enroll request sent when the sensor is tripped
+    var self = this;
+
+    opts = opts || {};
+    proving.object(opts, 'opts.ias should be an object if given.');
+
+    if (_.has(opts, 'mode') && !_.includes(MODES, opts.mode))
+        throw new TypeError('opts.ias.mode should be one of ' + MODES.join(', ') + '.');
+
+    this._shepherd = shepherd;
+    this.mode = opts.mode || 'autoResponse';
+
+    // a security sensor reports nothing until it is enrolled, do it every time it joins
+    shepherd.on('ind:incoming', function (dev) {
+        _.forEach(self._zoneEps(dev), function (ep) {
+            self.enroll(ep).fail(function (err) {
+                debug('Unable to enroll %s:%d due to %s', dev.getIeeeAddr(), ep.getEpId(), err);
+            }).done();
+        });
+    });
+
+    shepherd.on('ind:cmd', function (ep, cId, cmdId, payload, msg) {
+        if (cId === IAS_ZONE_CID && cmdId === 'enrollReq')
+            self._enrollRsp(ep, payload).fail(function (err) {
+                debug('Unable to answer the enroll request of %s:%d due to %s', ep.getIeeeAddr(), ep.getEpId(), err);
+            }).done();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Ias.decodeZoneStatus = function (zoneStatus) {
+    var flags = {};
+
+    _.forEach(ZONE_STATUS_BITS, function (bit, flag) {
+        flags[flag] = !!(zoneStatus & bit);
+    });
+
+    return flags;
+};
+
+Ias.prototype.enroll = function (ep, callback) {
+    // writes the address of the coordinator to iasCieAddr of the zone, then enrolls it
+    var self = this,
+        coord = this._shepherd.controller.getCoord();
+
+    if (!(ep instanceof Endpoint))
+        throw new TypeError('ep should be an instance of Endpoint class.');
+
+    if (!_.includes(ep.getInClusterList(), IAS_ZONE_CID))
+        return Q.reject(new Error('Endpoint ' + ep.getEpId() + ' of ' + ep.getIeeeAddr() + ' is not an IAS zone.')).nodeify(callback);
+
+    return ep.write('ssIasZone', 'iasCieAddr', coord.getIeeeAddr()).then(function () {
+        debug('CIE address written to %s:%d.', ep.getIeeeAddr(), ep.getEpId());
+
+        if (self.mode === 'autoResponse')
+            return self._enrollRsp(ep);
+    }).then(function () {
+        return self._verify(ep);
+    }).nodeify(callback);
+};
+
+Ias.prototype.list = function () {
+    // the zone table: [ { zoneId, ieeeAddr, epId, zoneType, enrolled }, ... ]
+    var zones = [];
+
+    _.forEach(this._allZoneEps(), function (ep) {
+        zones.push(_.assign({ ieeeAddr: ep.getIeeeAddr(), epId: ep.getEpId() }, ep.iasZone));
+    });
+
+    return zones.sort(function (a, b) {
+        return a.zoneId - b.zoneId;
+    });
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Ias.prototype._enrollRsp = function (ep, enrollReq) {
+    // enrollReq: { zonetype, manucode } if the zone asked for it
+    var zone = this._zoneOf(ep),
+        rspCode = _.isNil(zone.zoneId) ? ENROLL_TOO_MANY_ZONES : ENROLL_SUCCESS;
+
+    if (enrollReq)
+        zone.zoneType = enrollReq.zonetype;
+
+    debug('Enroll %s:%d as zone %s.', ep.getIeeeAddr(), ep.getEpId(), zone.zoneId);
+
+    return this._sync(ep).then(function () {
+        return ep.functional('ssIasZone', 'enrollRsp', { enrollrspcode: rspCode, zoneid: _.isNil(zone.zoneId) ? 0xff : zone.zoneId });
+    }).then(function () {
+        if (rspCode !== ENROLL_SUCCESS)
+            throw new Error('No zone id is left for ' + ep.getIeeeAddr() + '.');
+    });
+};
+
+Ias.prototype._verify = function (ep) {
+    // the zone tells whether it is enrolled and under which id
+    var self = this,
+        zone = this._zoneOf(ep);
+
+    return ep.foundation('ssIasZone', 'read', [ { attrId: 0x0000 }, { attrId: 0x0001 }, { attrId: 0x0011 } ]).then(function (readStatusRecs) {
+        _.forEach(readStatusRecs, function (rec) {  // { attrId, status, dataType, attrData }
+            if (rec.status !== 0)
+                return;
+
+            if (rec.attrId === 0x0000)
+                zone.enrolled = (rec.attrData === ZONE_STATE_ENROLLED);
+            else if (rec.attrId === 0x0001)
+                zone.zoneType = rec.attrData;
+            else if (rec.attrId === 0x0011 && zone.enrolled)
+                zone.zoneId = rec.attrData;
+        });
+
+        return self._sync(ep);
+    }).then(function () {
+        return _.cloneDeep(zone);
+    });
+};
+
+Ias.prototype._zoneOf = function (ep) {
+    // a zone keeps its id across rejoins, new zones take the lowest free one
+    var used;
+
+    if (!ep.iasZone) {
+        used = _.map(this._allZoneEps(), function (zoneEp) {
+            return zoneEp.iasZone.zoneId;
+        });
+
+        ep.iasZone = { zoneId: null, zoneType: null, enrolled: false };
+
+        for (var id = 0; id <= MAX_ZONE_ID; id += 1) {
+            if (!_.includes(used, id)) {
+                ep.iasZone.zoneId = id;
+                break;
+            }
+        }
+    }
+
+    return ep.iasZone;
+};
+
+Ias.prototype._zoneEps = function (dev) {
+    return _.filter(_.map(dev.epList, function (epId) {
+        return dev.getEndpoint(epId);
+    }), function (ep) {
+        return ep && _.includes(ep.getInClusterList(), IAS_ZONE_CID);
+    });
+};
+
+Ias.prototype._allZoneEps = function () {
+    var eps = [];
+
+    _.forEach(this._shepherd._devbox.exportAllObjs(), function (dev) {
+        if (!(dev instanceof Device))
+            return;
+
+        _.forEach(dev.endpoints, function (ep) {
+            if (ep instanceof Endpoint && ep.iasZone)
+                eps.push(ep);
+        });
+    });
+
+    return eps;
+};
+
+Ias.prototype._sync = function (ep) {
+    return Q.ninvoke(this._shepherd._devbox, 'sync', ep.getDevice()._getId());
+};
+
+module.exports = Ias;
@@ -0,0 +1,318 @@
+/* jshint node: true */
+'use strict';
+
+var EventEmitter = require('events');
+
+var Q = require('q'),
+    _ = require('busyman'),
+    Ziee = require('ziee'),
+    debug = require('debug')('zigbee-shepherd:interview');
+
+var Endpoint = require('../model/endpoint');
+
+// The join of a device goes through these stages in order. The last completed one is persisted in
+// dev.interview, so that a device rejoining after a partial interview resumes from the next stage.
+var STAGES = [ 'associating', 'endpoints', 'basic', 'acceptInterview', 'clusters', 'acceptIncoming', 'sync' ];
+
+var ABORT = '__abort__',
+    REJECTED = '__rejected__';
+
+var attrMap = {
+    4: 'manufName',
+    5: 'modelId',
+    7: 'powerSource'
+};
+
+var powerSourceMap = {
+    0: 'Unknown',
+    1: 'Mains (single phase)',
+    2: 'Mains (3 phase)',
+    3: 'Battery',
+    4: 'DC Source',
+    5: 'Emergency mains constantly powered',
+    6: 'Emergency mains and transfer switch'
+};
+
+var interview = {
+    STAGES: STAGES
+};
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+interview.resumeStage = function (dev) {
+    // the stage to start from after 'associating'
+    var state = dev.interview,
+        done = state ? STAGES.indexOf(state.stage) : -1;
+
+    // a device already interviewed only has to be accepted again
+    if (!dev.incomplete)
+        return 'acceptIncoming';
+
+    // the endpoints are needed by every later stage, without them start over
+    if (done < STAGES.indexOf('endpoints') || _.isEmpty(dev.endpoints))
+        return 'endpoints';
+
+    return STAGES[Math.min(done + 1, STAGES.indexOf('sync'))];
+};
+
+interview.run = function (controller, dev, data, aborted) {
+    // returns the device if accepted, undefined if rejected by the app
+    var shepherd = controller.getShepherd(),
+        from = interview.resumeStage(dev),
+        resumed = !!dev.interview && dev.incomplete && from !== 'endpoints',
+        ctx = { controller: controller, shepherd: shepherd, dev: dev, data: data, aborted: aborted };
+
+    if (!dev.interview)
+        dev.interview = { stage: 'associating', doneEps: [], interested: true };
+
+    if (resumed)
+        debug('Device %s resumes its interview from stage %s.', dev.getIeeeAddr(), from);
+
+    return STAGES.slice(STAGES.indexOf(from)).reduce(function (soFar, stage) {
+        return soFar.then(function () {
+            if (aborted())
+                return Q.reject(ABORT);
+
+            emitStage(ctx, stage, resumed);
+
+            return stages[stage](ctx).then(function () {
+                if (stage === 'sync')
+                    return;
+
+                dev.interview.stage = stage;
+                return syncDev(shepherd, dev);
+            });
+        });
+    }, Q(0)).then(function () {
+        // bindings and reports some devices need, a failure does not fail the join
+        if (from !== 'acceptIncoming') {
+            shepherd.quirks.setup(dev).fail(function (err) {
+                debug('Unable to set up %s with its quirks due to %s', dev.getIeeeAddr(), err);
+            }).done();
+        }
+
+        return dev;
+    }, function (err) {
+        if (err !== REJECTED)
+            throw err;
+
+        // the stage reached so far is kept, the device will be asked again when it rejoins
+        debug('Device %s is rejected during the interview.', dev.getIeeeAddr());
+        shepherd.emit('joining', { type: 'rejected', ieeeAddr: dev.getIeeeAddr(), nwkAddr: dev.getNwkAddr() });
+        dev.update({ incomplete: true });
+
+        return syncDev(shepherd, dev).then(function () {
+            return;
+        });
+    });
+};
+
+/*************************************************************************************************/
+/*** Stages                                                                                    ***/
+/*************************************************************************************************/
+var stages = {};
+
+stages.endpoints = function (ctx) {
+    var controller = ctx.controller,
+        shepherd = ctx.shepherd,
+        dev = ctx.dev;
+
+    return retry(function () {
+        if (ctx.aborted())
+            return Q.reject(ABORT);
+        return controller.simpleDescReq(dev.nwkAddr, dev.ieeeAddr);
+    }, 2).then(function (devInfo) {
+        var endpoints = {},
+            epList = [];
+
+        if (ctx.aborted())
+            return Q.reject(ABORT);
+
+        if (ctx.data.capabilities)
+            dev.capabilities = ctx.data.capabilities;
+
+        _.forEach(devInfo.endpoints, function (epInfo) {
+            var ep = new Endpoint(dev, epInfo);
+
+            ep.clusters = new Ziee();
+            shepherd._attachZclMethods(ep);
+            endpoints[ep.getEpId()] = ep;
+            epList.push(ep.getEpId());
+        });
+
+        if (!devInfo.epList)
+            devInfo.epList = epList;
+        devInfo.endpoints = endpoints;
+
+        dev.update(devInfo);
+        dev.interview.doneEps = [];
+    });
+};
+
+stages.basic = function (ctx) {
+    var controller = ctx.controller,
+        shepherd = ctx.shepherd,
+        dev = ctx.dev,
+        basicEp = _.find(_.values(dev.endpoints), function (ep) {
+            var clusterList = ep.getClusterList();
+            return _.isArray(clusterList) && clusterList.indexOf(0) > -1;
+        });
+
+    if (!basicEp)
+        return Q();
+
+    // manufName, modelId and powerSource
+    return retry(function () {
+        if (ctx.aborted())
+            return Q.reject(ABORT);
+        return shepherd.af.zclFoundation(basicEp, basicEp, 0, 'read', [ { attrId: 4 }, { attrId: 5 }, { attrId: 7 } ], { lane: 'interview' });
+    }, 3).then(function (readStatusRecsRsp) {
+        var info = {};
+
+        if (readStatusRecsRsp && _.isArray(readStatusRecsRsp.payload)) {
+            readStatusRecsRsp.payload.forEach(function (item) {  // { attrId, status, dataType, attrData }
+                if (item && item.hasOwnProperty('attrId') && item.hasOwnProperty('attrData'))
+                    info[attrMap[item.attrId]] = (item.attrId === 7) ? powerSourceMap[item.attrData] : item.attrData;
+            });
+        }
+
+        dev.update(info);
+        debug('Identified Device: { manufacturer: %s, product: %s }', info.manufName, info.modelId);
+    }, function (err) {
+        if (err === ABORT)
+            throw err;
+        throw new Error('Unable to query manditory cluster genBasic, error: ' + err);
+    });
+};
+
+stages.acceptInterview = function (ctx) {
+    var shepherd = ctx.shepherd,
+        dev = ctx.dev;
+
+    if (!_.isFunction(shepherd.acceptDevInterview)) {
+        dev.interview.interested = true;
+        return Q();
+    }
+
+    return Q.ninvoke(shepherd, 'acceptDevInterview', {
+        ieeeAddr: dev.getIeeeAddr(),
+        dev: dev,
+        endpoints: devEndpoints(dev)
+    }).timeout(6000).then(function (result) {
+        if (ctx.aborted())
+            return Q.reject(ABORT);
+        if (!result)
+            return Q.reject(REJECTED);
+
+        // true or { cluster: interested }
+        dev.interview.interested = result;
+    });
+};
+
+stages.clusters = function (ctx) {
+    var shepherd = ctx.shepherd,
+        dev = ctx.dev,
+        state = dev.interview,
+        numberOfEndpoints = _.keys(dev.endpoints).length,
+        interviewEvents = new EventEmitter();
+
+    interviewEvents.on('ind:interview', function (status) {
+        if (status && status.endpoint)
+            status.endpoint.total = numberOfEndpoints;
+        shepherd.emit('ind:interview', dev.ieeeAddr, status);
+    });
+
+    if (shepherd.quirks.find(dev).skipClusterInterview) {
+        debug('Device: %s skips the cluster interview.', dev.getIeeeAddr());
+        return Q();
+    }
+
+    debug('Device: %s starting interview for %d endpoints.', dev.getIeeeAddr(), numberOfEndpoints);
+
+    return _.values(dev.endpoints).reduce(function (soFar, ep) {
+        return soFar.then(function () {
+            if (_.includes(state.doneEps, ep.getEpId()))
+                return;
+            if (ctx.aborted())
+                return Q.reject(ABORT);
+
+            return shepherd.af.zclClustersReq(ep, interviewEvents, state.interested).then(function (clusters) {
+                if (ctx.aborted())
+                    return Q.reject(ABORT);
+
+                _.forEach(clusters, function (cInfo, cid) {
+                    if (cInfo.dir)
+                        ep.clusters.init(cid, 'dir', { value: cInfo.dir });
+                    ep.clusters.init(cid, 'attrs', cInfo.attrs, false);
+                });
+
+                // an endpoint is not interviewed again after a rejoin
+                state.doneEps.push(ep.getEpId());
+                return syncDev(shepherd, dev);
+            });
+        });
+    }, Q(0));
+};
+
+stages.acceptIncoming = function (ctx) {
+    var shepherd = ctx.shepherd,
+        dev = ctx.dev;
+
+    if (!_.isFunction(shepherd.acceptDevIncoming))
+        return Q();
+
+    return Q.ninvoke(shepherd, 'acceptDevIncoming', {
+        ieeeAddr: dev.getIeeeAddr(),
+        endpoints: devEndpoints(dev)
+    }).timeout(6000).then(function (result) {
+        if (!result)
+            return Q.reject(REJECTED);
+    });
+};
+
+stages.sync = function (ctx) {
+    var dev = ctx.dev;
+
+    dev.update({ status: 'online', incomplete: false, interview: null });
+    return syncDev(ctx.shepherd, dev);
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function emitStage(ctx, stage, resumed) {
+    ctx.shepherd.emit('joining', {
+        type: stage,
+        ieeeAddr: ctx.dev.getIeeeAddr(),
+        nwkAddr: ctx.dev.getNwkAddr(),
+        resumed: resumed
+    });
+}
+
+function syncDev(shepherd, dev) {
+    var devbox = shepherd._devbox;
+
+    return Q.ninvoke(devbox, 'sync', dev._getId()).fail(function () {
+        return Q.ninvoke(devbox, 'set', dev._getId(), dev).then(function () {
+            return Q.ninvoke(devbox, 'sync', dev._getId());
+        });
+    });
+}
+
+function devEndpoints(dev) {
+    return _.map(dev.epList, function (epId) {
+        return dev.getEndpoint(epId);
+    });
+}
+
+function retry(fn, n) {
+    var start = fn();
+
+    for (var i = 0; i < n; i++)
+        start = start.fail(fn);
+
+    return start;
+}
+
+module.exports = interview;
@@ -2,7 +2,9 @@
 'use strict';
 
 var Q = require('q'),
+    _ = require('busyman'),
     Device = require('../model/device'),
+    Group = require('../model/group'),
     debug = {
         shepherd: require('debug')('zigbee-shepherd')
     };
@@ -12,7 +14,7 @@ var loader = {};
 loader.reloadSingleDev = function (shepherd, devRec, callback) {
     var dev = shepherd._devbox.get(devRec.id);
 
-    if (dev && dev.getIeeeAddr() === devRec.ieeeAddr) {
+    if ((dev instanceof Device) && dev.getIeeeAddr() === devRec.ieeeAddr) {
         return Q(null).nodeify(callback);
     } else if (dev) {
         devRec.id = null;        // give new id to devRec
@@ -24,12 +26,39 @@ loader.reloadSingleDev = function (shepherd, devRec, callback) {
     return shepherd._registerDev(recoveredDev, callback);    // return (err, id)
 };
 
+loader.reloadSingleGroup = function (shepherd, grpRec, callback) {
+    var group = shepherd._devbox.get(grpRec.id);
+
+    if ((group instanceof Group) && group.getGroupId() === grpRec.groupId) {
+        return Q(null).nodeify(callback);
+    } else if (group) {
+        grpRec.id = null;        // give new id to grpRec
+    }
+
+    var recoveredGroup = new Group(grpRec);
+
+    recoveredGroup._recoverFromRecord(grpRec);
+    shepherd._attachGroupMethods(recoveredGroup);
+    return shepherd._registerGroup(recoveredGroup, callback);    // return (err, id)
+};
+
 loader.reloadDevs = function (shepherd, callback) {
     var recoveredIds = [];
 
-    return Q.ninvoke(shepherd._devbox, 'findFromDb', {}).then(function (devRecs) {
+    return Q.ninvoke(shepherd._devbox, 'findAll', {}).then(function (devRecs) {
         var all = devRecs.map(function (devRec) {
-            if (devRec.nwkAddr !== 0) {  // coordinator
+            if (devRec.type === 'NetParams' || devRec.type === 'GpDevice') {  // plain records, network parameters are applied before the controller starts, see reloadNetParams()
+                if (!shepherd._devbox.has(devRec.id))
+                    return Q.ninvoke(shepherd._devbox, 'set', devRec.id, devRec);
+                return;
+            } else if (devRec.type === 'Group') {
+                return loader.reloadSingleGroup(shepherd, devRec).then(function (id) {
+                    recoveredIds.push(id);
+                }).fail(function (err) {
+                    recoveredIds.push(null);
+                    debug.shepherd("Unable to load group record due to %s", err)
+                })
+            } else if (devRec.nwkAddr !== 0) {  // coordinator
                 return loader.reloadSingleDev(shepherd, devRec).then(function (id) {
                     recoveredIds.push(id);
                 }).fail(function (err) {
@@ -48,6 +77,21 @@ loader.reloadDevs = function (shepherd, callback) {
     }).nodeify(callback);
 };
 
+loader.reloadNetParams = function (shepherd, callback) {
+    // network parameters changed at runtime override opts.net, so that checkNvParams() keeps the network
+    return Q.ninvoke(shepherd._devbox, 'findAll', { type: 'NetParams' }).then(function (recs) {
+        var netRec = recs[0];
+
+        if (!netRec)
+            return;
+
+        // the record is put into the box by reloadDevs(), after the coordinator has taken its id
+        shepherd.controller.setNvParams(_.pick(netRec, [ 'panId', 'extPanId', 'channelList', 'precfgkey', 'precfgkeysEnable' ]));
+    }).fail(function (err) {
+        debug.shepherd("Unable to load network parameters record due to %s", err)
+    }).nodeify(callback);
+};
+
 loader.reload = function (shepherd, callback) {
     return loader.reloadDevs(shepherd).then(function (devIds) {
         return loader.syncDevs(shepherd);
@@ -55,7 +99,7 @@ loader.reload = function (shepherd, callback) {
 };
 
 loader.syncDevs = function (shepherd, callback) {
-    return Q.ninvoke(shepherd._devbox, 'findFromDb', {})
+    return Q.ninvoke(shepherd._devbox, 'findAll', {})
         .then(function (devRecs) {
             var idsNotInBox = [];
 
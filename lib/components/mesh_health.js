@@ -0,0 +1,245 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:mesh-health');
+
+var HISTORY_SIZE = 20;  // route changes kept for each device
+
+function MeshHealth(shepherd, opts) {
+    // opts: { interval, parentLqiThreshold }, interval 0 disables the periodic check
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._timer = null;
+    this._checking = false;
+    this._reports = {};     // { ieeeAddr: report }
+    this._nextHops = {};    // { 'routerIeeeAddr>destIeeeAddr': nextHopIeeeAddr }, as seen in the last check
+    this._routeHistory = {};
+
+    this.interval = 3600000;
+    this.parentLqiThreshold = 60;
+
+    this.configure(opts || {});
+
+    shepherd.on('_ready', function () {
+        self.start();
+    });
+
+    shepherd.controller.on('ZNP:CLOSE', function () {
+        self.stop();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+MeshHealth.prototype.configure = function (opts) {
+    var self = this;
+
+    proving.object(opts, 'opts.meshHealth should be an object.');
+
+    _.forEach(opts, function (val, key) {
+        if (key !== 'interval' && key !== 'parentLqiThreshold')
+            throw new TypeError('Unknown option of meshHealth: ' + key + '.');
+
+        proving.number(val, 'meshHealth.' + key + ' should be a number.');
+        self[key] = val;
+    });
+
+    if (this._timer) {
+        this.stop();
+        this.start();
+    }
+};
+
+MeshHealth.prototype.start = function () {
+    var self = this;
+
+    if (this._timer || !this.interval)
+        return;
+
+    this._timer = setInterval(function () {
+        self.check().fail(function (err) {
+            debug('Mesh health check failed: %s', err);
+        }).done();
+    }, this.interval);
+};
+
+MeshHealth.prototype.stop = function () {
+    if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+};
+
+MeshHealth.prototype.check = function (callback) {
+    // scans the mesh, then emits 'meshHealth' on shepherd for every warning found
+    var self = this,
+        shepherd = this._shepherd;
+
+    if (this._checking || !shepherd._enabled)
+        return Q({ devices: this.reports(), warnings: [] }).nodeify(callback);
+
+    this._checking = true;
+
+    return shepherd.topology().then(function (graph) {
+        var warnings = self._analyze(graph, Date.now());
+
+        _.forEach(warnings, function (warning) {
+            debug('%s of %s.', warning.type, warning.ieeeAddr);
+            shepherd.emit('meshHealth', warning);
+        });
+
+        return { devices: self.reports(), warnings: warnings };
+    }).fin(function () {
+        self._checking = false;
+    }).nodeify(callback);
+};
+
+MeshHealth.prototype.report = function (ieeeAddr) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return _.cloneDeep(this._reports[ieeeAddr]) || null;
+};
+
+MeshHealth.prototype.reports = function () {
+    return _.cloneDeep(_.values(this._reports));
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+MeshHealth.prototype._analyze = function (graph, now) {
+    // graph: { nodes, edges }, see topology.graph()
+    var self = this,
+        nodes = {},
+        links = {},
+        hops = {},
+        coordAddr,
+        queue,
+        addr,
+        warnings = [];
+
+    _.forEach(graph.nodes, function (node) {
+        nodes[node.ieeeAddr] = node;
+        links[node.ieeeAddr] = {};
+
+        if (node.type === 'Coordinator')
+            coordAddr = node.ieeeAddr;
+    });
+
+    // a link is heard from both ends in general, keep the lower lqi
+    _.forEach(graph.edges, function (edge) {
+        if (_.isNil(edge.lqi) || !links[edge.source] || !links[edge.target])
+            return;
+
+        _.forEach([ [ edge.source, edge.target ], [ edge.target, edge.source ] ], function (pair) {
+            var lqi = links[pair[0]][pair[1]];
+            links[pair[0]][pair[1]] = _.isNil(lqi) ? edge.lqi : Math.min(lqi, edge.lqi);
+        });
+    });
+
+    // hops to the coordinator, only the coordinator and routers relay
+    hops[coordAddr] = 0;
+    queue = [ coordAddr ];
+
+    while (queue.length) {
+        addr = queue.shift();
+
+        if (addr !== coordAddr && nodes[addr].type !== 'Router')
+            continue;
+
+        _.forEach(links[addr], function (lqi, neighbor) {
+            if (!hops.hasOwnProperty(neighbor)) {
+                hops[neighbor] = hops[addr] + 1;
+                queue.push(neighbor);
+            }
+        });
+    }
+
+    this._trackRoutes(graph.edges, now);
+
+    _.forEach(graph.nodes, function (node) {
+        var ieeeAddr = node.ieeeAddr,
+            lqis = _.values(links[ieeeAddr]),
+            parent = parentOf(graph.edges, ieeeAddr),
+            upstream,
+            report;
+
+        if (ieeeAddr === coordAddr)
+            return;
+
+        upstream = _.filter(_.keys(links[ieeeAddr]), function (neighbor) {
+            var type = nodes[neighbor].type;
+            return (type === 'Coordinator' || type === 'Router') && hops[neighbor] < hops[ieeeAddr];
+        });
+
+        report = self._reports[ieeeAddr] = {
+            ieeeAddr: ieeeAddr,
+            type: node.type,
+            bestLqi: lqis.length ? Math.max.apply(null, lqis) : null,
+            worstLqi: lqis.length ? Math.min.apply(null, lqis) : null,
+            hops: hops.hasOwnProperty(ieeeAddr) ? hops[ieeeAddr] : null,
+            parent: parent,
+            parentLqi: (parent && !_.isNil(links[ieeeAddr][parent])) ? links[ieeeAddr][parent] : null,
+            alternateParents: _.filter(upstream, function (neighbor) { return neighbor !== parent; }).length,
+            routeChanges: (self._routeHistory[ieeeAddr] || []).slice(),
+            checkedAt: now
+        };
+
+        // a router beyond the first hop should reach the coordinator through more than one router
+        if (node.type === 'Router' && report.hops > 1 && upstream.length === 1)
+            warnings.push({ type: 'singlePointOfFailure', ieeeAddr: ieeeAddr, via: upstream[0], hops: report.hops });
+
+        if (node.type === 'EndDevice' && !_.isNil(report.parentLqi) && report.parentLqi < self.parentLqiThreshold)
+            warnings.push({ type: 'weakParentLink', ieeeAddr: ieeeAddr, parent: parent, lqi: report.parentLqi, threshold: self.parentLqiThreshold });
+    });
+
+    return warnings;
+};
+
+MeshHealth.prototype._trackRoutes = function (edges, now) {
+    // the next hop towards each destination in the table of each router, compared with the last check
+    var self = this,
+        nextHops = {};
+
+    _.forEach(edges, function (edge) {
+        _.forEach(edge.routes, function (route) {
+            var key = edge.source + '>' + route.dest,
+                last = self._nextHops[key],
+                history;
+
+            nextHops[key] = edge.target;
+
+            if (!last || last === edge.target || !_.isString(route.dest))
+                return;
+
+            history = self._routeHistory[route.dest] = self._routeHistory[route.dest] || [];
+            history.push({ time: now, router: edge.source, from: last, to: edge.target });
+
+            if (history.length > HISTORY_SIZE)
+                history.shift();
+        });
+    });
+
+    this._nextHops = nextHops;
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function parentOf(edges, ieeeAddr) {
+    var edge = _.find(edges, function (e) {
+        return (e.target === ieeeAddr && e.relationship === 'child') || (e.source === ieeeAddr && e.relationship === 'parent');
+    });
+
+    if (!edge)
+        return null;
+
+    return (edge.target === ieeeAddr) ? edge.source : edge.target;
+}
+
+module.exports = MeshHealth;
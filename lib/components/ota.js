@@ -0,0 +1,462 @@
+/* jshint node: true */
+'use strict';
+
+var fs = require('fs'),
+    path = require('path');
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:ota');
+
+var Endpoint = require('../model/endpoint');
+
+var OTA_CID = 0x0019,
+    OTA_MAGIC = 0x0BEEF11E,
+    STATUS = { SUCCESS: 0x00, MALFORMED_COMMAND: 0x80, ABORT: 0x95, WAIT_FOR_DATA: 0x97, NO_IMAGE_AVAILABLE: 0x98 },
+    DEFAULT_RSP = 0x0B,
+    CMD = {
+        imageNotify: 0x00,
+        queryNextImageReq: 0x01,
+        queryNextImageRsp: 0x02,
+        imageBlockReq: 0x03,
+        imagePageReq: 0x04,
+        imageBlockRsp: 0x05,
+        upgradeEndReq: 0x06,
+        upgradeEndRsp: 0x07
+    },
+    REQ_LENGTH = {      // the least payload length of the requests
+        0x01: 9,        // queryNextImageReq, hwVersion(2) follows if bit 0 of fieldControl is set
+        0x03: 14,       // imageBlockReq
+        0x04: 18,       // imagePageReq
+        0x06: 9         // upgradeEndReq
+    };
+
+function Ota(shepherd) {
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._images = [];      // [ { file, manufCode, imageType, fileVersion, stackVersion, headerString, totalSize, minHwVersion, maxHwVersion, data }, ... ]
+    this._sessions = {};    // { ieeeAddr: { image, offset, lastBlockTime, lastProgressTime }, ... }
+    this._seq = 0;
+
+    this.maxBlockSize = 50;             // bytes of image data in a single imageBlockRsp
+    this.sleepyBlockPeriod = 250;       // ms, a sleepy device asking faster than this is told to wait
+    this.progressInterval = 5000;       // ms, progress events of a device are fired no more often than this
+
+    // requests are dispatched raw by af, since the upgrade commands have no definitions in zcl-packet
+    shepherd.on('ind:otaRequest', function (ep, zclHeader, msg) {
+        Q.fcall(function () {
+            return self._handleRequest(ep, zclHeader, msg);
+        }).fail(function (err) {
+            debug('Unable to serve ota request from %s due to %s', ep.getIeeeAddr(), err);
+        }).done();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Ota.prototype.load = function (dir, callback) {
+    // load all OTA files in dir, a file without a valid OTA header is skipped
+    var self = this;
+
+    proving.string(dir, 'dir should be a string.');
+
+    return Q.nfcall(fs.readdir, dir).then(function (files) {
+        var readSteps = [],
+            images = [];
+
+        _.forEach(files, function (file) {
+            readSteps.push(function () {
+                var filePath = path.join(dir, file);
+
+                return Q.nfcall(fs.stat, filePath).then(function (stats) {
+                    if (!stats.isFile())
+                        return;
+
+                    return Q.nfcall(fs.readFile, filePath).then(function (buf) {
+                        var image = parseImage(buf);
+
+                        if (!image) {
+                            debug('Skip %s, no OTA header found.', filePath);
+                            return;
+                        }
+
+                        image.file = filePath;
+                        images.push(image);
+                    });
+                });
+            });
+        });
+
+        return readSteps.reduce(function (soFar, fn) {
+            return soFar.then(fn);
+        }, Q(0)).then(function () {
+            self._images = images;
+            return self.list();
+        });
+    }).nodeify(callback);
+};
+
+Ota.prototype.list = function () {
+    return _.map(this._images, function (image) {
+        return _.omit(image, [ 'data' ]);
+    });
+};
+
+Ota.prototype.notify = function (ep, callback) {
+    // tell the device to query the server for a new image, payloadType 0 with a jitter of 100
+    var dlgEp;
+
+    checkRemoteEp(ep);
+
+    dlgEp = this._shepherd.controller.getCoord().getDelegator(ep.getProfId());
+
+    if (!dlgEp)
+        return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.')).nodeify(callback);
+
+    this._seq = (this._seq + 1) & 0xFF;
+
+    return this._send(dlgEp, ep, this._seq, CMD.imageNotify, Buffer.from([ 0x00, 100 ])).nodeify(callback);
+};
+
+Ota.prototype.sessions = function () {
+    return _.map(this._sessions, function (session, ieeeAddr) {
+        return {
+            ieeeAddr: ieeeAddr,
+            fileVersion: session.image.fileVersion,
+            offset: session.offset,
+            size: session.image.totalSize
+        };
+    });
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Ota.prototype._handleRequest = function (ep, zclHeader, msg) {
+    var dlgEp = this._shepherd.controller.getCoord().getDelegator(ep.getProfId()),
+        payload = msg.data.slice(zclHeader.frameCntl.manufSpec ? 5 : 3);
+
+    if (!dlgEp)
+        return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.'));
+
+    if (isMalformed(zclHeader.cmdId, payload)) {
+        debug('Malformed ota request %s from %s.', zclHeader.cmdId, ep.getIeeeAddr());
+        return this._sendDefaultRsp(dlgEp, ep, zclHeader.seqNum, zclHeader.cmdId, STATUS.MALFORMED_COMMAND);
+    }
+
+    switch (zclHeader.cmdId) {
+        case CMD.queryNextImageReq:
+            return this._queryNextImage(dlgEp, ep, zclHeader.seqNum, payload);
+        case CMD.imageBlockReq:
+            return this._imageBlock(dlgEp, ep, zclHeader.seqNum, payload);
+        case CMD.imagePageReq:
+            return this._imagePage(dlgEp, ep, zclHeader.seqNum, payload);
+        case CMD.upgradeEndReq:
+            return this._upgradeEnd(dlgEp, ep, zclHeader.seqNum, payload);
+        default:
+            return Q();
+    }
+};
+
+Ota.prototype._queryNextImage = function (dlgEp, ep, seqNum, payload) {
+    // payload: fieldControl(1), manufCode(2), imageType(2), fileVersion(4)[, hwVersion(2)]
+    var ieeeAddr = ep.getIeeeAddr(),
+        req = {
+            manufCode: payload.readUInt16LE(1),
+            imageType: payload.readUInt16LE(3),
+            fileVersion: payload.readUInt32LE(5),
+            hwVersion: (payload.readUInt8(0) & 0x01) ? payload.readUInt16LE(9) : null
+        },
+        image = this._findImage(req),
+        rsp;
+
+    if (!image) {
+        debug('No image available for %s, manufCode: %s, imageType: %s.', ieeeAddr, req.manufCode, req.imageType);
+        return this._send(dlgEp, ep, seqNum, CMD.queryNextImageRsp, Buffer.from([ STATUS.NO_IMAGE_AVAILABLE ]));
+    }
+
+    rsp = Buffer.alloc(13);
+    rsp.writeUInt8(STATUS.SUCCESS, 0);
+    rsp.writeUInt16LE(image.manufCode, 1);
+    rsp.writeUInt16LE(image.imageType, 3);
+    rsp.writeUInt32LE(image.fileVersion, 5);
+    rsp.writeUInt32LE(image.totalSize, 9);
+
+    this._sessions[ieeeAddr] = { image: image, offset: 0, lastBlockTime: 0, lastProgressTime: 0 };
+    this._emitProgress(ep, true);
+
+    return this._send(dlgEp, ep, seqNum, CMD.queryNextImageRsp, rsp);
+};
+
+Ota.prototype._imageBlock = function (dlgEp, ep, seqNum, payload) {
+    // payload: fieldControl(1), manufCode(2), imageType(2), fileVersion(4), fileOffset(4), maxDataSize(1)[, ieeeAddr(8)][, minBlockPeriod(2)]
+    var session = this._sessionOf(ep, payload),
+        now = Date.now(),
+        waitTime,
+        rsp;
+
+    if (!session)
+        return this._send(dlgEp, ep, seqNum, CMD.imageBlockRsp, Buffer.from([ STATUS.ABORT ]));
+
+    if (this._shepherd.quirks.isSleepy(ep.getDevice()) && now - session.lastBlockTime < this.sleepyBlockPeriod) {
+        // currentTime(4) of 0 makes requestTime(4) an offset in seconds, minBlockPeriod(2) in ms
+        waitTime = Math.ceil((this.sleepyBlockPeriod - (now - session.lastBlockTime)) / 1000);
+        rsp = Buffer.alloc(11);
+        rsp.writeUInt8(STATUS.WAIT_FOR_DATA, 0);
+        rsp.writeUInt32LE(0, 1);
+        rsp.writeUInt32LE(waitTime, 5);
+        rsp.writeUInt16LE(this.sleepyBlockPeriod, 9);
+
+        return this._send(dlgEp, ep, seqNum, CMD.imageBlockRsp, rsp);
+    }
+
+    session.lastBlockTime = now;
+
+    return this._sendBlock(dlgEp, ep, seqNum, session, payload.readUInt32LE(9), payload.readUInt8(13));
+};
+
+Ota.prototype._imagePage = function (dlgEp, ep, seqNum, payload) {
+    // payload: fieldControl(1), manufCode(2), imageType(2), fileVersion(4), fileOffset(4), maxDataSize(1), pageSize(2), responseSpacing(2)[, ieeeAddr(8)]
+    var self = this,
+        session = this._sessionOf(ep, payload),
+        offset,
+        endOffset,
+        maxDataSize,
+        spacing,
+        blockSteps = [];
+
+    if (!session)
+        return this._send(dlgEp, ep, seqNum, CMD.imageBlockRsp, Buffer.from([ STATUS.ABORT ]));
+
+    offset = payload.readUInt32LE(9);
+    maxDataSize = Math.min(payload.readUInt8(13), this.maxBlockSize);
+    endOffset = Math.min(offset + payload.readUInt16LE(14), session.image.totalSize);
+    spacing = payload.readUInt16LE(16);
+
+    if (this._shepherd.quirks.isSleepy(ep.getDevice()))
+        spacing = Math.max(spacing, this.sleepyBlockPeriod);
+
+    for (var blockOffset = offset; blockOffset < endOffset; blockOffset += maxDataSize) {
+        blockSteps.push(sendBlockAt(blockOffset, Math.min(maxDataSize, endOffset - blockOffset)));
+    }
+
+    function sendBlockAt(blockOffset, size) {
+        return function () {
+            session.lastBlockTime = Date.now();
+            return self._sendBlock(dlgEp, ep, seqNum, session, blockOffset, size).delay(spacing);
+        };
+    }
+
+    return blockSteps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0));
+};
+
+Ota.prototype._upgradeEnd = function (dlgEp, ep, seqNum, payload) {
+    // payload: status(1), manufCode(2), imageType(2), fileVersion(4)
+    var ieeeAddr = ep.getIeeeAddr(),
+        session = this._sessions[ieeeAddr],
+        status = payload.readUInt8(0),
+        fileVersion = payload.readUInt32LE(5),
+        rsp;
+
+    delete this._sessions[ieeeAddr];
+
+    this._shepherd.emit('ind', {
+        type: 'otaEnd',
+        endpoints: [ ep ],
+        data: { fileVersion: fileVersion, status: status === STATUS.SUCCESS ? 'success' : 'failed', statusCode: status }
+    });
+
+    if (status !== STATUS.SUCCESS || !session) {
+        debug('Upgrade of %s ends with status %s.', ieeeAddr, status);
+        return Q();
+    }
+
+    // currentTime(4) and upgradeTime(4) both 0, the device should upgrade now
+    rsp = Buffer.alloc(16);
+    rsp.writeUInt16LE(session.image.manufCode, 0);
+    rsp.writeUInt16LE(session.image.imageType, 2);
+    rsp.writeUInt32LE(session.image.fileVersion, 4);
+    rsp.writeUInt32LE(0, 8);
+    rsp.writeUInt32LE(0, 12);
+
+    return this._send(dlgEp, ep, seqNum, CMD.upgradeEndRsp, rsp);
+};
+
+Ota.prototype._sendBlock = function (dlgEp, ep, seqNum, session, offset, maxDataSize) {
+    var image = session.image,
+        data = image.data.slice(offset, offset + Math.min(maxDataSize, this.maxBlockSize)),
+        rsp = Buffer.alloc(14 + data.length);
+
+    rsp.writeUInt8(STATUS.SUCCESS, 0);
+    rsp.writeUInt16LE(image.manufCode, 1);
+    rsp.writeUInt16LE(image.imageType, 3);
+    rsp.writeUInt32LE(image.fileVersion, 5);
+    rsp.writeUInt32LE(offset, 9);
+    rsp.writeUInt8(data.length, 13);
+    data.copy(rsp, 14);
+
+    session.offset = offset + data.length;
+    this._emitProgress(ep);
+
+    return this._send(dlgEp, ep, seqNum, CMD.imageBlockRsp, rsp);
+};
+
+Ota.prototype._send = function (dlgEp, ep, seqNum, cmdId, payload) {
+    // server to client, cluster specific, default response disabled
+    var frame = Buffer.concat([ Buffer.from([ 0x19, seqNum, cmdId ]), payload ]);
+
+    return this._shepherd.af.send(dlgEp, ep, OTA_CID, frame);
+};
+
+Ota.prototype._sendDefaultRsp = function (dlgEp, ep, seqNum, cmdId, status) {
+    // server to client, global, default response disabled
+    var frame = Buffer.from([ 0x18, seqNum, DEFAULT_RSP, cmdId, status ]);
+
+    return this._shepherd.af.send(dlgEp, ep, OTA_CID, frame);
+};
+
+Ota.prototype._sessionOf = function (ep, payload) {
+    // a transfer may go on after a restart of the server, the session is then rebuilt from the requested image
+    var ieeeAddr = ep.getIeeeAddr(),
+        session = this._sessions[ieeeAddr],
+        manufCode = payload.readUInt16LE(1),
+        imageType = payload.readUInt16LE(3),
+        fileVersion = payload.readUInt32LE(5),
+        image;
+
+    if (session && session.image.manufCode === manufCode && session.image.imageType === imageType && session.image.fileVersion === fileVersion)
+        return session;
+
+    image = _.find(this._images, function (img) {
+        return img.manufCode === manufCode && img.imageType === imageType && img.fileVersion === fileVersion;
+    });
+
+    if (!image)
+        return;
+
+    session = this._sessions[ieeeAddr] = { image: image, offset: 0, lastBlockTime: 0, lastProgressTime: 0 };
+
+    return session;
+};
+
+Ota.prototype._findImage = function (req) {
+    var candidates = _.filter(this._images, function (image) {
+        if (image.manufCode !== req.manufCode || image.imageType !== req.imageType || image.fileVersion <= req.fileVersion)
+            return false;
+
+        if (!_.isNil(req.hwVersion) && !_.isNil(image.minHwVersion))
+            return req.hwVersion >= image.minHwVersion && req.hwVersion <= image.maxHwVersion;
+
+        return true;
+    });
+
+    return _.last(candidates.sort(function (a, b) {
+        return a.fileVersion - b.fileVersion;
+    }));
+};
+
+Ota.prototype._emitProgress = function (ep, force) {
+    var session = this._sessions[ep.getIeeeAddr()],
+        now = Date.now(),
+        done;
+
+    if (!session)
+        return;
+
+    done = session.offset >= session.image.totalSize;
+
+    if (!force && !done && now - session.lastProgressTime < this.progressInterval)
+        return;
+
+    session.lastProgressTime = now;
+
+    this._shepherd.emit('ind', {
+        type: 'otaProgress',
+        endpoints: [ ep ],
+        data: {
+            fileVersion: session.image.fileVersion,
+            offset: session.offset,
+            size: session.image.totalSize,
+            percent: Math.floor(session.offset * 100 / session.image.totalSize)
+        }
+    });
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function parseImage(buf) {
+    // some vendors prepend their own header, the OTA header starts at the magic number
+    var start = -1,
+        fieldControl,
+        image,
+        i;
+
+    for (i = 0; i + 56 <= buf.length; i += 1) {
+        if (buf.readUInt32LE(i) === OTA_MAGIC) {
+            start = i;
+            break;
+        }
+    }
+
+    if (start < 0)
+        return;
+
+    buf = buf.slice(start);
+    fieldControl = buf.readUInt16LE(8);
+
+    image = {
+        headerVersion: buf.readUInt16LE(4),
+        manufCode: buf.readUInt16LE(10),
+        imageType: buf.readUInt16LE(12),
+        fileVersion: buf.readUInt32LE(14),
+        stackVersion: buf.readUInt16LE(18),
+        headerString: buf.toString('utf8', 20, 52).replace(/\0[\s\S]*$/, ''),
+        totalSize: buf.readUInt32LE(52),
+        minHwVersion: null,
+        maxHwVersion: null
+    };
+
+    if (fieldControl & 0x04) {    // hardware versions present, after security credential version(1) and upgrade file destination(8)
+        i = 56 + ((fieldControl & 0x01) ? 1 : 0) + ((fieldControl & 0x02) ? 8 : 0);
+
+        if (buf.length < i + 4)
+            return;
+
+        image.minHwVersion = buf.readUInt16LE(i);
+        image.maxHwVersion = buf.readUInt16LE(i + 2);
+    }
+
+    if (image.totalSize > buf.length)
+        return;
+
+    image.data = buf.slice(0, image.totalSize);
+
+    return image;
+}
+
+function isMalformed(cmdId, payload) {
+    if (!REQ_LENGTH.hasOwnProperty(cmdId))
+        return false;
+
+    if (payload.length < REQ_LENGTH[cmdId])
+        return true;
+
+    // maxDataSize(1) of 0 would never get through the image
+    if ((cmdId === CMD.imageBlockReq || cmdId === CMD.imagePageReq) && payload.readUInt8(13) === 0)
+        return true;
+
+    return cmdId === CMD.queryNextImageReq && !!(payload.readUInt8(0) & 0x01) && payload.length < REQ_LENGTH[cmdId] + 2;
+}
+
+function checkRemoteEp(ep) {
+    if (!(ep instanceof Endpoint) || ep.isLocal())
+        throw new TypeError('ep should be an instance of remote Endpoint class.');
+}
+
+module.exports = Ota;
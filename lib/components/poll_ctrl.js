@@ -0,0 +1,201 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:poll-ctrl');
+
+var POLL_CTRL_CID = 0x0020,
+    INTERVALS = [ 'checkIn', 'longPoll', 'shortPoll' ];
+
+function PollCtrl(shepherd, opts) {
+    // opts: { checkIn, fastPollTimeout } in seconds, checkIn is written to the devices when they join
+    var self = this;
+
+    this._shepherd = shepherd;
+
+    this.checkIn = 3600;
+    this.fastPollTimeout = 10;  // the time a device fast polls for the messages queued for it
+
+    this.configure(opts || {});
+
+    shepherd.on('ind:incoming', function (dev) {
+        _.forEach(self._pollCtrlEps(dev), function (ep) {
+            self.setup(ep).fail(function (err) {
+                debug('Unable to set up poll control of %s:%d due to %s', dev.getIeeeAddr(), ep.getEpId(), err);
+            }).done();
+        });
+    });
+
+    shepherd.on('ind:cmd', function (ep, cId, cmdId) {
+        if (cId === POLL_CTRL_CID && (cmdId === 'checkin' || cmdId === 0))
+            self._checkinRsp(ep).fail(function (err) {
+                debug('Unable to answer the checkin of %s:%d due to %s', ep.getIeeeAddr(), ep.getEpId(), err);
+            }).done();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+PollCtrl.prototype.configure = function (opts) {
+    var self = this;
+
+    proving.object(opts, 'opts.pollCtrl should be an object.');
+
+    _.forEach(opts, function (val, key) {
+        if (key !== 'checkIn' && key !== 'fastPollTimeout')
+            throw new TypeError('Unknown option of pollCtrl: ' + key + '.');
+
+        proving.number(val, 'pollCtrl.' + key + ' should be a number.');
+        self[key] = val;
+    });
+};
+
+PollCtrl.prototype.setup = function (ep, callback) {
+    // the checkins are bound to the coordinator, then the recorded intervals are written again
+    var self = this,
+        dlgEp = this._shepherd.controller.getCoord().getDelegator(ep.getProfId()),
+        rec = this._recordOf(ep);
+
+    if (!dlgEp)
+        return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.')).nodeify(callback);
+
+    return ep.bind(POLL_CTRL_CID, dlgEp).then(function () {
+        return self._apply(ep, {
+            checkIn: _.isNil(rec.checkIn) ? self.checkIn : rec.checkIn,
+            longPoll: rec.longPoll,
+            shortPoll: rec.shortPoll
+        });
+    }).nodeify(callback);
+};
+
+PollCtrl.prototype.set = function (ieeeAddr, intervals, callback) {
+    // intervals: { longPoll, shortPoll, checkIn } in seconds, recorded first so that a rejoin applies them again
+    var self = this,
+        dev,
+        ep,
+        rec;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.object(intervals, 'intervals should be an object.');
+
+    _.forEach(intervals, function (val, key) {
+        if (!_.includes(INTERVALS, key))
+            throw new TypeError('Unknown poll interval: ' + key + '.');
+
+        proving.number(val, key + ' should be a number.');
+    });
+
+    dev = this._shepherd._findDevByAddr(ieeeAddr);
+
+    if (!dev)
+        return Q.reject(new Error('device is not found.')).nodeify(callback);
+
+    ep = this._pollCtrlEps(dev)[0];
+
+    if (!ep)
+        return Q.reject(new Error('Device ' + ieeeAddr + ' has no poll control cluster.')).nodeify(callback);
+
+    rec = _.assign({}, this._recordOf(ep), intervals);
+
+    // the device refuses a long poll interval above its checkin interval, or a short one above the long one
+    if ((rec.checkIn && rec.longPoll && rec.longPoll > rec.checkIn) || (rec.longPoll && rec.shortPoll && rec.shortPoll > rec.longPoll))
+        return Q.reject(new Error('Poll intervals should be shortPoll <= longPoll <= checkIn.')).nodeify(callback);
+
+    _.assign(this._recordOf(ep), intervals, { applied: false });
+
+    return this._sync(ep).then(function () {
+        return self._apply(ep, intervals);
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+PollCtrl.prototype._apply = function (ep, intervals) {
+    // the checkin interval goes first, a longer long poll interval is checked against it
+    var self = this,
+        steps = [];
+
+    if (!_.isNil(intervals.checkIn))
+        steps.push(function () {
+            return ep.write('genPollCtrl', 'checkinInterval', quarters(intervals.checkIn));
+        });
+
+    if (!_.isNil(intervals.longPoll))
+        steps.push(function () {
+            return ep.functional('genPollCtrl', 'setLongPollInterval', { newlongpollinterval: quarters(intervals.longPoll) });
+        });
+
+    if (!_.isNil(intervals.shortPoll))
+        steps.push(function () {
+            return ep.functional('genPollCtrl', 'setShortPollInterval', { newshortpollinterval: quarters(intervals.shortPoll) });
+        });
+
+    return steps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        self._recordOf(ep).applied = true;
+    }, function (err) {
+        self._recordOf(ep).applied = false;
+        throw err;
+    }).fin(function () {
+        return self._sync(ep);
+    });
+};
+
+PollCtrl.prototype._checkinRsp = function (ep) {
+    // the device fast polls only if messages are waiting for it, they are released once it is answered
+    var sleepyQueue = this._shepherd.sleepyQueue,
+        ieeeAddr = ep.getIeeeAddr(),
+        fastPoll = sleepyQueue.pending(ieeeAddr) > 0;
+
+    debug('Checkin of %s, %d messages queued.', ieeeAddr, sleepyQueue.pending(ieeeAddr));
+
+    return ep.functional('genPollCtrl', 'checkinRsp', {
+        startfastpolling: fastPoll ? 1 : 0,
+        fastpolltimeout: fastPoll ? quarters(this.fastPollTimeout) : 0
+    }, { queue: false }).fail(function (err) {
+        debug('Checkin response to %s failed: %s', ieeeAddr, err);
+    }).then(function () {
+        return sleepyQueue.checkIn(ieeeAddr);
+    }).then(function () {
+        if (fastPoll)
+            return ep.functional('genPollCtrl', 'fastPollStop', {}, { queue: false });
+    });
+};
+
+PollCtrl.prototype._recordOf = function (ep) {
+    if (!ep.pollCtrl)
+        ep.pollCtrl = { checkIn: null, longPoll: null, shortPoll: null, applied: false };
+
+    return ep.pollCtrl;
+};
+
+PollCtrl.prototype._pollCtrlEps = function (dev) {
+    return _.filter(_.map(dev.epList, function (epId) {
+        return dev.getEndpoint(epId);
+    }), function (ep) {
+        return ep && _.includes(ep.getInClusterList(), POLL_CTRL_CID);
+    });
+};
+
+PollCtrl.prototype._sync = function (ep) {
+    var dev = ep.getDevice();
+
+    return Q.ninvoke(this._shepherd._devbox, 'sync', dev._getId()).fail(function (err) {
+        debug('Unable to sync poll control of %s due to %s', dev.getIeeeAddr(), err);
+    });
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function quarters(seconds) {
+    // the poll control cluster counts in quarter seconds
+    return Math.round(seconds * 4);
+}
+
+module.exports = PollCtrl;
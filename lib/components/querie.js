@@ -7,7 +7,9 @@ var Q = require('q'),
     proving = require('proving'),
     ZSC = require('zstack-constants');
 
-var Endpoint  = require('../model/endpoint'),
+var Group = require('../model/group'),
+    Endpoint  = require('../model/endpoint'),
+    Coordinator = require('../model/coord'),
     Coordpoint  = require('../model/coordpoint'),
     zutils = require('./zutils');
 
@@ -125,42 +127,61 @@ querie.deviceWithEndpoints = function (nwkAddr, ieeeAddr, callback) {
     }).nodeify(callback);
 };
 
-querie.setBindingEntry = function (bindMode, srcEp, cId, dstEpOrGrpId, callback) {
+querie.setBindingEntry = function (bindMode, srcEp, cId, dst, dstEpId, callback) {
+    // dst: Endpoint, Coordpoint, the Coordinator, Group, group id, or ieeeAddr of a device along with dstEpId
     var cIdItem = zclId.cluster(cId),
         bindParams,
-        dstEp,
-        grpId,
-        req;
+        dstIeeeAddr,
+        grpId;
+
+    if (_.isFunction(dstEpId)) {
+        callback = dstEpId;
+        dstEpId = undefined;
+    }
 
     if (!((srcEp instanceof Endpoint) || (srcEp instanceof Coordpoint)))
         throw new TypeError('srcEp should be an instance of Endpoint class.');
 
     proving.defined(cIdItem, 'Invalid cluster id: ' + cId + '.');
 
-    if (_.isNumber(dstEpOrGrpId) && !_.isNaN(dstEpOrGrpId))
-        grpId = dstEpOrGrpId;
-    else if (dstEpOrGrpId instanceof Endpoint || dstEpOrGrpId instanceof Coordpoint)
-        dstEp = dstEpOrGrpId;
-    else
-        throw new TypeError('dstEpOrGrpId should be an instance of Endpoint class or a number of group id.');
+    if (dst instanceof Coordinator) {
+        // the coordinator receives on the delegator of the same profile, or the HA one as af.send() falls back to
+        dst = dst.getDelegator(srcEp.getProfId()) || dst.getDelegator(0x0104);
+
+        if (!dst)
+            return Q.reject(new Error('Coordinator has no delegator of profile ' + srcEp.getProfId() + '.')).nodeify(callback);
+    } else if (dst instanceof Group) {
+        dst = dst.getGroupId();
+    }
+
+    if (_.isNumber(dst) && !_.isNaN(dst)) {
+        grpId = dst;
+    } else if (dst instanceof Endpoint || dst instanceof Coordpoint) {
+        dstIeeeAddr = dst.getIeeeAddr();
+        dstEpId = dst.getEpId();
+    } else if (_.isString(dst)) {
+        proving.number(dstEpId, 'dstEpId should be a number when binding to an ieeeAddr.');
+        dstIeeeAddr = dst;
+    } else {
+        throw new TypeError('dst should be an Endpoint, the Coordinator, a Group, a group id or an ieeeAddr.');
+    }
 
     bindParams = {
         dstaddr: srcEp.getNwkAddr(),
         srcaddr: srcEp.getIeeeAddr(),
         srcendpoint: srcEp.getEpId(),
         clusterid: cIdItem.value,
-        dstaddrmode: dstEp ? ZSC.AF.addressMode.ADDR_64BIT : ZSC.AF.addressMode.ADDR_GROUP,
-        addr_short_long: dstEp ? dstEp.getIeeeAddr() : zutils.toLongAddrString(grpId),
-        dstendpoint: dstEp ? dstEp.getEpId() : 0xFF
+        dstaddrmode: dstIeeeAddr ? ZSC.AF.addressMode.ADDR_64BIT : ZSC.AF.addressMode.ADDR_GROUP,
+        addr_short_long: dstIeeeAddr ? dstIeeeAddr : zutils.toLongAddrString(grpId),
+        dstendpoint: dstIeeeAddr ? dstEpId : 0xFF
     };
 
-    if (bindMode === 0 || bindMode === 'bind') {
-        req = function () { return controller.request('ZDO', 'bindReq', bindParams); };
-    } else if (bindMode === 1 || bindMode === 'unbind') {
-        req = function () { return controller.request('ZDO', 'unbindReq', bindParams); };
-    }
-
-    return req().nodeify(callback);
+    if (bindMode === 0 || bindMode === 'bind')
+        return controller.request('ZDO', 'bindReq', bindParams).nodeify(callback);
+    else if (bindMode === 1 || bindMode === 'unbind')
+        return controller.request('ZDO', 'unbindReq', bindParams).nodeify(callback);
+    else
+        return Q.reject(new Error('Unknown binding mode: ' + bindMode + '.')).nodeify(callback);
 };
 
 /*************************************************************************************************/
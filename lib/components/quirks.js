@@ -0,0 +1,227 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    zclId = require('zcl-id'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:quirks');
+
+var MATCH_KEYS = [ 'manufName', 'modelId', 'manufId' ],
+    QUIRK_KEYS = [ 'skipClusterInterview', 'endpointMap', 'manufCode', 'ignoreAttrs', 'singleReads', 'sleepy', 'bind', 'report', 'configure' ];
+
+function Quirks(shepherd, entries) {
+    // entries: [ quirk, ... ], see add() for the fields of a quirk
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._entries = [];
+
+    _.forEach(entries || [], function (entry) {
+        self.add(entry);
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Quirks.prototype.add = function (entry) {
+    // entry: {
+    //     manufName, modelId: string or RegExp, manufId: number, every one given should match
+    //     skipClusterInterview: true, the device is accepted without reading its clusters
+    //     endpointMap: { srcEpId: epId }, messages sent from srcEpId are taken as sent from epId
+    //     manufCode: number, used in manufacturer specific frames instead of the manufId of the device
+    //     ignoreAttrs: { cId: [ attrId, ... ] }, attributes never read during the interview
+    //     singleReads: true or [ cId, ... ], attributes are read one by one
+    //     sleepy: boolean, overrides the receiver-on-when-idle capability
+    //     bind: [ { epId, cId } ], bound to the coordinator after the interview
+    //     report: [ { epId, cId, attrId, minInt, maxInt, repChange } ], configured after the interview
+    //     configure: function (dev, shepherd, callback), any other setup after the interview
+    // }
+    proving.object(entry, 'quirk should be an object.');
+
+    if (!_.some(MATCH_KEYS, function (key) { return _.has(entry, key); }))
+        throw new TypeError('quirk should match on at least one of ' + MATCH_KEYS.join(', ') + '.');
+
+    _.forEach(entry, function (val, key) {
+        if (!_.includes(MATCH_KEYS, key) && !_.includes(QUIRK_KEYS, key))
+            throw new TypeError('Unknown quirk: ' + key + '.');
+    });
+
+    _.forEach([ 'manufName', 'modelId' ], function (key) {
+        if (_.has(entry, key) && !_.isString(entry[key]) && !(entry[key] instanceof RegExp))
+            throw new TypeError(key + ' should be a string or a RegExp.');
+    });
+
+    if (_.has(entry, 'manufId'))
+        proving.number(entry.manufId, 'manufId should be a number.');
+    if (_.has(entry, 'manufCode'))
+        proving.number(entry.manufCode, 'manufCode should be a number.');
+    if (_.has(entry, 'endpointMap'))
+        proving.object(entry.endpointMap, 'endpointMap should be an object.');
+    if (_.has(entry, 'ignoreAttrs'))
+        proving.object(entry.ignoreAttrs, 'ignoreAttrs should be an object.');
+    if (_.has(entry, 'singleReads') && entry.singleReads !== true)
+        proving.array(entry.singleReads, 'singleReads should be true or an array of clusters.');
+    if (_.has(entry, 'bind'))
+        proving.array(entry.bind, 'bind should be an array.');
+    if (_.has(entry, 'report'))
+        proving.array(entry.report, 'report should be an array.');
+    if (_.has(entry, 'configure'))
+        proving.fn(entry.configure, 'configure should be a function.');
+
+    this._entries.push(entry);
+    return this;
+};
+
+Quirks.prototype.remove = function (entry) {
+    var index = this._entries.indexOf(entry);
+
+    if (index > -1)
+        this._entries.splice(index, 1);
+
+    return index > -1;
+};
+
+Quirks.prototype.find = function (dev) {
+    // all the matching quirks merged, the ones added later take precedence
+    var quirk = {};
+
+    if (!dev)
+        return quirk;
+
+    _.forEach(this._entries, function (entry) {
+        if (!matches(entry, dev))
+            return;
+
+        _.forEach(QUIRK_KEYS, function (key) {
+            if (_.has(entry, key))
+                quirk[key] = entry[key];
+        });
+    });
+
+    return quirk;
+};
+
+Quirks.prototype.isSleepy = function (dev) {
+    var quirk = this.find(dev);
+
+    if (_.isBoolean(quirk.sleepy))
+        return quirk.sleepy;
+
+    // bit 3 of the MAC capabilities is 'receiver on when idle'
+    return !_.isNil(dev.capabilities) && !(dev.capabilities & 0x08);
+};
+
+Quirks.prototype.remapEndpoint = function (dev, epId) {
+    var endpointMap = this.find(dev).endpointMap;
+
+    return (endpointMap && endpointMap.hasOwnProperty(epId)) ? endpointMap[epId] : epId;
+};
+
+Quirks.prototype.manufCodeOf = function (dev) {
+    var quirk = this.find(dev);
+
+    return _.isNil(quirk.manufCode) ? dev.getManufId() : quirk.manufCode;
+};
+
+Quirks.prototype.isAttrIgnored = function (dev, cId, attrId) {
+    var ignoreAttrs = this.find(dev).ignoreAttrs,
+        cKey = clusterKey(cId);
+
+    return !!ignoreAttrs && _.some(ignoreAttrs, function (attrs, cid) {
+        return clusterKey(cid) === cKey && _.some(attrs, function (attr) {
+            return attrValue(cId, attr) === attrValue(cId, attrId);
+        });
+    });
+};
+
+Quirks.prototype.readsSingly = function (dev, cId) {
+    var singleReads = this.find(dev).singleReads,
+        cKey = clusterKey(cId);
+
+    if (singleReads === true)
+        return true;
+
+    return _.some(singleReads || [], function (cid) {
+        return clusterKey(cid) === cKey;
+    });
+};
+
+Quirks.prototype.setup = function (dev, callback) {
+    // bindings and reports declared by the quirks of a device, run once its interview is done
+    var shepherd = this._shepherd,
+        quirk = this.find(dev),
+        steps = [];
+
+    _.forEach(quirk.bind || [], function (item) {
+        steps.push(function () {
+            var ep = dev.getEndpoint(item.epId),
+                dlgEp = ep && shepherd.controller.getCoord().getDelegator(ep.getProfId());
+
+            if (!ep || !dlgEp)
+                throw new Error('Unable to bind cluster ' + item.cId + ' of endpoint ' + item.epId + '.');
+
+            return ep.bind(item.cId, dlgEp);
+        });
+    });
+
+    _.forEach(quirk.report || [], function (item) {
+        steps.push(function () {
+            var ep = dev.getEndpoint(item.epId);
+
+            if (!ep)
+                throw new Error('Unable to report cluster ' + item.cId + ' of endpoint ' + item.epId + '.');
+
+            return shepherd.reporting.configure(ep, item.cId, item.attrId, item.minInt, item.maxInt, item.repChange);
+        });
+    });
+
+    if (quirk.configure) {
+        steps.push(function () {
+            return Q.nfcall(quirk.configure, dev, shepherd);
+        });
+    }
+
+    if (steps.length)
+        debug('Setting up %s with %d quirk steps.', dev.getIeeeAddr(), steps.length);
+
+    return steps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        return;
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function matches(entry, dev) {
+    return _.every(MATCH_KEYS, function (key) {
+        var expected = entry[key],
+            actual = dev[key];
+
+        if (_.isNil(expected))
+            return true;
+        else if (_.isNil(actual))
+            return false;
+        else if (expected instanceof RegExp)
+            return expected.test(actual);
+        else
+            return expected === actual;
+    });
+}
+
+function clusterKey(cId) {
+    var cItem = zclId.cluster(_.isString(cId) && /^\d+$/.test(cId) ? parseInt(cId) : cId);
+
+    return cItem ? cItem.key : cId;
+}
+
+function attrValue(cId, attrId) {
+    var attrItem = zclId.attr(cId, attrId);
+
+    return attrItem ? attrItem.value : attrId;
+}
+
+module.exports = Quirks;
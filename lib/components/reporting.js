@@ -0,0 +1,326 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    zclId = require('zcl-id'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:reporting');
+
+var Endpoint = require('../model/endpoint');
+
+var REAPPLY_HOLDOFF = 10000;    // a device announces itself several times when it rejoins
+
+function Reporting(shepherd) {
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._reapplied = {};   // { ieeeAddr: time }, the last re-apply triggered by a rejoin or status change
+
+    // a device which rejoins or comes back online may have lost its reporting configuration
+    shepherd.on('ind:status', function (dev, status) {
+        if (status === 'online')
+            self._reapplyOnRejoin(dev);
+    });
+
+    // a device still marked online resets and rejoins without a status change
+    shepherd.controller.on('ZDO:endDeviceAnnceInd', function (data) {
+        var dev = shepherd._findDevByAddr(data.ieeeaddr);
+
+        if (dev && !dev.incomplete)
+            self._reapplyOnRejoin(dev);
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Reporting.prototype.configure = function (ep, cId, attrId, minInt, maxInt, repChange, callback) {
+    // records the desired configuration first, so that it can be re-applied if the device is not reachable now
+    var self = this,
+        cIdItem,
+        attrItem,
+        attrType,
+        rec;
+
+    checkRemoteEp(ep);
+    proving.number(minInt, 'minInt should be a number.');
+    proving.number(maxInt, 'maxInt should be a number.');
+
+    if (_.isFunction(repChange)) {
+        callback = repChange;
+        repChange = undefined;
+    }
+
+    cIdItem = zclId.cluster(cId);
+    attrItem = zclId.attr(cId, attrId);
+    attrType = zclId.attrType(cId, attrId);
+
+    if (!cIdItem || !attrItem || !attrType)
+        return Q.reject(new Error('Unknown attribute ' + attrId + ' of cluster ' + cId + '.')).nodeify(callback);
+
+    rec = {
+        cId: cIdItem.value,
+        attrId: attrItem.value,
+        dataType: attrType.value,
+        minRepIntval: minInt,
+        maxRepIntval: maxInt,
+        repChange: _.isNil(repChange) ? null : repChange,
+        applied: false
+    };
+
+    removeRecord(ep, rec.cId, rec.attrId);
+    ep.reporting.push(rec);
+
+    return this._sync(ep).then(function () {
+        return self._apply(ep, rec.cId, [ rec ]);
+    }).nodeify(callback);
+};
+
+Reporting.prototype.remove = function (ep, cId, attrId, callback) {
+    // a maxRepIntval of 0xFFFF tells the device to stop reporting the attribute
+    var self = this,
+        cIdItem,
+        attrItem,
+        rec;
+
+    checkRemoteEp(ep);
+
+    cIdItem = zclId.cluster(cId);
+    attrItem = zclId.attr(cId, attrId);
+    rec = (cIdItem && attrItem) ? findRecord(ep, cIdItem.value, attrItem.value) : undefined;
+
+    if (!rec)
+        return Q.reject(new Error('Reporting of attribute ' + attrId + ' in cluster ' + cId + ' is not configured.')).nodeify(callback);
+
+    return this._configReport(ep, rec.cId, [ _.assign({}, rec, { maxRepIntval: 0xFFFF }) ]).then(function () {
+        removeRecord(ep, rec.cId, rec.attrId);
+        return self._sync(ep);
+    }).nodeify(callback);
+};
+
+Reporting.prototype.verify = function (ep, callback) {
+    // read the actual configuration back from the device and compare it with the records
+    var self = this,
+        verifySteps = [],
+        result = [];
+
+    checkRemoteEp(ep);
+
+    _.forEach(groupByCluster(ep.reporting), function (recs, cId) {
+        verifySteps.push(function () {
+            return self._readReportConfig(ep, parseInt(cId), recs).then(function (mismatches) {
+                result = result.concat(mismatches);
+            });
+        });
+    });
+
+    return verifySteps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        return self._sync(ep);
+    }).then(function () {
+        return result;
+    }).nodeify(callback);
+};
+
+Reporting.prototype.reapply = function (dev, callback) {
+    var self = this,
+        applySteps = [];
+
+    _.forEach(dev.endpoints, function (ep) {
+        _.forEach(groupByCluster(ep.reporting), function (recs, cId) {
+            applySteps.push(function () {
+                return self._apply(ep, parseInt(cId), recs).fail(function (err) {
+                    debug('Unable to configure reporting of %s, ep: %s, cluster: %s due to %s', dev.getIeeeAddr(), ep.getEpId(), cId, err);
+                });
+            });
+        });
+    });
+
+    return applySteps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        return;
+    }).nodeify(callback);
+};
+
+Reporting.prototype.list = function (ieeeAddr) {
+    // enumerate the recorded configuration of a device, no request is sent
+    var dev,
+        result = [];
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    dev = this._shepherd._findDevByAddr(ieeeAddr);
+
+    if (!dev)
+        return result;
+
+    _.forEach(dev.endpoints, function (ep) {
+        _.forEach(ep.reporting, function (rec) {
+            var cIdItem = zclId.cluster(rec.cId),
+                attrItem = zclId.attr(rec.cId, rec.attrId);
+
+            result.push({
+                epId: ep.getEpId(),
+                cId: cIdItem ? cIdItem.key : rec.cId,
+                attrId: attrItem ? attrItem.key : rec.attrId,
+                minRepIntval: rec.minRepIntval,
+                maxRepIntval: rec.maxRepIntval,
+                repChange: rec.repChange,
+                applied: rec.applied
+            });
+        });
+    });
+
+    return result;
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Reporting.prototype._reapplyOnRejoin = function (dev) {
+    var ieeeAddr = dev.getIeeeAddr(),
+        now = Date.now();
+
+    if (now - (this._reapplied[ieeeAddr] || 0) < REAPPLY_HOLDOFF)
+        return;
+
+    this._reapplied[ieeeAddr] = now;
+
+    this.reapply(dev).fail(function (err) {
+        debug('Unable to re-apply reporting of %s due to %s', ieeeAddr, err);
+    }).done();
+};
+
+Reporting.prototype._apply = function (ep, cId, recs) {
+    var self = this,
+        dlgEp = this._shepherd.controller.getCoord().getDelegator(ep.getProfId());
+
+    if (!dlgEp)
+        return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.'));
+
+    return ep.bind(cId, dlgEp).then(function () {
+        return self._configReport(ep, cId, recs);
+    }).then(function () {
+        _.forEach(recs, function (rec) {
+            rec.applied = true;
+        });
+    }, function (err) {
+        _.forEach(recs, function (rec) {
+            rec.applied = false;
+        });
+        throw err;
+    }).fin(function () {
+        return self._sync(ep);
+    });
+};
+
+Reporting.prototype._configReport = function (ep, cId, recs) {
+    var cfgRptRecs = _.map(recs, function (rec) {
+        var cfgRptRec = {
+            direction: 0,
+            attrId: rec.attrId,
+            dataType: rec.dataType,
+            minRepIntval: rec.minRepIntval,
+            maxRepIntval: rec.maxRepIntval
+        };
+
+        if (!_.isNil(rec.repChange))
+            cfgRptRec.repChange = rec.repChange;
+
+        return cfgRptRec;
+    });
+
+    return ep.foundation(cId, 'configReport', cfgRptRecs).then(function (rsp) {
+        // rsp: [ { status[, direction, attrId] }, ... ], a single record with status 0 if all succeeded
+        var failed = _.find(rsp, function (rec) {
+            return rec.status !== 0;
+        }), status;
+
+        if (failed) {
+            status = zclId.status(failed.status);
+            throw new Error('request unsuccess: ' + (status ? status.key : failed.status));
+        }
+    });
+};
+
+Reporting.prototype._readReportConfig = function (ep, cId, recs) {
+    var readRecs = _.map(recs, function (rec) {
+        return { direction: 0, attrId: rec.attrId };
+    });
+
+    return ep.foundation(cId, 'readReportConfig', readRecs).then(function (rsp) {
+        // rsp: [ { status, direction, attrId[, dataType, minRepIntval, maxRepIntval, repChange] }, ... ]
+        var mismatches = [];
+
+        _.forEach(recs, function (rec) {
+            var actual = _.find(rsp, function (r) {
+                return r.attrId === rec.attrId;
+            });
+
+            if (actual && actual.status === 0 && actual.minRepIntval === rec.minRepIntval && actual.maxRepIntval === rec.maxRepIntval &&
+                (_.isNil(rec.repChange) || _.isNil(actual.repChange) || actual.repChange === rec.repChange)) {
+                rec.applied = true;
+                return;
+            }
+
+            rec.applied = false;
+            mismatches.push({
+                epId: ep.getEpId(),
+                cId: cId,
+                attrId: rec.attrId,
+                expected: { minRepIntval: rec.minRepIntval, maxRepIntval: rec.maxRepIntval, repChange: rec.repChange },
+                actual: (actual && actual.status === 0) ? {
+                    minRepIntval: actual.minRepIntval,
+                    maxRepIntval: actual.maxRepIntval,
+                    repChange: _.isNil(actual.repChange) ? null : actual.repChange
+                } : null
+            });
+        });
+
+        return mismatches;
+    });
+};
+
+Reporting.prototype._sync = function (ep) {
+    var dev = ep.getDevice();
+
+    return Q.ninvoke(this._shepherd._devbox, 'sync', dev._getId()).fail(function (err) {
+        debug('Unable to sync reporting of %s due to %s', dev.getIeeeAddr(), err);
+    });
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function checkRemoteEp(ep) {
+    if (!(ep instanceof Endpoint) || ep.isLocal())
+        throw new TypeError('ep should be an instance of remote Endpoint class.');
+}
+
+function findRecord(ep, cId, attrId) {
+    return _.find(ep.reporting, function (rec) {
+        return rec.cId === cId && rec.attrId === attrId;
+    });
+}
+
+function removeRecord(ep, cId, attrId) {
+    _.remove(ep.reporting, function (rec) {
+        return rec.cId === cId && rec.attrId === attrId;
+    });
+}
+
+function groupByCluster(recs) {
+    var groups = {};
+
+    _.forEach(recs, function (rec) {
+        groups[rec.cId] = groups[rec.cId] || [];
+        groups[rec.cId].push(rec);
+    });
+
+    return groups;
+}
+
+module.exports = Reporting;
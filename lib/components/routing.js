@@ -0,0 +1,158 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:routing');
+
+var BROADCAST_ROUTERS = 0xFFFC,
+    MTO_ROUTE = 0x01,           // many-to-one route request
+    MTO_ROUTE_RC = 0x02,        // the concentrator keeps a route record table, devices send route records to it
+    DEFAULT_RADIUS = 0x1e;
+
+function Routing(shepherd, opts) {
+    // opts: { mtoInterval, discoverHoldoff, radius }, mtoInterval 0 disables the periodic many-to-one route requests
+    var self = this,
+        controller = shepherd.controller;
+
+    this._shepherd = shepherd;
+    this._timer = null;
+    this._routes = {};          // { ieeeAddr: { nwkAddr, relays, updatedAt } }, from the route records
+    this._discoveries = {};     // { nwkAddr: time }, the last discovery to each destination
+
+    this.mtoInterval = 0;
+    this.discoverHoldoff = 10000;   // a destination is not rediscovered within this time
+    this.radius = DEFAULT_RADIUS;
+
+    this.configure(opts || {});
+
+    // a route record arrives right before a message relayed to the concentrator, srcRtgInd has no bridged event
+    controller.on('ZNP:AREQ', function (msg) {
+        // msg.data: { dstaddr, relaycount, relaylist }, dstaddr is the source of the route record
+        if (msg.subsys === 'ZDO' && msg.ind === 'srcRtgInd')
+            self._record(msg.data.dstaddr, msg.data.relaylist || []);
+    });
+
+    shepherd.on('_ready', function () {
+        self.start();
+    });
+
+    controller.on('ZNP:CLOSE', function () {
+        self.stop();
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Routing.prototype.configure = function (opts) {
+    var self = this;
+
+    proving.object(opts, 'opts.routing should be an object.');
+
+    _.forEach(opts, function (val, key) {
+        if (!_.includes([ 'mtoInterval', 'discoverHoldoff', 'radius' ], key))
+            throw new TypeError('Unknown option of routing: ' + key + '.');
+
+        proving.number(val, 'routing.' + key + ' should be a number.');
+        self[key] = val;
+    });
+
+    if (this._timer) {
+        this.stop();
+        this.start();
+    }
+};
+
+Routing.prototype.start = function () {
+    var self = this;
+
+    if (this._timer || !this.mtoInterval)
+        return;
+
+    this.manyToOne().fail(function (err) {
+        debug('Many-to-one route request failed: %s', err);
+    }).done();
+
+    this._timer = setInterval(function () {
+        self.manyToOne().fail(function (err) {
+            debug('Many-to-one route request failed: %s', err);
+        }).done();
+    }, this.mtoInterval);
+};
+
+Routing.prototype.stop = function () {
+    if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+};
+
+Routing.prototype.route = function (ieeeAddr) {
+    // the source route to a device: { ieeeAddr, nwkAddr, relays: [ { nwkAddr, ieeeAddr } ], hops, updatedAt }
+    // relays are listed from the one next to the device towards the coordinator
+    var self = this,
+        rec = this._routes[ieeeAddr];
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    if (!rec)
+        return null;
+
+    return {
+        ieeeAddr: ieeeAddr,
+        nwkAddr: rec.nwkAddr,
+        relays: _.map(rec.relays, function (nwkAddr) {
+            var relay = self._shepherd._findDevByAddr(nwkAddr);
+            return { nwkAddr: nwkAddr, ieeeAddr: relay ? relay.getIeeeAddr() : null };
+        }),
+        hops: rec.relays.length + 1,
+        updatedAt: rec.updatedAt
+    };
+};
+
+Routing.prototype.manyToOne = function (callback) {
+    // routers learn the way back to the coordinator and send route records along with their messages
+    return this._shepherd.controller.request('ZDO', 'extRouteDisc', {
+        dstAddr: BROADCAST_ROUTERS,
+        options: MTO_ROUTE | MTO_ROUTE_RC,
+        radius: this.radius
+    }).nodeify(callback);
+};
+
+Routing.prototype.discover = function (nwkAddr, callback) {
+    var now = Date.now(),
+        last = this._discoveries[nwkAddr];
+
+    proving.number(nwkAddr, 'nwkAddr should be a number.');
+
+    // a burst of failed sends should not turn into a burst of route requests
+    if (last && now - last < this.discoverHoldoff)
+        return Q().nodeify(callback);
+
+    this._discoveries[nwkAddr] = now;
+    debug('Discover the route to 0x%s.', nwkAddr.toString(16));
+
+    return this._shepherd.controller.request('ZDO', 'extRouteDisc', { dstAddr: nwkAddr, options: 0, radius: this.radius }).nodeify(callback);
+};
+
+Routing.prototype.forceConcentratorChange = function (callback) {
+    return this._shepherd.controller.request('ZDO', 'forceConcentratorChange', {}).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Routing.prototype._record = function (nwkAddr, relays) {
+    var dev = this._shepherd._findDevByAddr(nwkAddr);
+
+    if (!dev) {
+        debug('Route record from unknown device 0x%s.', nwkAddr.toString(16));
+        return;
+    }
+
+    this._routes[dev.getIeeeAddr()] = { nwkAddr: nwkAddr, relays: relays.slice(), updatedAt: Date.now() };
+};
+
+module.exports = Routing;
@@ -0,0 +1,325 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:scenes');
+
+var Endpoint = require('../model/endpoint'),
+    Group = require('../model/group');
+
+function Scenes(shepherd) {
+    this._shepherd = shepherd;
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Scenes.prototype.add = function (target, scene, callback) {
+    // scene: { groupId, sceneId[, name][, transTime][, extensionFieldSets] }
+    return this._add('add', target, scene, callback);
+};
+
+Scenes.prototype.enhancedAdd = function (target, scene, callback) {
+    // scene.transTime is given in 1/10 seconds
+    return this._add('enhancedAdd', target, scene, callback);
+};
+
+Scenes.prototype.view = function (ep, groupId, sceneId, callback) {
+    return this._view('view', ep, groupId, sceneId, callback);
+};
+
+Scenes.prototype.enhancedView = function (ep, groupId, sceneId, callback) {
+    return this._view('enhancedView', ep, groupId, sceneId, callback);
+};
+
+Scenes.prototype.store = function (target, groupId, sceneId, callback) {
+    var self = this;
+
+    checkTarget(target);
+    proving.number(groupId, 'groupId should be a number.');
+    proving.number(sceneId, 'sceneId should be a number.');
+
+    return this._send(target, 'store', { groupid: groupId, sceneid: sceneId }).then(function () {
+        return self._updateRecords(target, function (ep) {
+            var rec = findRecord(ep, groupId, sceneId);
+
+            if (!rec)
+                ep.scenes.push({ groupId: groupId, sceneId: sceneId, name: '', transTime: 0 });
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype.recall = function (target, groupId, sceneId, callback) {
+    checkTarget(target);
+    proving.number(groupId, 'groupId should be a number.');
+    proving.number(sceneId, 'sceneId should be a number.');
+
+    return this._send(target, 'recall', { groupid: groupId, sceneid: sceneId }).then(function () {
+        return;
+    }).nodeify(callback);
+};
+
+Scenes.prototype.remove = function (target, groupId, sceneId, callback) {
+    var self = this;
+
+    checkTarget(target);
+    proving.number(groupId, 'groupId should be a number.');
+    proving.number(sceneId, 'sceneId should be a number.');
+
+    return this._send(target, 'remove', { groupid: groupId, sceneid: sceneId }, [ 0x8b ]).then(function () {
+        return self._updateRecords(target, function (ep) {
+            _.remove(ep.scenes, function (rec) {
+                return rec.groupId === groupId && rec.sceneId === sceneId;
+            });
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype.removeAll = function (target, groupId, callback) {
+    var self = this;
+
+    checkTarget(target);
+    proving.number(groupId, 'groupId should be a number.');
+
+    return this._send(target, 'removeAll', { groupid: groupId }).then(function () {
+        return self._updateRecords(target, function (ep) {
+            _.remove(ep.scenes, function (rec) {
+                return rec.groupId === groupId;
+            });
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype.copy = function (target, from, to, callback) {
+    // from: { groupId[, sceneId] }, to: { groupId[, sceneId] }, all scenes of the group are copied if sceneId is not given
+    var self = this,
+        copyAll;
+
+    checkTarget(target);
+    proving.object(from, 'from should be an object.');
+    proving.object(to, 'to should be an object.');
+    proving.number(from.groupId, 'from.groupId should be a number.');
+    proving.number(to.groupId, 'to.groupId should be a number.');
+
+    copyAll = _.isNil(from.sceneId);
+
+    if (!copyAll) {
+        proving.number(from.sceneId, 'from.sceneId should be a number.');
+        proving.number(to.sceneId, 'to.sceneId should be a number.');
+    }
+
+    return this._send(target, 'copy', {
+        mode: copyAll ? 0x01 : 0x00,
+        groupidfrom: from.groupId,
+        sceneidfrom: copyAll ? 0 : from.sceneId,
+        groupidto: to.groupId,
+        sceneidto: copyAll ? 0 : to.sceneId
+    }).then(function () {
+        return self._updateRecords(target, function (ep) {
+            _.forEach(_.filter(ep.scenes, function (rec) {
+                return rec.groupId === from.groupId && (copyAll || rec.sceneId === from.sceneId);
+            }), function (rec) {
+                var sceneId = copyAll ? rec.sceneId : to.sceneId,
+                    copied = _.assign(_.cloneDeep(rec), { groupId: to.groupId, sceneId: sceneId });
+
+                _.remove(ep.scenes, function (r) {
+                    return r.groupId === to.groupId && r.sceneId === sceneId;
+                });
+                ep.scenes.push(copied);
+            });
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype.membership = function (ep, groupId, callback) {
+    // ask the device which scenes of the group it holds, and align the records with its answer
+    var self = this;
+
+    checkRemoteEp(ep);
+    proving.number(groupId, 'groupId should be a number.');
+
+    return this._send(ep, 'getSceneMembership', { groupid: groupId }, [ 0x85 ]).then(function (rsp) {
+        // rsp: { status, capacity, groupid, scenecount, scenelist }
+        var sceneList = (rsp.status === 0 && _.isArray(rsp.scenelist)) ? rsp.scenelist : [];
+
+        return self._updateRecords(ep, function (ep) {
+            _.remove(ep.scenes, function (rec) {
+                return rec.groupId === groupId && !_.includes(sceneList, rec.sceneId);
+            });
+
+            _.forEach(sceneList, function (sceneId) {
+                if (!findRecord(ep, groupId, sceneId))
+                    ep.scenes.push({ groupId: groupId, sceneId: sceneId, name: '', transTime: 0 });
+            });
+        }).then(function () {
+            return { capacity: rsp.capacity, groupId: groupId, scenes: sceneList };
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype.list = function (ieeeAddr, epId) {
+    // enumerate the known scenes from records, no request is sent
+    var dev,
+        result = [];
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    dev = this._shepherd._findDevByAddr(ieeeAddr);
+
+    if (!dev)
+        return result;
+
+    _.forEach(dev.endpoints, function (ep) {
+        if (_.isNil(epId) || ep.getEpId() === epId) {
+            _.forEach(ep.scenes, function (rec) {
+                result.push(_.assign({ epId: ep.getEpId() }, _.cloneDeep(rec)));
+            });
+        }
+    });
+
+    return result;
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Scenes.prototype._add = function (cmd, target, scene, callback) {
+    var self = this,
+        rec;
+
+    checkTarget(target);
+    proving.object(scene, 'scene should be an object.');
+    proving.number(scene.groupId, 'scene.groupId should be a number.');
+    proving.number(scene.sceneId, 'scene.sceneId should be a number.');
+
+    rec = {
+        groupId: scene.groupId,
+        sceneId: scene.sceneId,
+        name: scene.name || '',
+        transTime: scene.transTime || 0,
+        extensionFieldSets: scene.extensionFieldSets || []
+    };
+
+    if (cmd === 'enhancedAdd')
+        rec.enhanced = true;
+
+    return this._send(target, cmd, {
+        groupid: rec.groupId,
+        sceneid: rec.sceneId,
+        transtime: rec.transTime,
+        scenename: rec.name,
+        extensionfieldsets: rec.extensionFieldSets
+    }).then(function () {
+        return self._updateRecords(target, function (ep) {
+            _.remove(ep.scenes, function (r) {
+                return r.groupId === rec.groupId && r.sceneId === rec.sceneId;
+            });
+            ep.scenes.push(_.cloneDeep(rec));
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype._view = function (cmd, ep, groupId, sceneId, callback) {
+    var self = this;
+
+    checkRemoteEp(ep);
+    proving.number(groupId, 'groupId should be a number.');
+    proving.number(sceneId, 'sceneId should be a number.');
+
+    return this._send(ep, cmd, { groupid: groupId, sceneid: sceneId }).then(function (rsp) {
+        // rsp: { status, groupid, sceneid, transtime, scenename, extensionfieldsets }
+        var rec = {
+            groupId: rsp.groupid,
+            sceneId: rsp.sceneid,
+            name: rsp.scenename || '',
+            transTime: rsp.transtime,
+            extensionFieldSets: rsp.extensionfieldsets || []
+        };
+
+        if (cmd === 'enhancedView')
+            rec.enhanced = true;
+
+        return self._updateRecords(ep, function (ep) {
+            _.remove(ep.scenes, function (r) {
+                return r.groupId === groupId && r.sceneId === sceneId;
+            });
+            ep.scenes.push(_.cloneDeep(rec));
+        }).then(function () {
+            return rec;
+        });
+    }).nodeify(callback);
+};
+
+Scenes.prototype._send = function (target, cmd, zclData, okStatus) {
+    // a groupcast has no response, thus only an endpoint gets its status checked
+    okStatus = okStatus || [];
+
+    if (target instanceof Group)
+        return target.functional('genScenes', cmd, zclData);
+
+    return target.functional('genScenes', cmd, zclData).then(function (rsp) {
+        var status = rsp.hasOwnProperty('status') ? rsp.status : rsp.statusCode;    // statusCode if got a defaultRsp
+
+        if (!_.isNil(status) && status !== 0 && !_.includes(okStatus, status))
+            throw new Error('request unsuccess: ' + status);
+
+        return rsp;
+    });
+};
+
+Scenes.prototype._updateRecords = function (target, updater) {
+    var shepherd = this._shepherd,
+        endpoints = [],
+        devs = [];
+
+    if (target instanceof Group) {
+        _.forEach(target.getMembers(), function (member) {
+            var ep = shepherd.find(member.ieeeAddr, member.epId);
+            if (ep)
+                endpoints.push(ep);
+        });
+    } else {
+        endpoints.push(target);
+    }
+
+    _.forEach(endpoints, function (ep) {
+        var dev = ep.getDevice();
+
+        if (!_.isArray(ep.scenes))
+            ep.scenes = [];
+
+        updater(ep);
+
+        if (!_.includes(devs, dev))
+            devs.push(dev);
+    });
+
+    return Q.all(_.map(devs, function (dev) {
+        return Q.ninvoke(shepherd._devbox, 'sync', dev._getId()).fail(function (err) {
+            debug('Unable to sync scenes of %s due to %s', dev.getIeeeAddr(), err);
+        });
+    }));
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function checkTarget(target) {
+    if (!(target instanceof Group))
+        checkRemoteEp(target);
+}
+
+function checkRemoteEp(ep) {
+    if (!(ep instanceof Endpoint) || ep.isLocal())
+        throw new TypeError('target should be an instance of remote Endpoint or Group class.');
+}
+
+function findRecord(ep, groupId, sceneId) {
+    return _.find(ep.scenes, function (rec) {
+        return rec.groupId === groupId && rec.sceneId === sceneId;
+    });
+}
+
+module.exports = Scenes;
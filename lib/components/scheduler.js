@@ -0,0 +1,153 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:scheduler');
+
+var LANES = [ 'user', 'interview' ];    // in order of priority
+
+function Scheduler(opts) {
+    // opts: { maxInFlight, isSleepy }, isSleepy(key) tells if the device of a key takes one request at a time
+    var self = this;
+
+    opts = opts || {};
+
+    proving.object(opts, 'opts should be an object.');
+
+    this.maxInFlight = 8;
+    this.isSleepy = function () { return false; };
+
+    this._inFlight = 0;
+    this._inFlightOf = {};  // { key: count }
+    this._queues = {};      // { lane: [ job ] }
+    this._waits = {};       // { lane: { count, total, max } }
+
+    _.forEach(LANES, function (lane) {
+        self._queues[lane] = [];
+        self._waits[lane] = { count: 0, total: 0, max: 0 };
+    });
+
+    this.configure(opts);
+}
+
+Scheduler.LANES = LANES;
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Scheduler.prototype.configure = function (opts) {
+    proving.object(opts, 'opts should be an object.');
+
+    if (_.has(opts, 'maxInFlight')) {
+        proving.number(opts.maxInFlight, 'maxInFlight should be a number.');
+        this.maxInFlight = opts.maxInFlight;
+    }
+
+    if (_.has(opts, 'isSleepy')) {
+        proving.fn(opts.isSleepy, 'isSleepy should be a function.');
+        this.isSleepy = opts.isSleepy;
+    }
+
+    this._next();
+};
+
+Scheduler.prototype.schedule = function (fn, opts) {
+    // opts: { key, lane }, key is the ieeeAddr of the target device, lane defaults to 'user'
+    var deferred = Q.defer(),
+        lane;
+
+    proving.fn(fn, 'fn should be a function.');
+    opts = opts || {};
+    lane = opts.lane || 'user';
+
+    if (!_.includes(LANES, lane))
+        throw new TypeError('lane should be one of ' + LANES.join(', ') + '.');
+
+    this._queues[lane].push({ fn: fn, key: opts.key, lane: lane, deferred: deferred, queuedAt: Date.now() });
+    this._next();
+
+    return deferred.promise;
+};
+
+Scheduler.prototype.stats = function () {
+    // { inFlight, maxInFlight, queued: { lane: n }, waitTime: { lane: { count, avg, max } } }, times in ms
+    var self = this,
+        stats = { inFlight: this._inFlight, maxInFlight: this.maxInFlight, queued: {}, waitTime: {} };
+
+    _.forEach(LANES, function (lane) {
+        var waits = self._waits[lane];
+
+        stats.queued[lane] = self._queues[lane].length;
+        stats.waitTime[lane] = { count: waits.count, avg: waits.count ? Math.round(waits.total / waits.count) : 0, max: waits.max };
+    });
+
+    return stats;
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Scheduler.prototype._next = function () {
+    var job;
+
+    while (this._inFlight < this.maxInFlight) {
+        job = this._dequeue();
+
+        if (!job)
+            break;
+
+        this._run(job);
+    }
+};
+
+Scheduler.prototype._dequeue = function () {
+    // the first runnable job of the highest lane, jobs to a busy sleepy device keep their place
+    var self = this,
+        job = null;
+
+    _.some(LANES, function (lane) {
+        var queue = self._queues[lane],
+            index = _.findIndex(queue, function (j) {
+                return _.isNil(j.key) || !self._inFlightOf[j.key] || !self.isSleepy(j.key);
+            });
+
+        if (index > -1)
+            job = queue.splice(index, 1)[0];
+
+        return !!job;
+    });
+
+    return job;
+};
+
+Scheduler.prototype._run = function (job) {
+    var self = this,
+        waited = Date.now() - job.queuedAt,
+        waits = this._waits[job.lane];
+
+    waits.count += 1;
+    waits.total += waited;
+    waits.max = Math.max(waits.max, waited);
+
+    if (waited > 5000)
+        debug('%s request to %s waited %d ms.', job.lane, job.key, waited);
+
+    this._inFlight += 1;
+    if (!_.isNil(job.key))
+        this._inFlightOf[job.key] = (this._inFlightOf[job.key] || 0) + 1;
+
+    Q.fcall(job.fn).fin(function () {
+        self._inFlight -= 1;
+
+        if (!_.isNil(job.key) && --self._inFlightOf[job.key] === 0)
+            delete self._inFlightOf[job.key];
+
+        setImmediate(function () {
+            self._next();
+        });
+    }).done(job.deferred.resolve, job.deferred.reject);
+};
+
+module.exports = Scheduler;
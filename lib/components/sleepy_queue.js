@@ -0,0 +1,197 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    debug = require('debug')('zigbee-shepherd:sleepy-queue');
+
+var HOLD_TIME = 30000,      // the least time a released message is resent for, see controller._indirect_send()
+    MAX_HOLD_TIME = 50000;  // about one af.indirectTimeout
+
+function SleepyQueue(shepherd, opts) {
+    // opts: { expiry }, the default lifetime of a queued message
+    var self = this,
+        controller = shepherd.controller;
+
+    this._shepherd = shepherd;
+    this._queues = {};      // { ieeeAddr: [ msg ] }
+    this._flushing = {};    // { ieeeAddr: promise }, resolved when the queue is drained
+    this._checkIns = {};    // { ieeeAddr: time }, the last checkin of the devices with a poll control cluster
+
+    this.expiry = 3600000;
+
+    this.configure(opts || {});
+
+    controller.on('NWK:pollInd', function (data) {
+        var dev = shepherd._findDevByAddr(_.isNil(data.srcaddr) ? data.nwkaddr : data.srcaddr);
+
+        if (dev)
+            self.flush(dev.getIeeeAddr()).done();
+    });
+
+    shepherd.on('ind', function (msg) {
+        if (msg.type === 'devLeaving')
+            self.clear(msg.data);
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+SleepyQueue.prototype.configure = function (opts) {
+    var self = this;
+
+    proving.object(opts, 'opts.sleepyQueue should be an object.');
+
+    _.forEach(opts, function (val, key) {
+        if (key !== 'expiry')
+            throw new TypeError('Unknown option of sleepyQueue: ' + key + '.');
+
+        proving.number(val, 'sleepyQueue.' + key + ' should be a number.');
+        self[key] = val;
+    });
+};
+
+SleepyQueue.prototype.holds = function (ieeeAddr) {
+    // messages wait only for the sleepy devices known to wake up, the firmware may not indicate data polls
+    var shepherd = this._shepherd,
+        dev = shepherd._findDevByAddr(ieeeAddr);
+
+    if (!dev || !shepherd.quirks || !shepherd.quirks.isSleepy(dev))
+        return false;
+
+    return this._checkIns.hasOwnProperty(ieeeAddr) || !!(shepherd.availability && shepherd.availability.pollIntervalOf(ieeeAddr));
+};
+
+SleepyQueue.prototype.enqueue = function (ieeeAddr, fn, opts) {
+    // opts: { expiry, coalesce }, a message supersedes the queued one with the same coalesce key
+    // fn(holdTime) is called when the device wakes up, holdTime is how long the device may take to poll again
+    var self = this,
+        expiry,
+        queue,
+        msg,
+        superseded;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.fn(fn, 'fn should be a function.');
+
+    opts = opts || {};
+    expiry = _.isNil(opts.expiry) ? this.expiry : opts.expiry;
+    proving.number(expiry, 'expiry should be a number.');
+
+    msg = { fn: fn, coalesce: opts.coalesce, deferred: Q.defer(), expiresAt: Date.now() + expiry, timer: null };
+
+    if (!_.isNil(msg.coalesce)) {
+        superseded = _.find(this._queues[ieeeAddr] || [], function (m) {
+            return m.coalesce === msg.coalesce;
+        });
+
+        if (superseded) {
+            // the caller of the superseded message gets the outcome of the newer one
+            debug('Coalesce %s to %s.', msg.coalesce, ieeeAddr);
+            this._remove(ieeeAddr, superseded);
+            superseded.deferred.resolve(msg.deferred.promise);
+        }
+    }
+
+    queue = this._queues[ieeeAddr] = this._queues[ieeeAddr] || [];
+
+    msg.timer = setTimeout(function () {
+        self._remove(ieeeAddr, msg);
+        msg.deferred.reject(new Error('Message to ' + ieeeAddr + ' expired before the device woke up.'));
+    }, expiry);
+
+    queue.push(msg);
+
+    return msg.deferred.promise;
+};
+
+SleepyQueue.prototype.pending = function (ieeeAddr) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return this._queues[ieeeAddr] ? this._queues[ieeeAddr].length : 0;
+};
+
+SleepyQueue.prototype.flush = function (ieeeAddr, callback) {
+    // the device is awake, the queued messages are released one after another
+    var self = this,
+        deferred;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    if (this._flushing[ieeeAddr])
+        return this._flushing[ieeeAddr].nodeify(callback);
+
+    if (!this.pending(ieeeAddr))
+        return Q().nodeify(callback);
+
+    deferred = Q.defer();
+    this._flushing[ieeeAddr] = deferred.promise;
+    debug('Release %d messages to %s.', this.pending(ieeeAddr), ieeeAddr);
+
+    (function next() {
+        var queue = self._queues[ieeeAddr],
+            msg = queue ? queue[0] : null;
+
+        if (!msg) {
+            delete self._flushing[ieeeAddr];
+            deferred.resolve();
+            return;
+        }
+
+        self._remove(ieeeAddr, msg);
+        Q.fcall(msg.fn, self._holdTime(ieeeAddr, msg)).then(msg.deferred.resolve, msg.deferred.reject).fin(next).done();
+    }());
+
+    return deferred.promise.nodeify(callback);
+};
+
+SleepyQueue.prototype.checkIn = function (ieeeAddr, callback) {
+    // the device checked in through its poll control cluster and is fast polling, see components/poll_ctrl.js
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    this._checkIns[ieeeAddr] = Date.now();
+
+    return this.flush(ieeeAddr, callback);
+};
+
+SleepyQueue.prototype.clear = function (ieeeAddr) {
+    var self = this;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    _.forEach((this._queues[ieeeAddr] || []).slice(), function (msg) {
+        self._remove(ieeeAddr, msg);
+        msg.deferred.reject(new Error('Message to ' + ieeeAddr + ' is cleared.'));
+    });
+
+    delete this._checkIns[ieeeAddr];
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+SleepyQueue.prototype._remove = function (ieeeAddr, msg) {
+    var queue = this._queues[ieeeAddr],
+        index = queue ? queue.indexOf(msg) : -1;
+
+    clearTimeout(msg.timer);
+
+    if (index > -1)
+        queue.splice(index, 1);
+
+    if (queue && !queue.length)
+        delete this._queues[ieeeAddr];
+};
+
+SleepyQueue.prototype._holdTime = function (ieeeAddr, msg) {
+    // a released message is held by the coordinator until the next data poll, but not after it expires
+    // the resends hold a scheduler slot, a device polling slower is not waited for longer than MAX_HOLD_TIME
+    var availability = this._shepherd.availability,
+        pollInterval = availability ? availability.pollIntervalOf(ieeeAddr) : null;
+
+    return Math.max(HOLD_TIME, Math.min(2 * (pollInterval || 0), msg.expiresAt - Date.now(), MAX_HOLD_TIME));
+};
+
+module.exports = SleepyQueue;
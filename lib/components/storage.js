@@ -0,0 +1,240 @@
+/* jshint node: true */
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    util = require('util');
+
+var Q = require('q'),
+    _ = require('busyman'),
+    ObjectBox = require('objectbox'),
+    debug = require('debug')('zigbee-shepherd:storage');
+
+/*************************************************************************************************/
+/*** Storage Adapters                                                                          ***/
+/*************************************************************************************************/
+// A storage adapter keeps the records of devices, groups and network parameters. Objects live in
+// a box in memory and their dump() is persisted to the backend of the adapter:
+//   box:     get(id), has(id), find(pred), filter(pred), exportAllIds(), exportAllObjs(), isEmpty(), removeElement(id)
+//   backend: set(id, obj, cb), add(obj, cb), remove(id, cb), sync(id, cb), findAll(query, cb)
+function ObjectBoxStorage(database) {
+    // database: file path of the NeDB store, or a backend with the same methods as MemoryDb
+    ObjectBox.call(this, database);
+}
+
+util.inherits(ObjectBoxStorage, ObjectBox);
+
+ObjectBoxStorage.prototype.findAll = function (query, callback) {
+    // records in the backend, including those not in the box
+    if (_.isFunction(query)) {
+        callback = query;
+        query = {};
+    }
+
+    return this.findFromDb(query || {}, callback);
+};
+
+function MemoryStorage() {
+    ObjectBoxStorage.call(this, new MemoryDb());
+}
+
+util.inherits(MemoryStorage, ObjectBoxStorage);
+
+function JsonLinesStorage(filePath) {
+    if (!_.isString(filePath))
+        throw new TypeError('filePath should be a string.');
+
+    ObjectBoxStorage.call(this, new JsonLinesDb(filePath));
+}
+
+util.inherits(JsonLinesStorage, ObjectBoxStorage);
+
+/*************************************************************************************************/
+/*** Backends                                                                                  ***/
+/*************************************************************************************************/
+function MemoryDb() {
+    this._docs = {};
+}
+
+MemoryDb.prototype.insert = function (doc, callback) {
+    // like NeDB, an existing record is updated with the given fields
+    var id = doc.id;
+
+    this._docs[id] = _.assign(this._docs[id] || {}, _.cloneDeep(doc));
+    this._commit(_.cloneDeep(this._docs[id]), callback);
+};
+
+MemoryDb.prototype.removeById = function (id, callback) {
+    var numRemoved = _.has(this._docs, id) ? 1 : 0;
+
+    delete this._docs[id];
+    this._commit(numRemoved, callback);
+};
+
+MemoryDb.prototype.findById = function (id, callback) {
+    var doc = this._docs[id];
+
+    invokeCbAsync(callback, null, doc ? _.cloneDeep(doc) : null);
+};
+
+MemoryDb.prototype.modify = function (id, path, snippet, callback) {
+    var doc = this._docs[id],
+        diffSnippet = {};
+
+    if (path === 'id')
+        return invokeCbAsync(callback, new Error('id can not be modified.'));
+    else if (!doc)
+        return invokeCbAsync(callback, new Error('No such object ' + id + ' for property modifying.'));
+    else if (!_.has(doc, path))
+        return invokeCbAsync(callback, new Error('No such property ' + path + ' to modify.'));
+
+    _.forEach(_.isPlainObject(snippet) ? snippet : { '': snippet }, function (val, key) {
+        var valPath = key ? path + '.' + key : path;
+
+        if (!_.isEqual(_.get(doc, valPath), val)) {
+            _.set(doc, valPath, _.cloneDeep(val));
+            _.set(diffSnippet, key || path, val);
+        }
+    });
+
+    this._commit(diffSnippet, callback);
+};
+
+MemoryDb.prototype.replace = function (id, path, value, callback) {
+    var doc = this._docs[id];
+
+    if (path === 'id')
+        return invokeCbAsync(callback, new Error('id can not be replaced.'));
+    else if (!doc)
+        return invokeCbAsync(callback, new Error('No such object ' + id + ' for property replacing.'));
+    else if (!_.has(doc, path))
+        return invokeCbAsync(callback, new Error('No such property ' + path + ' to replace.'));
+
+    _.set(doc, path, _.cloneDeep(value));
+    this._commit(1, callback);
+};
+
+MemoryDb.prototype.findAll = function (callback) {
+    this.find({}, callback);
+};
+
+MemoryDb.prototype.find = function (query, callback) {
+    // query: { path: value, ... }, all of them should be equal
+    var docs = _.filter(_.values(this._docs), function (doc) {
+        return _.every(_.keys(query), function (key) {
+            return _.isEqual(_.get(doc, key), query[key]);
+        });
+    });
+
+    docs.sort(function (a, b) {
+        return a.id - b.id;
+    });
+
+    invokeCbAsync(callback, null, _.cloneDeep(docs));
+};
+
+MemoryDb.prototype._commit = function (result, callback) {
+    // nothing to persist in memory
+    invokeCbAsync(callback, null, result);
+};
+
+function JsonLinesDb(filePath) {
+    // one record per line, the whole file is rewritten to a temporary file and renamed over the old one,
+    // so that a power loss leaves either the old or the new file but never a torn one
+    MemoryDb.call(this);
+
+    this._filePath = filePath;
+    this._writing = Q();
+    this._load();
+}
+
+util.inherits(JsonLinesDb, MemoryDb);
+
+JsonLinesDb.prototype._load = function () {
+    var self = this,
+        content;
+
+    try {
+        content = fs.readFileSync(this._filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT')
+            return;
+        throw err;
+    }
+
+    _.forEach(content.split('\n'), function (line, i) {
+        var doc;
+
+        if (!line.trim())
+            return;
+
+        try {
+            doc = JSON.parse(line);
+        } catch (err) {
+            debug('Skip malformed record at line %d of %s.', i + 1, self._filePath);
+            return;
+        }
+
+        if (!_.isNil(doc.id))
+            self._docs[doc.id] = doc;
+    });
+};
+
+JsonLinesDb.prototype._commit = function (result, callback) {
+    var filePath = this._filePath,
+        tmpPath = filePath + '.tmp',
+        data = _.map(_.values(this._docs), function (doc) {
+            return JSON.stringify(doc) + '\n';
+        }).join(''),
+        writing;
+
+    // writes are queued, each of them is a full snapshot taken when the change was made
+    writing = this._writing.fail(function () {
+        return;     // a failed write should not block the next ones
+    }).then(function () {
+        return Q.nfcall(fs.open, tmpPath, 'w').then(function (fd) {
+            return Q.nfcall(fs.writeFile, fd, data).then(function () {
+                return Q.nfcall(fs.fsync, fd);
+            }).fin(function () {
+                return Q.nfcall(fs.close, fd);
+            });
+        }).then(function () {
+            return Q.nfcall(fs.rename, tmpPath, filePath);
+        }).then(function () {
+            return syncDir(path.dirname(filePath));
+        });
+    });
+
+    this._writing = writing;
+    writing.then(function () {
+        callback(null, result);
+    }, function (err) {
+        callback(err);
+    }).done();
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function syncDir(dirPath) {
+    // persist the rename itself, not supported by every platform
+    return Q.nfcall(fs.open, dirPath, 'r').then(function (fd) {
+        return Q.nfcall(fs.fsync, fd).fin(function () {
+            return Q.nfcall(fs.close, fd);
+        });
+    }).fail(function () {
+        return;
+    });
+}
+
+function invokeCbAsync(callback, err, result) {
+    setImmediate(function () {
+        callback(err, result);
+    });
+}
+
+module.exports = {
+    ObjectBoxStorage: ObjectBoxStorage,
+    MemoryStorage: MemoryStorage,
+    JsonLinesStorage: JsonLinesStorage
+};
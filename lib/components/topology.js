@@ -0,0 +1,199 @@
+/* jshint node: true */
+'use strict';
+
+var _ = require('busyman');
+
+var DEVICE_TYPES = [ 'Coordinator', 'Router', 'EndDevice', 'Unknown' ],
+    RELATIONSHIPS = [ 'parent', 'child', 'sibling', 'none', 'previousChild' ],
+    ROUTE_STATUSES = [ 'active', 'discoveryUnderway', 'discoveryFailed', 'inactive', 'validationUnderway' ];
+
+var topology = {};
+
+topology.FORMATS = [ 'json', 'dot', 'graphml' ];
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+topology.graph = function (shepherd, neighbors, routes) {
+    // neighbors: [ { parent, ieeeAddr, nwkAddr, lqi, deviceType, relationship, depth }, ... ], every entry lqiScan() met
+    // routes: { ieeeAddr: [ { destNwkAddr, routeStatus, nextHopNwkAddr }, ... ] }, the routing table of each router
+    var coordInfo = shepherd.controller.getNetInfo(),
+        nodes = {},
+        edges = {};
+
+    function addNode(ieeeAddr, nwkAddr, deviceType) {
+        var dev = shepherd._findDevByAddr(ieeeAddr),
+            node = nodes[ieeeAddr];
+
+        if (!node)
+            node = nodes[ieeeAddr] = {
+                ieeeAddr: ieeeAddr,
+                nwkAddr: dev ? dev.getNwkAddr() : nwkAddr,
+                type: dev ? dev.type : DEVICE_TYPES[_.isNil(deviceType) ? 3 : deviceType],
+                status: dev ? dev.status : 'offline',
+                manufName: dev ? dev.manufName : undefined,
+                modelId: dev ? dev.modelId : undefined,
+                depth: null
+            };
+
+        if (_.isNil(node.nwkAddr))
+            node.nwkAddr = nwkAddr;
+
+        return node;
+    }
+
+    function addEdge(source, target) {
+        var key = source + '>' + target;
+
+        if (!edges[key])
+            edges[key] = { source: source, target: target, lqi: null, relationship: null, routes: [] };
+
+        return edges[key];
+    }
+
+    function ieeeAddrOf(nwkAddr) {
+        var node = _.find(_.values(nodes), function (n) { return n.nwkAddr === nwkAddr; }),
+            dev = node ? null : shepherd._findDevByAddr(nwkAddr);
+
+        return node ? node.ieeeAddr : (dev ? dev.getIeeeAddr() : null);
+    }
+
+    addNode(coordInfo.ieeeAddr, coordInfo.nwkAddr, 0).depth = 0;
+
+    _.forEach(neighbors, function (neighbor) {
+        var node,
+            edge;
+
+        if (neighbor.ieeeAddr === '0x0000000000000000')
+            return;
+
+        node = addNode(neighbor.ieeeAddr, neighbor.nwkAddr, neighbor.deviceType);
+        if (!_.isNil(neighbor.depth) && (_.isNil(node.depth) || neighbor.depth < node.depth))
+            node.depth = neighbor.depth;
+
+        if (neighbor.parent) {
+            edge = addEdge(neighbor.parent, neighbor.ieeeAddr);
+            edge.lqi = neighbor.lqi;
+            edge.relationship = _.isNil(neighbor.relationship) ? null : RELATIONSHIPS[neighbor.relationship];
+        }
+    });
+
+    _.forEach(routes, function (table, ieeeAddr) {
+        _.forEach(table, function (route) {
+            var nextHop = ieeeAddrOf(route.nextHopNwkAddr);
+
+            if (!nextHop)
+                return;
+
+            addEdge(ieeeAddr, nextHop).routes.push({
+                dest: ieeeAddrOf(route.destNwkAddr) || route.destNwkAddr,
+                status: ROUTE_STATUSES[route.routeStatus]
+            });
+        });
+    });
+
+    return { nodes: _.values(nodes), edges: _.values(edges) };
+};
+
+topology.format = function (graph, format) {
+    if (format === 'dot')
+        return toDot(graph);
+    else if (format === 'graphml')
+        return toGraphml(graph);
+    else
+        return graph;
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function toDot(graph) {
+    var lines = [ 'digraph zigbee {' ];
+
+    _.forEach(graph.nodes, function (node) {
+        var label = [ node.modelId || node.type, node.ieeeAddr, nwkAddrHex(node.nwkAddr) ].join('\\n'),
+            shape = (node.type === 'Coordinator') ? 'box' : ((node.type === 'Router') ? 'ellipse' : 'plaintext'),
+            style = (node.status === 'online') ? 'solid' : 'dashed';
+
+        lines.push('    ' + dotStr(node.ieeeAddr) + ' [label=' + dotStr(label) + ', shape=' + shape + ', style=' + style + '];');
+    });
+
+    _.forEach(graph.edges, function (edge) {
+        var attrs = [];
+
+        if (!_.isNil(edge.lqi))
+            attrs.push('label=' + dotStr(String(edge.lqi)));
+        if (edge.relationship)
+            attrs.push('relationship=' + dotStr(edge.relationship));
+        if (edge.routes.length)
+            attrs.push('color=blue', 'routes=' + dotStr(routesStr(edge.routes)));
+        else if (edge.relationship === 'sibling' || edge.relationship === 'none')
+            attrs.push('style=dotted');
+
+        lines.push('    ' + dotStr(edge.source) + ' -> ' + dotStr(edge.target) + (attrs.length ? ' [' + attrs.join(', ') + ']' : '') + ';');
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+function toGraphml(graph) {
+    var nodeKeys = [ [ 'nwkAddr', 'int' ], [ 'type', 'string' ], [ 'status', 'string' ], [ 'manufName', 'string' ], [ 'modelId', 'string' ], [ 'depth', 'int' ] ],
+        edgeKeys = [ [ 'lqi', 'int' ], [ 'relationship', 'string' ], [ 'routes', 'string' ] ],
+        lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+        ];
+
+    _.forEach(nodeKeys, function (key) {
+        lines.push('  <key id="' + key[0] + '" for="node" attr.name="' + key[0] + '" attr.type="' + key[1] + '"/>');
+    });
+    _.forEach(edgeKeys, function (key) {
+        lines.push('  <key id="' + key[0] + '" for="edge" attr.name="' + key[0] + '" attr.type="' + key[1] + '"/>');
+    });
+
+    lines.push('  <graph id="zigbee" edgedefault="directed">');
+
+    _.forEach(graph.nodes, function (node) {
+        lines.push('    <node id="' + xmlStr(node.ieeeAddr) + '">');
+        _.forEach(nodeKeys, function (key) {
+            if (!_.isNil(node[key[0]]))
+                lines.push('      <data key="' + key[0] + '">' + xmlStr(node[key[0]]) + '</data>');
+        });
+        lines.push('    </node>');
+    });
+
+    _.forEach(graph.edges, function (edge) {
+        lines.push('    <edge source="' + xmlStr(edge.source) + '" target="' + xmlStr(edge.target) + '">');
+        if (!_.isNil(edge.lqi))
+            lines.push('      <data key="lqi">' + edge.lqi + '</data>');
+        if (edge.relationship)
+            lines.push('      <data key="relationship">' + xmlStr(edge.relationship) + '</data>');
+        if (edge.routes.length)
+            lines.push('      <data key="routes">' + xmlStr(routesStr(edge.routes)) + '</data>');
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+function nwkAddrHex(nwkAddr) {
+    return _.isNil(nwkAddr) ? '' : '0x' + ('0000' + nwkAddr.toString(16)).slice(-4);
+}
+
+function routesStr(routes) {
+    return _.map(routes, function (route) {
+        return (_.isNumber(route.dest) ? nwkAddrHex(route.dest) : route.dest) + ':' + route.status;
+    }).join(' ');
+}
+
+function dotStr(str) {
+    return '"' + str.replace(/"/g, '\\"') + '"';
+}
+
+function xmlStr(val) {
+    return String(val).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = topology;
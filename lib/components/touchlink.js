@@ -0,0 +1,497 @@
+/* jshint node: true */
+'use strict';
+
+var Q = require('q'),
+    _ = require('busyman'),
+    proving = require('proving'),
+    ZSC = require('zstack-constants'),
+    debug = require('debug')('zigbee-shepherd:touchlink');
+
+var zutils = require('./zutils'),
+    Coordpoint = require('../model/coordpoint');
+
+var TL_CID = 0x1000,
+    ZLL_PROFID = 0xC05E,
+    TL_EPID = 7,                        // in the range reserved for the endpoints of shepherd itself
+    INTER_PAN_EPID = 0xFE,
+    PRIMARY_CHANNELS = [ 11, 15, 20, 25 ],
+    SCAN_TIME = 250,                    // ms, aplcScanTimeBaseDuration, responses are collected for this long on each channel
+    RX_WINDOW = 5000,                   // ms, aplcRxWindowDuration, the time a join response may take
+    TRANS_ID_LIFETIME = 8000,           // ms, aplcInterPANTransIdLifetime, a scan is good for this long
+    CERTIFICATION_KEY = Buffer.from('c0c1c2c3c4c5c6c7c8c9cacbcccdcecf', 'hex'),
+    KEY_INDEX = { master: 4, certification: 15 },
+    INTER_PAN = { clear: 0, set: 1, register: 2 },
+    CMD = {
+        scanReq: 0x00,
+        scanRsp: 0x01,
+        identifyReq: 0x06,
+        resetToFactoryNewReq: 0x07,
+        networkJoinRouterReq: 0x12,
+        networkJoinRouterRsp: 0x13,
+        networkJoinEndDeviceReq: 0x14,
+        networkJoinEndDeviceRsp: 0x15
+    },
+    DEVICE_TYPES = [ 'Coordinator', 'Router', 'EndDevice' ];
+
+function Touchlink(shepherd, opts) {
+    // opts: { channels, masterKey }, masterKey is the ZLL master key if it is known, the certification key is used otherwise
+    var self = this;
+
+    this._shepherd = shepherd;
+    this._ep = null;
+    this._busy = false;
+    this._scan = null;      // { transId, time, targets: { ieeeAddr: target } }, the last scan
+    this._waits = [];       // [ { cmdId, transId, deferred } ], responses the ongoing operation waits for
+    this._seq = 0;
+
+    this.channels = PRIMARY_CHANNELS.slice();
+    this.masterKey = null;
+
+    this.configure(opts || {});
+
+    // inter-PAN frames from the devices out of the network, af ignores them
+    shepherd.controller.on('AF:incomingMsgExt', function (msg) {
+        if (msg.clusterid === TL_CID && msg.srcaddrmode === ZSC.AF.addressMode.ADDR_64BIT)
+            self._handleFrame(msg);
+    });
+}
+
+/*************************************************************************************************/
+/*** Public APIs                                                                               ***/
+/*************************************************************************************************/
+Touchlink.prototype.configure = function (opts) {
+    proving.object(opts, 'opts.touchlink should be an object.');
+
+    _.forEach(opts, function (val, key) {
+        if (key !== 'channels' && key !== 'masterKey')
+            throw new TypeError('Unknown option of touchlink: ' + key + '.');
+    });
+
+    if (_.has(opts, 'channels')) {
+        proving.array(opts.channels, 'touchlink.channels should be an array.');
+
+        _.forEach(opts.channels, function (channel) {
+            if (!_.isNumber(channel) || channel < 11 || channel > 26)
+                throw new TypeError('touchlink.channels should be channels from 11 to 26.');
+        });
+
+        this.channels = opts.channels.slice();
+    }
+
+    if (_.has(opts, 'masterKey')) {
+        if (!Buffer.isBuffer(opts.masterKey) || opts.masterKey.length !== 16)
+            throw new TypeError('touchlink.masterKey should be a buffer of 16 bytes.');
+
+        this.masterKey = opts.masterKey;
+    }
+};
+
+Touchlink.prototype.scan = function (callback) {
+    // targets: [ { ieeeAddr, nwkAddr, panId, extPanId, channel, lqi, deviceType, factoryNew, ... } ], nearest first
+    var self = this;
+
+    return this._session(function () {
+        return self._scanChannels();
+    }).nodeify(callback);
+};
+
+Touchlink.prototype.identify = function (ieeeAddr, duration, callback) {
+    // ieeeAddr may be null for the nearest device, duration in seconds, 0 stops identifying
+    var self = this;
+
+    if (_.isFunction(duration)) {
+        callback = duration;
+        duration = undefined;
+    }
+
+    checkIeeeAddr(ieeeAddr);
+    duration = _.isNil(duration) ? 10 : duration;
+    proving.number(duration, 'duration should be a number.');
+
+    return this._session(function () {
+        return self._targetOf(ieeeAddr).then(function (target) {
+            var payload = Buffer.alloc(6);
+
+            payload.writeUInt32LE(self._scan.transId, 0);
+            payload.writeUInt16LE(duration, 4);
+
+            return self._unicast(target, CMD.identifyReq, payload).then(function () {
+                return target.ieeeAddr;
+            });
+        });
+    }).nodeify(callback);
+};
+
+Touchlink.prototype.resetToFactoryNew = function (ieeeAddr, callback) {
+    // the device leaves its network and forgets everything, it does not answer
+    var self = this;
+
+    if (_.isFunction(ieeeAddr)) {
+        callback = ieeeAddr;
+        ieeeAddr = undefined;
+    }
+
+    checkIeeeAddr(ieeeAddr);
+
+    return this._session(function () {
+        return self._targetOf(ieeeAddr).then(function (target) {
+            var payload = Buffer.alloc(4);
+
+            payload.writeUInt32LE(self._scan.transId, 0);
+
+            return self._unicast(target, CMD.resetToFactoryNewReq, payload).then(function () {
+                return target.ieeeAddr;
+            });
+        });
+    }).nodeify(callback);
+};
+
+Touchlink.prototype.join = function (ieeeAddr, callback) {
+    // the device is handed the network parameters and key, then it is interviewed as a newly joined one
+    var self = this;
+
+    if (_.isFunction(ieeeAddr)) {
+        callback = ieeeAddr;
+        ieeeAddr = undefined;
+    }
+
+    checkIeeeAddr(ieeeAddr);
+
+    return this._session(function () {
+        var target;
+
+        return self._targetOf(ieeeAddr).then(function (tgt) {
+            target = tgt;
+
+            if (target.deviceType === 'Coordinator')
+                throw new Error('Device ' + target.ieeeAddr + ' is a coordinator and cannot join.');
+
+            return self._shepherd.controller.getNwkKeyInfo();
+        }).then(function (keyInfo) {
+            var isRouter = target.deviceType === 'Router',
+                nwkAddr = self._freeNwkAddr(),
+                payload = self._joinPayload(target, Buffer.from(keyInfo.key), nwkAddr);
+
+            debug('Join %s to the network as 0x%s.', target.ieeeAddr, nwkAddr.toString(16));
+
+            return self._request(target, isRouter ? CMD.networkJoinRouterReq : CMD.networkJoinEndDeviceReq, payload,
+                isRouter ? CMD.networkJoinRouterRsp : CMD.networkJoinEndDeviceRsp).then(function (rsp) {
+                var status = rsp.readUInt8(4);
+
+                if (status !== 0)
+                    throw new Error('Device ' + target.ieeeAddr + ' refused to join, status: ' + status + '.');
+
+                return { ieeeAddr: target.ieeeAddr, nwkAddr: nwkAddr };
+            });
+        });
+    }).nodeify(callback);
+};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Touchlink.prototype._session = function (fn) {
+    // touchlink moves the radio to other channels, one operation at a time and back to the network channel after it
+    var self = this,
+        controller = this._shepherd.controller;
+
+    if (!this._shepherd._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.'));
+
+    if (this._busy)
+        return Q.reject(new Error('Touchlink is in progress.'));
+
+    this._busy = true;
+
+    return this._prepare().then(fn).fin(function () {
+        return controller.request('AF', 'interPanCtl', { cmd: INTER_PAN.clear, data: Buffer.alloc(0) }).fail(function (err) {
+            debug('Unable to go back to the network channel due to %s', err);
+        }).fin(function () {
+            self._busy = false;
+        });
+    });
+};
+
+Touchlink.prototype._prepare = function () {
+    // the endpoint is registered again after the coordinator endpoints were rebuilt, see init._registerDelegators()
+    var self = this,
+        controller = this._shepherd.controller,
+        coord = controller.getCoord(),
+        ep;
+
+    if (!coord)
+        return Q.reject(new Error('Coordinator has not been initialized yet.'));
+
+    if (this._ep && coord.endpoints[TL_EPID] === this._ep)
+        return Q();
+
+    ep = new Coordpoint(coord, { profId: ZLL_PROFID, epId: TL_EPID, devId: 0x0000, inClusterList: [ TL_CID ], outClusterList: [ TL_CID ] });
+
+    return controller.registerEp(ep).then(function () {
+        return controller.request('AF', 'interPanCtl', { cmd: INTER_PAN.register, data: Buffer.from([ TL_EPID ]) });
+    }).then(function () {
+        coord.endpoints[TL_EPID] = self._ep = ep;
+        debug('Register touchlink endpoint, epId: %s', TL_EPID);
+    });
+};
+
+Touchlink.prototype._scanChannels = function () {
+    // 5 scan requests on the first channel, then 1 on each of the others, see ZLL 8.4.1.1
+    var self = this,
+        scan = { transId: randomTransId(), time: Date.now(), targets: {} },
+        steps = [];
+
+    this._scan = scan;
+
+    _.forEach(this.channels, function (channel, i) {
+        var times = (i === 0) ? 5 : 1;
+
+        steps.push(function () {
+            return self._setChannel(channel);
+        });
+
+        for (var n = 0; n < times; n += 1)
+            steps.push(function () {
+                return self._broadcast(CMD.scanReq, scanReqPayload(scan.transId)).delay(SCAN_TIME);
+            });
+    });
+
+    return steps.reduce(function (soFar, fn) {
+        return soFar.then(fn);
+    }, Q(0)).then(function () {
+        var targets = sortedTargets(scan);
+
+        debug('Scan found %d devices.', targets.length);
+
+        return targets;
+    });
+};
+
+Touchlink.prototype._targetOf = function (ieeeAddr) {
+    // the requests after a scan carry its transaction id, the device is looked for again once it expires
+    var self = this,
+        scan = this._scan;
+
+    function pick(targets) {
+        var target = _.isNil(ieeeAddr) ? targets[0] : _.find(targets, function (t) {
+            return t.ieeeAddr === ieeeAddr;
+        });
+
+        if (!target)
+            throw new Error(_.isNil(ieeeAddr) ? 'No touchlink device is found.' : 'Touchlink device ' + ieeeAddr + ' is not found.');
+
+        return self._setChannel(target.channel).then(function () {
+            return target;
+        });
+    }
+
+    if (scan && Date.now() - scan.time < TRANS_ID_LIFETIME - 1000 && (_.isNil(ieeeAddr) || scan.targets[ieeeAddr]))
+        return pick(sortedTargets(scan));
+
+    return this._scanChannels().then(pick);
+};
+
+Touchlink.prototype._setChannel = function (channel) {
+    return this._shepherd.controller.request('AF', 'interPanCtl', { cmd: INTER_PAN.set, data: Buffer.from([ channel ]) });
+};
+
+Touchlink.prototype._broadcast = function (cmdId, payload) {
+    return this._shepherd.af.sendExt(this._ep, ZSC.AF.addressMode.ADDR_16BIT, 0xFFFF, TL_CID, this._frame(cmdId, payload), {
+        dstEpId: INTER_PAN_EPID,
+        dstPanId: 0xFFFF,
+        options: 0
+    });
+};
+
+Touchlink.prototype._unicast = function (target, cmdId, payload) {
+    return this._shepherd.af.sendExt(this._ep, ZSC.AF.addressMode.ADDR_64BIT, target.ieeeAddr, TL_CID, this._frame(cmdId, payload), {
+        dstEpId: INTER_PAN_EPID,
+        dstPanId: 0xFFFF,
+        options: 0
+    });
+};
+
+Touchlink.prototype._request = function (target, cmdId, payload, rspCmdId) {
+    var self = this,
+        wait = { cmdId: rspCmdId, transId: payload.readUInt32LE(0), deferred: Q.defer() };
+
+    this._waits.push(wait);
+
+    return this._unicast(target, cmdId, payload).then(function () {
+        return wait.deferred.promise.timeout(RX_WINDOW, 'Touchlink device ' + target.ieeeAddr + ' did not respond.');
+    }).fin(function () {
+        self._waits.splice(self._waits.indexOf(wait), 1);
+    });
+};
+
+Touchlink.prototype._frame = function (cmdId, payload) {
+    // cluster specific, client to server, default response disabled
+    this._seq = (this._seq + 1) & 0xFF;
+
+    return Buffer.concat([ Buffer.from([ 0x11, this._seq, cmdId ]), payload ]);
+};
+
+Touchlink.prototype._handleFrame = function (msg) {
+    var data = msg.data,
+        frameCntl,
+        offset,
+        cmdId,
+        payload,
+        scan = this._scan,
+        target,
+        wait;
+
+    if (!data || data.length < 3)
+        return;
+
+    frameCntl = data.readUInt8(0);
+    offset = (frameCntl & 0x04) ? 5 : 3;    // manufacturer specific frames carry the manufacturer code
+
+    if ((frameCntl & 0x03) !== 0x01 || data.length < offset + 4)
+        return;
+
+    cmdId = data.readUInt8(offset - 1);
+    payload = data.slice(offset);
+
+    if (cmdId === CMD.scanRsp) {
+        if (!scan || payload.readUInt32LE(0) !== scan.transId || !this._busy)
+            return;
+
+        target = parseScanRsp(payload);
+
+        if (!target)
+            return;
+
+        target.ieeeAddr = msg.srcaddr;
+        target.lqi = msg.linkquality;
+        scan.targets[target.ieeeAddr] = target;
+        debug('Scan response from %s on channel %d.', target.ieeeAddr, target.channel);
+        return;
+    }
+
+    wait = _.find(this._waits, function (w) {
+        return w.cmdId === cmdId && w.transId === payload.readUInt32LE(0);
+    });
+
+    if (wait)
+        wait.deferred.resolve(payload);
+};
+
+Touchlink.prototype._joinPayload = function (target, nwkKey, nwkAddr) {
+    // ZLL 7.1.2.3.11, no address or group ranges are handed out, the device is not an initiator
+    var net = this._shepherd.controller.getNetInfo(),
+        keyIndex = this._keyIndexOf(target),
+        payload = Buffer.alloc(47);
+
+    payload.writeUInt32LE(this._scan.transId, 0);
+    Buffer.from(zutils.toLongAddrString(net.extPanId).slice(2), 'hex').reverse().copy(payload, 4);
+    payload.writeUInt8(keyIndex, 12);
+    encryptNwkKey(keyIndex === KEY_INDEX.master ? this.masterKey : CERTIFICATION_KEY, this._scan.transId, target.responseId, nwkKey).copy(payload, 13);
+    payload.writeUInt8(0, 29);  // nwkUpdateId, the device takes the one of the network from its first update
+    payload.writeUInt8(net.channel, 30);
+    payload.writeUInt16LE(_.isString(net.panId) ? parseInt(net.panId, 16) : net.panId, 31);
+    payload.writeUInt16LE(nwkAddr, 33);
+
+    return payload;
+};
+
+Touchlink.prototype._keyIndexOf = function (target) {
+    if (this.masterKey && (target.keyBitmask & (1 << KEY_INDEX.master)))
+        return KEY_INDEX.master;
+
+    if (target.keyBitmask & (1 << KEY_INDEX.certification))
+        return KEY_INDEX.certification;
+
+    throw new Error('Device ' + target.ieeeAddr + ' supports none of the touchlink keys.');
+};
+
+Touchlink.prototype._freeNwkAddr = function () {
+    var nwkAddr;
+
+    do {
+        nwkAddr = 1 + Math.floor(Math.random() * 0xFFF6);
+    } while (this._shepherd._findDevByAddr(nwkAddr));
+
+    return nwkAddr;
+};
+
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function checkIeeeAddr(ieeeAddr) {
+    if (!_.isNil(ieeeAddr))
+        proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+}
+
+function randomTransId() {
+    // any non-zero 32 bits number
+    return 1 + Math.floor(Math.random() * 0xFFFFFFFE);
+}
+
+function sortedTargets(scan) {
+    // the nearest device first
+    return _.map(scan.targets, function (target) {
+        return target;
+    }).sort(function (a, b) {
+        return b.lqi - a.lqi;
+    });
+}
+
+function scanReqPayload(transId) {
+    // zigbee information: coordinator with the receiver on, touchlink information: address assignment and initiator
+    var payload = Buffer.alloc(6);
+
+    payload.writeUInt32LE(transId, 0);
+    payload.writeUInt8(0x04, 4);
+    payload.writeUInt8(0x12, 5);
+
+    return payload;
+}
+
+function parseScanRsp(payload) {
+    // ZLL 7.1.2.2.2, the endpoint information is present if the device has a single sub-device
+    var target;
+
+    if (payload.length < 29)
+        return null;
+
+    target = {
+        rssiCorrection: payload.readUInt8(4),
+        deviceType: DEVICE_TYPES[payload.readUInt8(5) & 0x03] || 'Unknown',
+        rxOnWhenIdle: !!(payload.readUInt8(5) & 0x04),
+        factoryNew: !!(payload.readUInt8(6) & 0x01),
+        keyBitmask: payload.readUInt16LE(7),
+        responseId: payload.readUInt32LE(9),
+        extPanId: zutils.toLongAddrString(Buffer.from(payload.slice(13, 21)).reverse().toString('hex')),
+        nwkUpdateId: payload.readUInt8(21),
+        channel: payload.readUInt8(22),
+        panId: payload.readUInt16LE(23),
+        nwkAddr: payload.readUInt16LE(25),
+        numSubDevices: payload.readUInt8(27),
+        epId: null,
+        profId: null,
+        devId: null
+    };
+
+    if (target.numSubDevices === 1 && payload.length >= 34) {
+        target.epId = payload.readUInt8(29);
+        target.profId = payload.readUInt16LE(30);
+        target.devId = payload.readUInt16LE(32);
+    }
+
+    return target;
+}
+
+function encryptNwkKey(key, transId, responseId, nwkKey) {
+    // the transport key is the expanded transaction and response ids encrypted with the touchlink key, ZLL 8.7.5.2.3
+    var expanded = Buffer.alloc(16);
+
+    expanded.writeUInt32BE(transId, 0);
+    expanded.writeUInt32BE(transId, 4);
+    expanded.writeUInt32BE(responseId, 8);
+    expanded.writeUInt32BE(responseId, 12);
+
+    return zutils.aesEncrypt(zutils.aesEncrypt(key, expanded), nwkKey);
+}
+
+module.exports = Touchlink;
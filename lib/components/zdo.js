@@ -2,6 +2,7 @@
 'use strict';
 
 var Q = require('q'),
+    _ = require('busyman'),
     Areq = require('areq'),
     ZSC = require('zstack-constants'),
     util = require('util'),
@@ -42,7 +43,8 @@ Zdo.prototype._sendZdoRequestViaZnp = function (apiName, valObj, callback) {
         zdoRequest = controller._znp.zdoRequest.bind(controller._znp);    // bind zdo._sendZdoRequestViaZnp() to znp.zdoRequest()
 
     return zdoRequest(apiName, valObj, function (error, rsp) {
-        if (!error && apiName !== 'startupFromApp' && rsp.status !== 0)
+        // some requests, like forceConcentratorChange, have no status in their srsp
+        if (!error && apiName !== 'startupFromApp' && rsp.hasOwnProperty('status') && rsp.status !== 0)
             error = new Error('request unsuccess: ' + rsp.status);
 
         callback(error, rsp);
@@ -84,11 +86,8 @@ requestFn.special = function (self, apiName, valObj, callback) {
         // broadcast, remote device may not response when no bits match in mask
         // listener at controller.on('ZDO:serverDiscRsp')
         return requestFn.rspless(self, 'serverDiscReq', valObj, callback);
-    } else if (apiName === 'bindReq') {
-        if (valObj.dstaddrmode === ZSC.AF.addressMode.ADDR_16BIT)
-            callback(new Error('TI not support address 16bit mode.'));
-        else
-            return requestFn.rspless(self, 'bindReq', valObj, callback);
+    } else if (apiName === 'bindReq' || apiName === 'unbindReq') {
+        return requestFn._binding(self, apiName, valObj, callback);
     } else if (apiName === 'mgmtPermitJoinReq') {
         if (valObj.dstaddr === 0xFFFC)  // broadcast to all routers (and coord), no waiting for AREQ rsp
             return requestFn.rspless(self, 'mgmtPermitJoinReq', valObj, callback);
@@ -120,7 +119,7 @@ requestFn.concat = function (self, apiName, valObj, callback) {
             listcount: 'routingtablelistcount',
             list: 'routingtablelist'
         }, callback);
-    else if (apiName === 'mgmtBindRsp')
+    else if (apiName === 'mgmtBindReq')
         return requestFn._concatList(self, apiName, valObj, {
             entries: 'bindingtableentries',
             listcount: 'bindingtablelistcount',
@@ -130,6 +129,30 @@ requestFn.concat = function (self, apiName, valObj, callback) {
         callback(new Error('No such request.'));
 };
 
+requestFn._binding = function (self, apiName, valObj, callback) {
+    // TI does not support binding to a 16-bit address, it is resolved to the ieeeAddr first
+    return Q.fcall(function () {
+        var nwkAddr = valObj.addr_short_long;
+
+        if (valObj.dstaddrmode !== ZSC.AF.addressMode.ADDR_16BIT)
+            return valObj;
+
+        nwkAddr = _.isString(nwkAddr) ? (parseInt(nwkAddr, 16) & 0xFFFF) : nwkAddr;
+
+        return Q.nfcall(requestFn._concatAddr, self, 'ieeeAddrReq', { shortaddr: nwkAddr, reqtype: 0, startindex: 0 }).then(function (rsp) {
+            return _.assign({}, valObj, { dstaddrmode: ZSC.AF.addressMode.ADDR_64BIT, addr_short_long: rsp.ieeeaddr });
+        });
+    }).then(function (reqObj) {
+        return requestFn.generic(self, apiName, reqObj);
+    }).then(function (rsp) {
+        // rsp: { srcaddr, status }, the status from the remote device
+        if (rsp.status !== 0)
+            throw new Error('request unsuccess: ' + rsp.status);
+
+        return rsp;
+    }).nodeify(callback);
+};
+
 requestFn._concatAddr = function (self, apiName, valObj, callback) {
     var totalToGet = null,
         accum = 0,
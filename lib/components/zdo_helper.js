@@ -19,7 +19,7 @@ zdoReqRspMap = {
     serverDiscReq:      { ind: 'serverDiscRsp',     apiType: 'special', suffix: []                                  },
     endDeviceBindReq:   { ind: 'endDeviceBindRsp',  apiType: 'generic', suffix: [ 'dstaddr' ]                       }, // address 16bit mode unsupported
     bindReq:            { ind: 'bindRsp',           apiType: 'special', suffix: [ 'dstaddr' ]                       },
-    unbindReq:          { ind: 'unbindRsp',         apiType: 'generic', suffix: [ 'dstaddr' ]                       },
+    unbindReq:          { ind: 'unbindRsp',         apiType: 'special', suffix: [ 'dstaddr' ]                       },
     nwkDiscoveryReq:    { ind: 'nwkDiscoveryCnf',   apiType: 'generic', suffix: []                                  },
     joinReq:            { ind: 'joinCnf',           apiType: 'generic', suffix: []                                  },
     mgmtNwkDiscReq:     { ind: 'mgmtNwkDiscRsp',    apiType: 'concat',  suffix: [ 'dstaddr', 'startindex' ]         },
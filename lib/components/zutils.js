@@ -1,6 +1,8 @@
 /* jshint node: true */
 'use strict';
 
+var crypto = require('crypto');
+
 var _ = require('busyman'),
     proving = require('proving');
 
@@ -87,4 +89,64 @@ zutils.objectDiff = function (oldObj, newObj) {
     return diff;
 };
 
+zutils.installCodeCrc = function (buf) {
+    // CRC-16/X-25 over the install code, which is appended in little endian
+    var crc = 0xFFFF;
+
+    for (var i = 0; i < buf.length; i += 1) {
+        crc ^= buf[i];
+
+        for (var j = 0; j < 8; j += 1)
+            crc = (crc & 0x0001) ? ((crc >>> 1) ^ 0x8408) : (crc >>> 1);
+    }
+
+    return (~crc) & 0xFFFF;
+};
+
+zutils.installCodeToLinkKey = function (installCode) {
+    // installCode: Buffer of 6, 8, 12 or 16 bytes code followed by its 2 bytes CRC
+    var code,
+        crc;
+
+    if (!Buffer.isBuffer(installCode) || [ 8, 10, 14, 18 ].indexOf(installCode.length) === -1)
+        throw new TypeError('Install code should be 6, 8, 12 or 16 bytes followed by a 2 bytes CRC.');
+
+    code = installCode.slice(0, installCode.length - 2);
+    crc = installCode.readUInt16LE(installCode.length - 2);
+
+    if (zutils.installCodeCrc(code) !== crc)
+        throw new Error('Install code CRC mismatch.');
+
+    return zutils.mmoHash(installCode);
+};
+
+zutils.aesEncrypt = function (key, data) {
+    // AES-128 in ECB mode, data is a multiple of 16 bytes
+    var cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+
+    cipher.setAutoPadding(false);
+
+    return Buffer.concat([ cipher.update(data), cipher.final() ]);
+};
+
+zutils.mmoHash = function (data) {
+    // Matyas-Meyer-Oseas hash with AES-128, the padding carries the bit length in 16 bits for messages under 2^16 bits
+    var bitLen = data.length * 8,
+        padLen = (16 - ((data.length + 3) % 16)) % 16,
+        msg = Buffer.concat([ data, Buffer.from([ 0x80 ]), Buffer.alloc(padLen), Buffer.from([ (bitLen >> 8) & 0xFF, bitLen & 0xFF ]) ]),
+        hash = Buffer.alloc(16);
+
+    for (var i = 0; i < msg.length; i += 16) {
+        var block = msg.slice(i, i + 16),
+            encrypted = zutils.aesEncrypt(hash, block);
+
+        for (var j = 0; j < 16; j += 1)
+            encrypted[j] ^= block[j];
+
+        hash = encrypted;
+    }
+
+    return hash;
+};
+
 module.exports = zutils;
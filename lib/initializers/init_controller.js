@@ -16,6 +16,8 @@ var init = {};
 /*************************************************************************************************/
 init.setupCoord = function (controller, callback) {
     return controller.checkNvParams().then(function () {
+        return init._restoreNv(controller);
+    }).then(function () {
         return init._bootCoordFromApp(controller);
     }).then(function (netInfo) {
         return init._registerDelegators(controller, netInfo);
@@ -25,6 +27,29 @@ init.setupCoord = function (controller, callback) {
 /*************************************************************************************************/
 /*** Private APIs                                                                              ***/
 /*************************************************************************************************/
+init._restoreNv = function (controller) {
+    // a scheduled backup is written back and the ZNP rebooted, so that it resumes the restored network
+    var items = controller._nvRestore;
+
+    if (!items)
+        return Q();
+
+    controller._nvRestore = null;
+    debug('Restoring %d NV items from backup...', items.length);
+
+    return items.reduce(function (soFar, item) {
+        return soFar.then(function () {
+            return controller.writeNvItem(item.id, item.value).fail(function (err) {
+                return Q.reject(new Error('Unable to restore NV item ' + (item.name || item.id) + ': ' + err.message));
+            });
+        });
+    }, Q(0)).then(function () {
+        return controller.reset('soft');
+    }).then(function () {
+        debug('NV items restored.');
+    });
+};
+
 init._bootCoordFromApp = function (controller) {
     return controller.querie.coordState().then(function (state) {
         if (state !== 'ZB_COORD' && state !== 0x09) {
@@ -69,14 +94,15 @@ init._registerDelegators = function (controller, netInfo) {
     var coord = controller.getCoord(),
         dlgInfos =  [
             { profId: 0x0104, epId: 1 }, { profId: 0x0101, epId: 2 }, { profId: 0x0105, epId: 3 },
-            { profId: 0x0107, epId: 4 }, { profId: 0x0108, epId: 5 }, { profId: 0x0109, epId: 6 }
+            { profId: 0x0107, epId: 4 }, { profId: 0x0108, epId: 5 }, { profId: 0x0109, epId: 6 },
+            { profId: 0xA1E0, epId: 242, devId: 0x0066, outClusterList: [ 0x0021 ] }   // green power sink, see components/green_power.js
         ];
 
     return controller.simpleDescReq(0, netInfo.ieeeAddr).then(function (devInfo) {
         var deregisterEps = [];
 
         _.forEach(devInfo.epList, function (epId) {
-            if (epId > 10) {
+            if (epId > 10 && !_.find(dlgInfos, function (dlgInfo) { return dlgInfo.epId === epId; })) {
                 deregisterEps.push(function () {
                     return controller.request('AF', 'delete', { endpoint: epId }).delay(10).then(function () {
                         debug('Deregister endpoint, epId: %s', epId);
@@ -103,7 +129,7 @@ init._registerDelegators = function (controller, netInfo) {
             coord.endpoints = {};
 
         _.forEach(dlgInfos, function (dlgInfo) {
-            var dlgDesc = { profId: dlgInfo.profId, epId: dlgInfo.epId, devId: 0x0005, inClusterList: [], outClusterList: [] },
+            var dlgDesc = { profId: dlgInfo.profId, epId: dlgInfo.epId, devId: dlgInfo.devId || 0x0005, inClusterList: [], outClusterList: dlgInfo.outClusterList || [] },
                 dlgEp = new Coordpoint(coord, dlgDesc, true),
                 simpleDesc;
 
@@ -14,7 +14,9 @@ init.setupShepherd = function (shepherd, callback) {
     debug('zigbee-shepherd booting...');
 
     shepherd.af = af(controller);
-    return controller.start().then(function () {
+    return loader.reloadNetParams(shepherd).then(function () {
+        return controller.start();
+    }).then(function () {
         return controller.request('ZDO', 'mgmtPermitJoinReq', { addrmode: 0x02, dstaddr: 0 , duration: 0, tcsignificance: 0 });
     }).then(function () {
         var now = new Date()
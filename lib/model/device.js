@@ -21,6 +21,7 @@ function Device(devInfo) {
 
     this.status = 'offline';    // 'online', 'offline'
     this.joinTime = null;
+    this.lastSeen = devInfo.lastSeen || null;   // ms, time of the last message from the device
     this.endpoints = {}        // key is epId in number, { epId: epInst, epId: epInst, ... }
     if(devInfo.endpoints && this.type != "Coordinator"){
         var self = this
@@ -30,6 +31,10 @@ function Device(devInfo) {
             }else{
                 var ep = new Endpoint(self, v)
                 ep.clusters = new Ziee();
+                if(_.isArray(v.scenes)) ep.scenes = _.cloneDeep(v.scenes);
+                if(_.isArray(v.reporting)) ep.reporting = _.cloneDeep(v.reporting);
+                if(_.isPlainObject(v.iasZone)) ep.iasZone = _.cloneDeep(v.iasZone);
+                if(_.isPlainObject(v.pollCtrl)) ep.pollCtrl = _.cloneDeep(v.pollCtrl);
                 _.forEach(v.clusters, function(c, cid){
                     if(c.dir) ep.clusters.init(cid, 'dir', c.dir);
                     ep.clusters.init(cid, 'attrs', c.attrs, false);
@@ -40,6 +45,7 @@ function Device(devInfo) {
     }
     this.capabilities = devInfo.capabilities;
     this.incomplete = typeof devInfo.incomplete === "undefined" ? true : devInfo.incomplete;
+    this.interview = devInfo.interview || null;     // { stage, doneEps, interested } while incomplete, stage is the last one completed
 }
 
 Device.prototype.dump = function () {
@@ -61,9 +67,11 @@ Device.prototype.dump = function () {
         epList: _.cloneDeep(this.epList),
         status: this.status,
         joinTime: this.joinTime,
+        lastSeen: this.lastSeen,
         endpoints: dumpOfEps,
         capabilities: this.capabilities,
-        incomplete: this.incomplete
+        incomplete: this.incomplete,
+        interview: _.cloneDeep(this.interview)
     };
 };
 
@@ -85,7 +93,7 @@ Device.prototype.getManufId = function () {
 
 Device.prototype.update = function (info) {
     var self = this,
-        infoKeys = [ 'type', 'endpoints', 'ieeeAddr', 'nwkAddr','manufId', 'epList', 'status', 'joinTime', 'manufName', 'modelId', 'powerSource', 'capabilities', 'incomplete' ];
+        infoKeys = [ 'type', 'endpoints', 'ieeeAddr', 'nwkAddr','manufId', 'epList', 'status', 'joinTime', 'lastSeen', 'manufName', 'modelId', 'powerSource', 'capabilities', 'incomplete', 'interview' ];
 
     _.forEach(info, function (val, key) {
         if (_.includes(infoKeys, key))
@@ -30,6 +30,11 @@ function Endpoint(device, simpleDesc) {
     //     }
     // }
 
+    this.scenes = [];        // [ { groupId, sceneId, name, transTime, extensionFieldSets }, ... ]
+    this.reporting = [];     // [ { cId, attrId, dataType, minRepIntval, maxRepIntval, repChange, applied }, ... ]
+    this.iasZone = null;     // { zoneId, zoneType, enrolled } once enrolled by the CIE
+    this.pollCtrl = null;    // { checkIn, longPoll, shortPoll, applied } in seconds, for the poll control cluster
+
     this.onAfDataConfirm = null;
     this.onAfReflectError = null;
     this.onAfIncomingMsg = null;
@@ -63,6 +68,10 @@ Endpoint.prototype.dump = function () {
     var dumped = this.getSimpleDesc();
 
     dumped.clusters = this.clusters.dumpSync();
+    dumped.scenes = _.cloneDeep(this.scenes);
+    dumped.reporting = _.cloneDeep(this.reporting);
+    dumped.iasZone = _.cloneDeep(this.iasZone);
+    dumped.pollCtrl = _.cloneDeep(this.pollCtrl);
 
     return dumped;
 };
@@ -71,8 +80,8 @@ Endpoint.prototype.dump = function () {
 // endpoint.foundation = function (cId, cmd, zclData[, cfg], callback) {};
 // endpoint.functional = function (cId, cmd, zclData[, cfg], callback) {};
 // endpoint.read = function (cId, attrId, callback) {};
-// endpoint.bind = function (cId, dstEpOrGrpId[, callback]) {};
-// endpoint.unbind = function (cId, dstEpOrGrpId[, callback]) {};
+// endpoint.bind = function (cId, dst[, dstEpId][, callback]) {};
+// endpoint.unbind = function (cId, dst[, dstEpId][, callback]) {};
 
 /*************************************************************************************************/
 /*** Protected Methods                                                                         ***/
@@ -0,0 +1,82 @@
+/* jshint node: true */
+'use strict';
+
+var _ = require('busyman');
+
+function Group(grpInfo) {
+    // grpInfo = { groupId, name, members }
+
+    this._id = null;
+
+    this.type = 'Group';
+    this.groupId = grpInfo.groupId;
+    this.name = grpInfo.name || '';
+    this.members = _.isArray(grpInfo.members) ? _.cloneDeep(grpInfo.members) : [];    // [ { ieeeAddr, epId }, ... ]
+}
+
+/*************************************************************************************************/
+/*** Public Methods                                                                            ***/
+/*************************************************************************************************/
+Group.prototype.dump = function () {
+    return {
+        id: this._id,
+        type: this.type,
+        groupId: this.groupId,
+        name: this.name,
+        members: _.cloneDeep(this.members)
+    };
+};
+
+Group.prototype.getGroupId = function () {
+    return this.groupId;
+};
+
+Group.prototype.getName = function () {
+    return this.name;
+};
+
+Group.prototype.getMembers = function () {
+    return _.cloneDeep(this.members);
+};
+
+Group.prototype.hasMember = function (ieeeAddr, epId) {
+    return !!_.find(this.members, function (member) {
+        return member.ieeeAddr === ieeeAddr && member.epId === epId;
+    });
+};
+
+// group methods will be attached in shepherd
+// group.add = function (ep[, callback]) {};
+// group.remove = function (ep[, callback]) {};
+// group.functional = function (cId, cmd, zclData[, cfg], callback) {};
+
+/*************************************************************************************************/
+/*** Protected Methods                                                                         ***/
+/*************************************************************************************************/
+Group.prototype._addMember = function (ieeeAddr, epId) {
+    if (!this.hasMember(ieeeAddr, epId))
+        this.members.push({ ieeeAddr: ieeeAddr, epId: epId });
+};
+
+Group.prototype._removeMember = function (ieeeAddr, epId) {
+    _.remove(this.members, function (member) {
+        return member.ieeeAddr === ieeeAddr && (_.isNil(epId) || member.epId === epId);
+    });
+};
+
+Group.prototype._recoverFromRecord = function (rec) {
+    this._recovered = true;
+    this._setId(rec.id);
+
+    return this;
+};
+
+Group.prototype._setId = function (id) {
+    this._id = id;
+};
+
+Group.prototype._getId = function () {
+    return this._id;
+};
+
+module.exports = Group;
@@ -3,29 +3,50 @@
 
 var fs = require('fs'),
     util = require('util'),
+    crypto = require('crypto'),
     EventEmitter = require('events');
 
 var Q = require('q'),
     _ = require('busyman'),
     zclId = require('zcl-id'),
     proving = require('proving'),
-    ObjectBox = require('objectbox'),
+    ZSC = require('zstack-constants'),
     debug = { shepherd: require('debug')('zigbee-shepherd') };
 
 var init = require('./initializers/init_shepherd'),
     zutils = require('./components/zutils'),
+    Scenes = require('./components/scenes'),
+    Reporting = require('./components/reporting'),
+    Ota = require('./components/ota'),
+    Availability = require('./components/availability'),
+    MeshHealth = require('./components/mesh_health'),
+    Routing = require('./components/routing'),
+    SleepyQueue = require('./components/sleepy_queue'),
+    PollCtrl = require('./components/poll_ctrl'),
+    Touchlink = require('./components/touchlink'),
+    GreenPower = require('./components/green_power'),
+    Quirks = require('./components/quirks'),
+    Converters = require('./components/converters'),
+    Ias = require('./components/ias'),
+    topology = require('./components/topology'),
+    storage = require('./components/storage'),
     Controller = require('./components/controller'),
     eventHandlers = require('./components/event_handlers');
 
 var Device = require('./model/device'),
+    Group = require('./model/group'),
+    Endpoint = require('./model/endpoint'),
     Coordinator = require('./model/coord'),
     Coordpoint = require('./model/coordpoint');
 
+var BACKUP_VERSION = 1,
+    FRAME_COUNTER_MARGIN = 2500;    // the frame counter in NV lags behind the one in use
+
 /*************************************************************************************************/
 /*** ZShepherd Class                                                                           ***/
 /*************************************************************************************************/
 function ZShepherd(path, opts) {
-    // opts: { sp: {}, net: {}, dbPath: 'xxx' }
+    // opts: { sp: {}, net: {}, dbPath: 'xxx', storage: adapter, availability: { router, endDevice, sleepy, checkInterval }, meshHealth: { interval, parentLqiThreshold }, routing: { mtoInterval, discoverHoldoff, radius }, scheduler: { maxInFlight }, sleepyQueue: { expiry }, pollCtrl: { checkIn, fastPollTimeout }, touchlink: { channels, masterKey }, quirks: [ quirk ], converters: [ converter ], ias: { mode } }
     var self = this,
         spCfg = {};
 
@@ -47,13 +68,34 @@ function ZShepherd(path, opts) {
     this._zApp = [];
     this._mounting = false;
     this._mountQueue = [];
+    this._linkKeyAddrs = {};    // devices got their link keys from install codes in this run
     this.controller = new Controller(this, spCfg);    // controller is the main actor
     this.controller.setNvParams(opts.net);
+    if (opts.scheduler)
+        this.controller.scheduler.configure(opts.scheduler);
     this.af = null;
+    this.quirks = new Quirks(this, opts.quirks);
+    this.converters = new Converters(this, opts.converters);
+    this.ias = new Ias(this, opts.ias);
+    this.scenes = new Scenes(this);
+    this.reporting = new Reporting(this);
+    this.ota = new Ota(this);
+    this.availability = new Availability(this, opts.availability);
+    this.meshHealth = new MeshHealth(this, opts.meshHealth);
+    this.routing = new Routing(this, opts.routing);
+    this.sleepyQueue = new SleepyQueue(this, opts.sleepyQueue);
+    this.pollCtrl = new PollCtrl(this, opts.pollCtrl);
+    this.touchlink = new Touchlink(this, opts.touchlink);
+    this.greenPower = new GreenPower(this);
 
     this._dbPath = opts.dbPath;
 
-    if (!this._dbPath) {    // use default
+    if (opts.storage) {     // a storage adapter, see components/storage.js
+        _.forEach([ 'get', 'has', 'find', 'filter', 'exportAllIds', 'exportAllObjs', 'isEmpty', 'removeElement', 'set', 'add', 'remove', 'sync', 'findAll' ], function (method) {
+            if (!_.isFunction(opts.storage[method]))
+                throw new TypeError('opts.storage should have method ' + method + '().');
+        });
+    } else if (!this._dbPath) {    // use default
         this._dbPath = __dirname + '/database/dev.db';
         // create default db folder if not there
         try {
@@ -63,7 +105,7 @@ function ZShepherd(path, opts) {
         }
     }
 
-    this._devbox = new ObjectBox(this._dbPath);
+    this._devbox = opts.storage || new storage.ObjectBoxStorage(this._dbPath);
 
     this.acceptDevIncoming = function (devInfo, callback) {  // Override at will.
         setImmediate(function () {
@@ -88,6 +130,10 @@ function ZShepherd(path, opts) {
         self.emit('permitJoining', time);
     });
 
+    this.controller.on('nvChanged', function (diff) {
+        self.emit('nvChanged', diff);    // the network was formed anew, diff: [ { param, expected, actual }, ... ]
+    });
+
     this.on('_ready', function (generateEvent) {
         self._startTime = Math.floor(Date.now()/1000);
         if(generateEvent){
@@ -133,6 +179,7 @@ function ZShepherd(path, opts) {
         cIdString = cIdString ? cIdString.key : cId;
         notifData.cid = cIdString;
 		notifData.zoneStatus = payload.zonestatus;
+        _.assign(notifData, Ias.decodeZoneStatus(payload.zonestatus));    // alarm1, alarm2, tamper, battery, trouble, ...
 
         self.emit('ind', { type: 'statusChange', endpoints: [ ep ], data: notifData, msg: msg });
     });
@@ -230,7 +277,7 @@ ZShepherd.prototype.reset = function (mode, callback) {
                 debug.shepherd(err);
             }).done();
         } else {
-            devbox = new Objectbox(this._dbPath);
+            devbox = new storage.ObjectBoxStorage(this._dbPath);
         }
     }
 
@@ -267,7 +314,8 @@ ZShepherd.prototype.info = function () {
         },
         firmware: firmware,
         startTime: this._startTime,
-        joinTimeLeft: net.joinTimeLeft
+        joinTimeLeft: net.joinTimeLeft,
+        scheduler: this.controller.scheduler.stats()
     };
 };
 
@@ -351,7 +399,7 @@ ZShepherd.prototype.list = function (ieeeAddrs, showIncomplete = false) {
     else if (!_.isUndefined(ieeeAddrs) && !_.isArray(ieeeAddrs))
         throw new TypeError('ieeeAddrs should be a string or an array of strings if given.');
     else if (!ieeeAddrs)
-        ieeeAddrs = _.map(this._devbox.exportAllObjs().filter(function(a){return showIncomplete || !a.incomplete}), function (dev) {
+        ieeeAddrs = _.map(this._devbox.exportAllObjs().filter(function(a){return (a instanceof Device) && (showIncomplete || !a.incomplete)}), function (dev) {
             return dev.getIeeeAddr();  // list all
         });
 
@@ -411,11 +459,111 @@ ZShepherd.prototype.lqi = function (ieeeAddr, callback) {
     }).then(function (rsp) {   // { srcaddr, status, neighbortableentries, startindex, neighborlqilistcount, neighborlqilist }
         if (rsp.status === 0)  // success
             return _.map(rsp.neighborlqilist, function (neighbor) {
-                return { ieeeAddr: neighbor.extAddr, nwkAddr: neighbor.nwkAddr, lqi: neighbor.lqi };
+                return {
+                    ieeeAddr: neighbor.extAddr,
+                    nwkAddr: neighbor.nwkAddr,
+                    lqi: neighbor.lqi,
+                    deviceType: neighbor.deviceType,
+                    relationship: neighbor.relationship,
+                    depth: neighbor.depth
+                };
+            });
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.route = function (ieeeAddr) {
+    // the last source route recorded for the device, null if none has been seen
+    return this.routing.route(ieeeAddr);
+};
+
+ZShepherd.prototype.setPollInterval = function (ieeeAddr, intervals, callback) {
+    // intervals: { longPoll, shortPoll, checkIn } in seconds, see components/poll_ctrl.js
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.object(intervals, 'intervals should be an object.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    return this.pollCtrl.set(ieeeAddr, intervals, callback);
+};
+
+ZShepherd.prototype.bindings = function (ieeeAddr, callback) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    var self = this,
+        dev = this._findDevByAddr(ieeeAddr);
+
+    return Q.fcall(function () {
+        if (dev)
+            return self.controller.request('ZDO', 'mgmtBindReq', { dstaddr: dev.getNwkAddr(), startindex: 0 });
+        else
+            return Q.reject(new Error('device is not found.'));
+    }).then(function (rsp) {   // { srcaddr, status, bindingtableentries, startindex, bindingtablelistcount, bindingtablelist }
+        if (rsp.status === 0)  // success
+            return _.map(rsp.bindingtablelist, function (entry) {
+                return decodeBinding(self, entry);
             });
     }).nodeify(callback);
 };
 
+ZShepherd.prototype.syncBindings = function (ieeeAddr, desired, callback) {
+    // desired: [ { srcEp, cId, dstIeeeAddr, dstEp } or { srcEp, cId, groupId }, ... ], the entries of bindings() fit as well
+    // bindings not declared are removed from the device, the missing ones are added
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.array(desired, 'desired should be an array.');
+
+    _.forEach(desired, function (entry) {
+        proving.object(entry, 'binding should be an object.');
+        proving.number(entry.srcEp, 'srcEp should be a number.');
+        proving.defined(zclId.cluster(entry.cId), 'Invalid cluster id: ' + entry.cId + '.');
+
+        if (_.isNil(entry.groupId)) {
+            proving.string(entry.dstIeeeAddr, 'dstIeeeAddr should be a string.');
+            proving.number(entry.dstEp, 'dstEp should be a number.');
+        } else {
+            proving.number(entry.groupId, 'groupId should be a number.');
+        }
+    });
+
+    var self = this,
+        dev = this._findDevByAddr(ieeeAddr),
+        result = { added: [], removed: [] };
+
+    if (!dev)
+        return Q.reject(new Error('device is not found.')).nodeify(callback);
+
+    return this.bindings(ieeeAddr).then(function (current) {
+        var wantedKeys = _.map(desired, bindingKey),
+            currentKeys = _.map(current, bindingKey),
+            steps = [];
+
+        _.forEach(current, function (entry, i) {
+            if (!_.includes(wantedKeys, currentKeys[i]))
+                steps.push(function () {
+                    return self.controller.request('ZDO', 'unbindReq', bindingParams(dev, entry)).then(function () {
+                        result.removed.push(entry);
+                    });
+                });
+        });
+
+        _.forEach(desired, function (entry, i) {
+            if (!_.includes(currentKeys, wantedKeys[i]) && wantedKeys.indexOf(wantedKeys[i]) === i)
+                steps.push(function () {
+                    return self.controller.request('ZDO', 'bindReq', bindingParams(dev, entry)).then(function () {
+                        result.added.push(entry);
+                    });
+                });
+        });
+
+        return steps.reduce(function (soFar, fn) {
+            return soFar.then(fn);
+        }, Q(0));
+    }).then(function () {
+        debug.shepherd('Bindings of %s synced, %d added, %d removed.', ieeeAddr, result.added.length, result.removed.length);
+        return result;
+    }).nodeify(callback);
+};
+
 ZShepherd.prototype.remove = function (ieeeAddr, cfg, callback) {
     proving.string(ieeeAddr, 'ieeeAddr should be a string.');
 
@@ -492,6 +640,494 @@ ZShepherd.prototype.lqiScan = function (startAddr, emit) {
         })
 }
 
+ZShepherd.prototype.topology = function (opts, callback) {
+    // opts: { format }, 'json' (default), 'dot' or 'graphml'
+    var self = this,
+        neighbors = [],
+        routes = {},
+        format;
+
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = undefined;
+    }
+
+    opts = opts || {};
+    proving.object(opts, 'opts should be an object if given.');
+
+    format = opts.format || 'json';
+    if (!_.includes(topology.FORMATS, format))
+        throw new TypeError('format should be one of ' + topology.FORMATS.join(', ') + '.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    return this.lqiScan(null, function (neighbor) {
+        neighbors.push(_.assign({}, neighbor));
+    }).then(function (scanned) {
+        // routing tables are only kept by the coordinator and routers
+        var routers = _.filter(scanned, function (entry) {
+            var dev = self._findDevByAddr(entry.ieeeAddr);
+            return entry.type === 'Coordinator' || (dev && dev.type === 'Router');
+        });
+
+        return Q.all(_.map(routers, function (entry) {
+            return self.rtg(entry.ieeeAddr).then(function (table) {
+                routes[entry.ieeeAddr] = table || [];
+            }).fail(function (err) {
+                debug.shepherd('Unable to read the routing table of %s: %s', entry.ieeeAddr, err);
+            });
+        }));
+    }).then(function () {
+        return topology.format(topology.graph(self, neighbors, routes), format);
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.createGroup = function (groupId, name, callback) {
+    var self = this,
+        group;
+
+    if (_.isFunction(name) && !_.isFunction(callback)) {
+        callback = name;
+        name = undefined;
+    }
+
+    name = name || '';
+
+    proving.number(groupId, 'groupId should be a number.');
+    proving.string(name, 'name should be a string if given.');
+
+    return Q.fcall(function () {
+        if (groupId < 0x0001 || groupId > 0xFFF7)    // 0xFFF8 - 0xFFFF are reserved
+            return Q.reject(new Error('groupId can only range from 0x0001 to 0xFFF7.'));
+        else if (self._findGroup(groupId))
+            return Q.reject(new Error('Group: ' + groupId + ' already exists.'));
+        else
+            return self.controller.addGroup(groupId, name);
+    }).then(function () {
+        group = new Group({ groupId: groupId, name: name });
+        self._attachGroupMethods(group);
+
+        return self._registerGroup(group);
+    }).then(function () {
+        debug.shepherd('Group: %d created.', groupId);
+        return group;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.getGroup = function (groupId) {
+    proving.number(groupId, 'groupId should be a number.');
+
+    return this._findGroup(groupId);
+};
+
+ZShepherd.prototype.listGroups = function () {
+    return _.map(this._devbox.filter(function (obj) {
+        return obj instanceof Group;
+    }), function (group) {
+        return _.omit(group.dump(), [ 'id' ]);
+    });
+};
+
+ZShepherd.prototype.removeGroup = function (groupId, callback) {
+    proving.number(groupId, 'groupId should be a number.');
+
+    var self = this,
+        group = this._findGroup(groupId);
+
+    if (!group)
+        return Q.reject(new Error('group is not found.')).nodeify(callback);
+
+    return Q.all(_.map(group.getMembers(), function (member) {
+        var ep = self.find(member.ieeeAddr, member.epId);
+
+        if (!ep)
+            return;
+
+        // the record goes anyway, a member that cannot be reached keeps its membership
+        return group.remove(ep).fail(function (err) {
+            debug.shepherd('Unable to remove %s:%d from group %d due to %s', member.ieeeAddr, member.epId, groupId, err);
+        });
+    })).then(function () {
+        return self.controller.removeGroup(groupId);
+    }).then(function () {
+        return Q.ninvoke(self._devbox, 'remove', group._getId());
+    }).then(function () {
+        debug.shepherd('Group: %d removed.', groupId);
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.addInstallCode = function (ieeeAddr, installCode, callback) {
+    // installCode: hex string (separators allowed) or Buffer, with its CRC in the last 2 bytes
+    var self = this,
+        dev,
+        linkKey;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    if (_.isString(installCode))
+        installCode = Buffer.from(installCode.replace(/^0x/i, '').replace(/[^0-9a-fA-F]/g, ''), 'hex');
+
+    if (!Buffer.isBuffer(installCode))
+        throw new TypeError('installCode should be a string or a buffer.');
+
+    try {
+        linkKey = zutils.installCodeToLinkKey(installCode);
+    } catch (err) {
+        return Q.reject(err).nodeify(callback);
+    }
+
+    ieeeAddr = zutils.toLongAddrString(ieeeAddr);
+    dev = this._findDevByAddr(ieeeAddr);
+
+    return this.controller.setLinkKey(ieeeAddr, dev ? dev.getNwkAddr() : 0xFFFE, linkKey).then(function () {
+        self._linkKeyAddrs[ieeeAddr] = true;
+        debug.shepherd('Link key of %s is derived from its install code.', ieeeAddr);
+
+        return { ieeeAddr: ieeeAddr, linkKey: linkKey.toString('hex') };
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.removeLinkKey = function (ieeeAddr, callback) {
+    var self = this;
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    ieeeAddr = zutils.toLongAddrString(ieeeAddr);
+
+    return this.controller.removeLinkKey(ieeeAddr).then(function () {
+        delete self._linkKeyAddrs[ieeeAddr];
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.getLinkKey = function (ieeeAddr, callback) {
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return this.controller.getLinkKey(zutils.toLongAddrString(ieeeAddr)).then(function (linkKey) {
+        return Buffer.isBuffer(linkKey) ? linkKey.toString('hex') : linkKey;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.listLinkKeys = function (callback) {
+    // coordinator cannot enumerate its keys, so ask for the ones of known devices and of install codes added
+    var self = this,
+        ieeeAddrs = _.keys(this._linkKeyAddrs),
+        result = [];
+
+    _.forEach(this.list(undefined, true), function (devInfo) {
+        if (devInfo.type !== 'Coordinator' && !_.includes(ieeeAddrs, devInfo.ieeeAddr))
+            ieeeAddrs.push(devInfo.ieeeAddr);
+    });
+
+    return ieeeAddrs.reduce(function (soFar, ieeeAddr) {
+        return soFar.then(function () {
+            return self.getLinkKey(ieeeAddr).then(function (linkKey) {
+                result.push({ ieeeAddr: ieeeAddr, linkKey: linkKey });
+            }).fail(function () {
+                return;     // no key for this device
+            });
+        });
+    }, Q(0)).then(function () {
+        return result;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.rotateNetworkKey = function (opts, callback) {
+    // opts: { key, switchDelay, verifyTimeout }, a random key is generated if not given
+    var self = this,
+        controller = this.controller,
+        heard = {},
+        key,
+        keySeqNum,
+        switchDelay,
+        verifyTimeout,
+        incomingLsn;
+
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+    proving.object(opts, 'opts should be an object if given.');
+
+    key = _.isNil(opts.key) ? crypto.randomBytes(16) : opts.key;
+    key = Buffer.isBuffer(key) ? Array.prototype.slice.call(key) : key;
+
+    if (!_.isArray(key) || key.length !== 16)
+        throw new TypeError('opts.key should be an array or a buffer with 16 bytes.');
+
+    switchDelay = _.isNil(opts.switchDelay) ? 10000 : opts.switchDelay;
+    verifyTimeout = _.isNil(opts.verifyTimeout) ? 10000 : opts.verifyTimeout;
+    proving.number(switchDelay, 'opts.switchDelay should be a number.');
+    proving.number(verifyTimeout, 'opts.verifyTimeout should be a number.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    incomingLsn = function (msg) {
+        heard[msg.srcaddr] = true;
+    };
+
+    return controller.getNwkKeyInfo().then(function (keyInfo) {
+        keySeqNum = (keyInfo.keySeqNum + 1) & 0xFF;
+        debug.shepherd('Distributing network key with sequence number %d.', keySeqNum);
+
+        return controller.updateNwkKey(key, keySeqNum);
+    }).delay(switchDelay).then(function () {
+        return controller.switchNwkKey(keySeqNum);
+    }).then(function () {
+        return controller.saveNvParams({ precfgkey: key });
+    }).then(function () {
+        return self._saveNetParams({ precfgkey: key, keySeqNum: keySeqNum });
+    }).then(function () {
+        // whoever talks with the new key is fine, the others are asked for their node descriptor
+        controller.on('AF:incomingMsg', incomingLsn);
+        controller.on('AF:incomingMsgExt', incomingLsn);
+
+        return Q.delay(verifyTimeout);
+    }).then(function () {
+        var silent = [],
+            unverified = [];
+
+        controller.removeListener('AF:incomingMsg', incomingLsn);
+        controller.removeListener('AF:incomingMsgExt', incomingLsn);
+
+        return _.filter(self._devbox.exportAllObjs(), function (dev) {
+            return (dev instanceof Device) && dev.getNwkAddr() !== 0 && dev.status === 'online' && !heard[dev.getNwkAddr()];
+        }).reduce(function (soFar, dev) {
+            return soFar.then(function () {
+                if (self.quirks.isSleepy(dev)) {
+                    unverified.push(dev.getIeeeAddr());
+                    return;
+                }
+
+                return controller.request('ZDO', 'nodeDescReq', { dstaddr: dev.getNwkAddr(), nwkaddrofinterest: dev.getNwkAddr() }).timeout(5000).fail(function () {
+                    silent.push(dev.getIeeeAddr());
+                });
+            });
+        }, Q(0)).then(function () {
+            if (silent.length)
+                debug.shepherd('Devices silent after switching network key: %s', silent.join(', '));
+
+            return { keySeqNum: keySeqNum, silent: silent, unverified: unverified };
+        });
+    }).fail(function (err) {
+        controller.removeListener('AF:incomingMsg', incomingLsn);
+        controller.removeListener('AF:incomingMsgExt', incomingLsn);
+        throw err;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.scanChannels = function (mask, duration, callback) {
+    // mask: channel number array or 32-bit channel mask, all of 11-26 if not given
+    var channelMask = 0;
+
+    if (_.isFunction(mask)) {
+        callback = mask;
+        mask = undefined;
+        duration = undefined;
+    } else if (_.isFunction(duration)) {
+        callback = duration;
+        duration = undefined;
+    }
+
+    mask = _.isNil(mask) ? 0x07FFF800 : mask;
+    duration = _.isNil(duration) ? 3 : duration;
+
+    if (_.isArray(mask)) {
+        _.forEach(mask, function (ch) {
+            if (!_.isNumber(ch) || ch < 11 || ch > 26)
+                throw new TypeError('Channel should be a number between 11 and 26.');
+
+            channelMask |= (1 << ch);
+        });
+        channelMask = channelMask >>> 0;
+    } else if (_.isNumber(mask)) {
+        channelMask = mask & 0x07FFF800;
+    } else {
+        throw new TypeError('mask should be an array of channels or a number.');
+    }
+
+    proving.number(duration, 'duration should be a number.');
+
+    if (duration < 0 || duration > 5)
+        throw new TypeError('duration should be between 0 and 5.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    if (channelMask === 0)
+        return Q.reject(new Error('No channel to scan.')).nodeify(callback);
+
+    return this.controller.scanChannels(channelMask, duration).then(function (result) {
+        // result: { status, totalTransmissions, transmissionFailures, channels: [ { channel, energy }, ... ] }
+        return result.channels;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.changeChannel = function (channel, callback) {
+    var self = this;
+
+    proving.number(channel, 'channel should be a number.');
+
+    if (channel < 11 || channel > 26)
+        throw new TypeError('channel should be between 11 and 26.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    if (this.controller.getNetInfo().channel === channel)
+        return Q().nodeify(callback);
+
+    return this.controller.changeChannel(channel).then(function () {
+        debug.shepherd('Network moved to channel %d.', channel);
+        return self._saveNetParams({ channelList: [ channel ] });
+    }).then(function () {
+        return;
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.backup = function (callback) {
+    var self = this,
+        controller = this.controller,
+        netInfo = controller.getNetInfo(),
+        nvItems;
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    return controller.backupNv().then(function (items) {
+        nvItems = items;
+        return Q.ninvoke(self._devbox, 'findAll', {});
+    }).then(function (recs) {
+        return {
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            coordinator: {
+                ieeeAddr: netInfo.ieeeAddr,
+                panId: netInfo.panId,
+                extPanId: netInfo.extPanId,
+                channel: netInfo.channel,
+                firmware: controller.getFirmwareInfo()
+            },
+            nv: _.map(nvItems, function (item) {
+                return { id: item.id, name: item.name, value: item.value.toString('hex') };
+            }),
+            devbox: _.map(recs, function (rec) {
+                return _.omit(rec, '_id');
+            })
+        };
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.restore = function (doc, callback) {
+    // doc: the document from backup(), the shepherd is started with the restored network
+    var self = this,
+        devbox = this._devbox,
+        nvItems,
+        netRec = { type: 'NetParams' },
+        maxId = 0;
+
+    proving.object(doc, 'doc should be an object.');
+
+    if (!_.isArray(doc.nv) || !_.isArray(doc.devbox))
+        throw new TypeError('doc should be a document from backup().');
+
+    if (doc.version !== BACKUP_VERSION)
+        return Q.reject(new Error('Unsupported backup version: ' + doc.version + '.')).nodeify(callback);
+
+    if (this._enabled)
+        return Q.reject(new Error('Shepherd should be stopped before restoring a backup.')).nodeify(callback);
+
+    nvItems = _.map(doc.nv, function (item) {
+        var value = Buffer.from(item.value, 'hex'),
+            chList;
+
+        switch (item.name) {
+            case 'NWK_SEC_MATERIAL_TABLE_START':
+                value.writeUInt32LE((value.readUInt32LE(0) + FRAME_COUNTER_MARGIN) % 0x100000000, 0);
+                break;
+            case 'PANID':
+                netRec.panId = value.readUInt16LE(0);
+                break;
+            case 'CHANLIST':
+                chList = value.readUInt32LE(0);
+                netRec.channelList = [];
+                for (var ch = 11; ch <= 26; ch += 1) {
+                    if (chList & (1 << ch))
+                        netRec.channelList.push(ch);
+                }
+                break;
+            case 'EXTENDED_PAN_ID':
+                netRec.extPanId = Array.prototype.slice.call(value);
+                break;
+            case 'PRECFGKEY':
+                netRec.precfgkey = Array.prototype.slice.call(value);
+                break;
+            case 'PRECFGKEYS_ENABLE':
+                netRec.precfgkeysEnable = value.readUInt8(0) === 1;
+                break;
+        }
+
+        return { id: item.id, name: item.name, value: value };
+    });
+
+    // records are written to the database only, loader.reload() brings them into the box at start
+    function putRec(rec) {
+        return Q.ninvoke(devbox, 'set', rec.id, rec).then(function () {
+            devbox.removeElement(rec.id);
+        });
+    }
+
+    return Q.ninvoke(devbox, 'findAll', {}).then(function (recs) {
+        return _.map(recs, function (rec) {
+            return function () { return Q.ninvoke(devbox, 'remove', rec.id); };
+        }).reduce(function (soFar, fn) {
+            return soFar.then(fn);
+        }, Q(0));
+    }).then(function () {
+        return _.filter(doc.devbox, function (rec) {
+            return rec.type !== 'NetParams';
+        }).reduce(function (soFar, rec) {
+            maxId = Math.max(maxId, rec.id);
+            return soFar.then(function () { return putRec(_.cloneDeep(rec)); });
+        }, Q(0));
+    }).then(function () {
+        netRec.id = maxId + 1;
+        netRec.updatedAt = Date.now();
+        return putRec(netRec);
+    }).then(function () {
+        debug.shepherd('Database restored from backup of %s.', doc.createdAt);
+
+        self.controller.scheduleNvRestore(nvItems);
+        return self.start();
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype.getState = function (ieeeAddr, epId) {
+    // the state built by the converters from the reports and commands of a device, e.g. { temperature: 21.5, battery: 87 }
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+
+    return this.converters.getState(ieeeAddr, epId);
+};
+
+ZShepherd.prototype.setState = function (ieeeAddr, state, epId, callback) {
+    // state: { state: 'ON', brightness: 120 }, each key is sent by the converter able to set it
+    if (_.isFunction(epId)) {
+        callback = epId;
+        epId = undefined;
+    }
+
+    proving.string(ieeeAddr, 'ieeeAddr should be a string.');
+    proving.object(state, 'state should be an object.');
+
+    if (!this._enabled)
+        return Q.reject(new Error('Shepherd is not enabled.')).nodeify(callback);
+
+    return this.converters.setState(ieeeAddr, state, epId, callback);
+};
+
 /*************************************************************************************************/
 /*** Protected Methods                                                                         ***/
 /*************************************************************************************************/
@@ -500,10 +1136,19 @@ ZShepherd.prototype._findDevByAddr = function (addr) {
     proving.stringOrNumber(addr, 'addr should be a number or a string.');
 
     return this._devbox.find(function (dev) {
+        if (!(dev instanceof Device))
+            return false;
+
         return _.isString(addr) ? dev.getIeeeAddr() === addr : dev.getNwkAddr() === addr;
     });
 };
 
+ZShepherd.prototype._findGroup = function (groupId) {
+    return this._devbox.find(function (group) {
+        return (group instanceof Group) && group.getGroupId() === groupId;
+    });
+};
+
 ZShepherd.prototype._registerDev = function (dev, callback) {
     var devbox = this._devbox,
         oldDev;
@@ -537,9 +1182,110 @@ ZShepherd.prototype.clearDev = function (dev, callback) {
 };
 
 ZShepherd.prototype._unregisterDev = function (dev, callback) {
+    var self = this,
+        ieeeAddr = dev.getIeeeAddr();
+
+    _.forEach(this._devbox.filter(function (obj) {
+        return (obj instanceof Group) && _.some(obj.members, function (member) { return member.ieeeAddr === ieeeAddr; });
+    }), function (group) {
+        group._removeMember(ieeeAddr);
+        Q.ninvoke(self._devbox, 'sync', group._getId()).fail(function () {}).done();
+    });
+
     return this.clearDev(dev._getId());
 };
 
+ZShepherd.prototype._saveNetParams = function (params, callback) {
+    // params: { panId, extPanId, precfgkey, precfgkeysEnable, keySeqNum, channelList }, changed at runtime and preferred over opts.net at next start
+    var devbox = this._devbox,
+        netRec = devbox.find(function (obj) {
+            return obj.type === 'NetParams';
+        });
+
+    if (netRec) {
+        _.assign(netRec, params, { updatedAt: Date.now() });
+
+        return Q.ninvoke(devbox, 'sync', netRec.id).nodeify(callback);
+    }
+
+    return Q.ninvoke(devbox, 'add', _.assign({ type: 'NetParams' }, params, { updatedAt: Date.now() })).nodeify(callback);
+};
+
+ZShepherd.prototype._registerGroup = function (group, callback) {
+    var devbox = this._devbox;
+
+    if (!(group instanceof Group))
+        throw new TypeError('group should be an instance of Group class.');
+
+    return Q.fcall(function () {
+        if (group._recovered) {
+            return Q.ninvoke(devbox, 'set', group._getId(), group).then(function (id) {
+                group._recovered = false;
+                delete group._recovered;
+                return id;
+            });
+        } else {
+            return Q.ninvoke(devbox, 'add', group).then(function (id) {
+                group._setId(id);
+                return id;
+            });
+        }
+    }).nodeify(callback);
+};
+
+ZShepherd.prototype._attachGroupMethods = function (group) {
+    var self = this;
+
+    group.add = function (ep, callback) {
+        if (!(ep instanceof Endpoint) || ep.isLocal())
+            throw new TypeError('ep should be an instance of remote Endpoint.');
+
+        return ep.functional('genGroups', 'add', { groupid: group.getGroupId(), groupname: group.getName() }).then(function (rsp) {
+            // rsp: { status, groupid }
+            if (rsp.status !== 0 && rsp.status !== 0x8a)    // 0x8a: DUPLICATE_EXISTS, already a member
+                throw new Error('request unsuccess: ' + rsp.status);
+
+            group._addMember(ep.getIeeeAddr(), ep.getEpId());
+            return Q.ninvoke(self._devbox, 'sync', group._getId());
+        }).then(function () {
+            return group.getMembers();
+        }).nodeify(callback);
+    };
+
+    group.remove = function (ep, callback) {
+        if (!(ep instanceof Endpoint) || ep.isLocal())
+            throw new TypeError('ep should be an instance of remote Endpoint.');
+
+        return ep.functional('genGroups', 'remove', { groupid: group.getGroupId() }).then(function (rsp) {
+            // rsp: { status, groupid }
+            if (rsp.status !== 0 && rsp.status !== 0x8b)    // 0x8b: NOT_FOUND, not a member anymore
+                throw new Error('request unsuccess: ' + rsp.status);
+
+            group._removeMember(ep.getIeeeAddr(), ep.getEpId());
+            return Q.ninvoke(self._devbox, 'sync', group._getId());
+        }).then(function () {
+            return group.getMembers();
+        }).nodeify(callback);
+    };
+
+    group.functional = function (cId, cmd, zclData, cfg, callback) {
+        var coord = self.controller.getCoord(),
+            dlgEp = coord ? coord.getDelegator(0x0104) : undefined;
+
+        if (_.isFunction(cfg) && !_.isFunction(callback)) {
+            callback = cfg;
+            cfg = {};
+        } else {
+            cfg = cfg || {};
+        }
+
+        if (!dlgEp)
+            return Q.reject(new Error('Coordinator has not been initialized yet.')).nodeify(callback);
+
+        return self.af.zclFunctionalExt(dlgEp, ZSC.AF.addressMode.ADDR_GROUP, group.getGroupId(), cId, cmd, zclData, cfg, callback);
+    };
+};
+
 ZShepherd.prototype._attachZclMethods = function (ep) {
     var self = this;
 
@@ -579,11 +1325,11 @@ ZShepherd.prototype._attachZclMethods = function (ep) {
         ep.functional = function (cId, cmd, zclData, cfg, callback) {
             return self._functional(ep, ep, cId, cmd, zclData, cfg, callback);
         };
-        ep.bind = function (cId, dstEpOrGrpId, callback) {
-            return self.controller.bind(ep, cId, dstEpOrGrpId, callback);
+        ep.bind = function (cId, dst, dstEpId, callback) {
+            return self.controller.bind(ep, cId, dst, dstEpId, callback);
         };
-        ep.unbind = function (cId, dstEpOrGrpId, callback) {
-            return self.controller.unbind(ep, cId, dstEpOrGrpId, callback);
+        ep.unbind = function (cId, dst, dstEpId, callback) {
+            return self.controller.unbind(ep, cId, dst, dstEpId, callback);
         };
         ep.read = function (cId, attrId, callback) {
             var attr = zclId.attr(cId, attrId);
@@ -614,48 +1360,19 @@ ZShepherd.prototype._attachZclMethods = function (ep) {
                 }).nodeify(callback);
         };
         ep.report = function (cId, attrId, minInt, maxInt, repChange, callback) {
-            var deferred = Q.defer(),
-                coord = self.controller.getCoord(),
-                dlgEp = coord.getDelegator(ep.getProfId()),
-                cfgRpt = true,
-                cfgRptRec,
-                attrIdVal,
-                attrTypeVal;
-
-            if (arguments.length === 1) {
-                cfgRpt = false;
-            } else if (arguments.length === 2) {
+            // the configuration is kept by the reporting manager, which re-applies it when the device comes back
+            var dlgEp = self.controller.getCoord().getDelegator(ep.getProfId());
+
+            if (arguments.length === 1 || arguments.length === 2) {
                 callback = attrId;
-                cfgRpt = false;
-            } else if (arguments.length === 5 && _.isFunction(repChange)) {
-                callback = repChange;
-            }
 
-            if (cfgRpt) {
-                attrIdVal = zclId.attr(cId, attrId);
-                cfgRptRec = {
-                    direction : 0,
-                    attrId: attrIdVal ? attrIdVal.value : attrId,
-                    dataType : zclId.attrType(cId, attrId).value,
-                    minRepIntval : minInt,
-                    maxRepIntval : maxInt,
-                    repChange: repChange
-                };
+                if (!dlgEp)
+                    return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.')).nodeify(callback);
+
+                return ep.bind(cId, dlgEp).nodeify(callback);
             }
 
-            return Q.fcall(function () {
-                if (dlgEp) {
-                    return ep.bind(cId, dlgEp).then(function () {
-                        if (cfgRpt)
-                            return ep.foundation(cId, 'configReport', [ cfgRptRec ]).then(function (rsp) {
-                                var status = rsp[0].status;
-                                if (status !== 0)
-                                    deferred.reject(zclId.status(status).key);
-                            });
-                    });
-                }
-                return Q.reject(new Error('Profile: ' + ep.getProfId() + ' is not supported.'));
-            }).nodeify(callback);
+            return self.reporting.configure(ep, cId, attrId, minInt, maxInt, repChange, callback);
         };
     }
 };
@@ -742,4 +1459,52 @@ ZShepherd.prototype._updateFinalizer = function (ep, cId, attrs, reported) {
     }).done();
 };
 
+/*************************************************************************************************/
+/*** Private Functions                                                                         ***/
+/*************************************************************************************************/
+function decodeBinding(shepherd, entry) {
+    // entry: { srcAddr, srcEp, clusterId, dstAddrMode, dstAddr[, dstEp] }
+    var cIdItem = zclId.cluster(entry.clusterId),
+        binding = { srcEp: entry.srcEp, cId: entry.clusterId, cid: cIdItem ? cIdItem.key : null },
+        dstDev,
+        group;
+
+    if (entry.dstAddrMode === ZSC.AF.addressMode.ADDR_GROUP) {
+        // cc-znp always reads 8 bytes of address, the group id is in the lowest 2 of them
+        binding.groupId = parseInt(entry.dstAddr.slice(-4), 16);
+        group = shepherd._findGroup(binding.groupId);
+        binding.dstGroup = group ? { name: group.getName(), members: group.getMembers() } : null;
+    } else {
+        binding.dstIeeeAddr = entry.dstAddr;
+        binding.dstEp = entry.dstEp;
+        dstDev = shepherd._findDevByAddr(entry.dstAddr);
+        binding.dstDev = dstDev ? { type: dstDev.type, nwkAddr: dstDev.getNwkAddr(), manufName: dstDev.manufName, modelId: dstDev.modelId } : null;
+    }
+
+    return binding;
+}
+
+function bindingKey(binding) {
+    var cId = zclId.cluster(binding.cId).value;
+
+    if (_.isNil(binding.groupId))
+        return [ binding.srcEp, cId, binding.dstIeeeAddr, binding.dstEp ].join(':');
+    else
+        return [ binding.srcEp, cId, 'group', binding.groupId ].join(':');
+}
+
+function bindingParams(dev, binding) {
+    var isGroup = !_.isNil(binding.groupId);
+
+    return {
+        dstaddr: dev.getNwkAddr(),
+        srcaddr: dev.getIeeeAddr(),
+        srcendpoint: binding.srcEp,
+        clusterid: zclId.cluster(binding.cId).value,
+        dstaddrmode: isGroup ? ZSC.AF.addressMode.ADDR_GROUP : ZSC.AF.addressMode.ADDR_64BIT,
+        addr_short_long: isGroup ? zutils.toLongAddrString(binding.groupId) : binding.dstIeeeAddr,
+        dstendpoint: isGroup ? 0xFF : binding.dstEp
+    };
+}
+
 module.exports = ZShepherd;
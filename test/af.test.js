@@ -6,6 +6,7 @@ var sinon = require('sinon'),
     Q = require('q');
 
 var af = require('../lib/components/af'),
+    Scheduler = require('../lib/components/scheduler'),
     Device  = require('../lib/model/device'),
     Endpoint  = require('../lib/model/endpoint'),
     Coord  = require('../lib/model/coord'),
@@ -113,6 +114,8 @@ controller.limitConcurrency = function(fn) {
     return fn
 };
 
+controller.scheduler = new Scheduler();
+
 controller._indirect_send = function(addr, fn){
     var result = fn()
     return {done: function(){}, result: result, handleTimeout: function(){}}
@@ -1161,6 +1164,25 @@ describe('Module Methods Check', function() {
 
             fireFakeCnf(0, 8, transId);
         });
+
+        it('should queue a message to a nwkAddr under the ieeeAddr of its device', function (done) {
+            var shepherdStub = sinon.stub(controller, 'getShepherd').returns({
+                    _findDevByAddr: function (addr) { return (addr === 100) ? remoteDev : undefined; }
+                }),
+                scheduleStub = sinon.stub(controller.scheduler, 'schedule').returns(Q({ status: 0 }));
+
+            af.sendExt(loEp8, 2, 100, 12, new Buffer([ 1, 2 ]), { options: 0 }).then(function () {
+                return af.sendExt(loEp8, 2, 0xFFFD, 12, new Buffer([ 1, 2 ]), { options: 0 });
+            }).then(function () {
+                expect(scheduleStub.firstCall.args[1].key).to.be.equal('0x123456789ABCDEF');
+                expect(scheduleStub.secondCall.args[1].key).to.be.equal(undefined);
+            }).fin(function () {
+                shepherdStub.restore();
+                scheduleStub.restore();
+            }).then(function () {
+                done();
+            }).fail(done).done();
+        });
     });
 
     describe('#.zclFoundation - by delegator', function() {
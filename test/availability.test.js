@@ -0,0 +1,209 @@
+var Q = require('q'),
+    EventEmitter = require('events'),
+    sinon = require('sinon'),
+    expect = require('chai').expect,
+    Availability = require('../lib/components/availability'),
+    Quirks = require('../lib/components/quirks');
+
+var Device  = require('../lib/model/device');
+
+var router = new Device({
+    type: 'Router',
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 10,
+    epList: [ 1 ],
+    capabilities: 0x8e,
+    incomplete: false
+});
+
+var sensor = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x00137a00000161f3',
+    nwkAddr: 200,
+    manufId: 10,
+    epList: [ 1 ],
+    capabilities: 0x80,
+    incomplete: false
+});
+
+router._setId(1);
+sensor._setId(2);
+
+var shepherd = new EventEmitter(),
+    pings = [],
+    scheduled = [],
+    pingOk = true,
+    statuses = [],
+    syncs = [];
+
+shepherd._enabled = true;
+shepherd.quirks = new Quirks(shepherd);
+shepherd._devbox = {
+    exportAllObjs: function () {
+        return [ router, sensor ];
+    },
+    sync: function (id, callback) {
+        syncs.push(id);
+        setImmediate(function () { callback(null, id); });
+    }
+};
+shepherd._findDevByAddr = function (addr) {
+    return (addr === 100) ? router : (addr === 200) ? sensor : undefined;
+};
+shepherd.controller = new EventEmitter();
+shepherd.controller.request = function (subsys, cmdId, valObj) {
+    pings.push(valObj.dstaddr);
+    return pingOk ? Q({ status: 0 }) : Q.reject(new Error('request timeout'));
+};
+shepherd.controller.limitConcurrency = function (fcall, ieeeAddr) {
+    return function (background) {
+        scheduled.push({ ieeeAddr: ieeeAddr, background: background });
+        return fcall();
+    };
+};
+shepherd.on('ind:status', function (dev, status) {
+    statuses.push({ ieeeAddr: dev.getIeeeAddr(), status: status });
+});
+
+function poll(nwkAddr) {
+    shepherd.controller.emit('ZNP:AREQ', { subsys: 'NWK', ind: 'pollInd', data: { srcaddr: nwkAddr } });
+}
+
+describe('Signature Check', function () {
+    var stub = new EventEmitter(),
+        availability;
+
+    stub.controller = new EventEmitter();
+    availability = new Availability(stub);
+
+    it('should throw if a policy is unknown', function () {
+        expect(function () { availability.configure({ coordinator: { timeout: 10 } }); }).to.throw(TypeError);
+        expect(function () { availability.configure({ router: { retries: 3 } }); }).to.throw(TypeError);
+    });
+
+    it('should throw if a policy value is not a number', function () {
+        expect(function () { availability.configure({ router: { timeout: '10' } }); }).to.throw(TypeError);
+        expect(function () { availability.configure({ checkInterval: '10' }); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var availability = new Availability(shepherd, { router: { pingInterval: 1000, timeout: 5000 } });
+
+    beforeEach(function () {
+        pings = [];
+        scheduled = [];
+        pingOk = true;
+        statuses = [];
+        syncs = [];
+    });
+
+    it('should update lastSeen and bring the device online on a message from it', function () {
+        shepherd.controller.emit('ZNP:AREQ', { subsys: 'AF', ind: 'incomingMsg', data: { srcaddr: 100, clusterid: 6 } });
+
+        expect(router.lastSeen).to.be.closeTo(Date.now(), 100);
+        expect(router.status).to.be.equal('online');
+        expect(router.dump().lastSeen).to.be.equal(router.lastSeen);
+        expect(statuses).to.be.deep.equal([ { ieeeAddr: '0x00137a00000161f2', status: 'online' } ]);
+    });
+
+    it('should not ping a router heard within pingInterval', function (done) {
+        availability.check().then(function () {
+            expect(pings).to.be.deep.equal([]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should ping a quiet router and keep it online if it answers', function (done) {
+        router.lastSeen = Date.now() - 2000;
+
+        availability.check().then(function () {
+            expect(pings).to.be.deep.equal([ 100 ]);
+            expect(scheduled).to.be.deep.equal([ { ieeeAddr: '0x00137a00000161f2', background: true } ]);
+            expect(router.status).to.be.equal('online');
+            expect(router.lastSeen).to.be.closeTo(Date.now(), 100);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should mark a router offline if it stays silent longer than timeout', function (done) {
+        router.lastSeen = Date.now() - 6000;
+        pingOk = false;
+
+        availability.check().then(function () {
+            expect(router.status).to.be.equal('offline');
+            expect(statuses).to.be.deep.equal([ { ieeeAddr: '0x00137a00000161f2', status: 'offline' } ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should only take the frames sent by the device as a sign of life', function () {
+        var lastSeen = router.lastSeen;
+
+        shepherd.controller.emit('ZNP:AREQ', { subsys: 'ZDO', ind: 'leaveInd', data: { srcaddr: 100, extaddr: '0x00137a00000161f2' } });
+        shepherd.controller.emit('ZNP:AREQ', { subsys: 'ZDO', ind: 'tcDeviceInd', data: { nwkaddr: 100, extaddr: '0x00137a00000161f2', parentaddr: 0 } });
+        shepherd.controller.emit('ZNP:AREQ', { subsys: 'AF', ind: 'dataConfirm', data: { srcaddr: 100, status: 0 } });
+
+        expect(router.lastSeen).to.be.equal(lastSeen);
+        expect(router.status).to.be.equal('offline');
+
+        shepherd.controller.emit('ZNP:AREQ', { subsys: 'ZDO', ind: 'nodeDescRsp', data: { srcaddr: 100, status: 0, nwkaddr: 100 } });
+
+        expect(router.status).to.be.equal('online');
+        expect(statuses).to.be.deep.equal([ { ieeeAddr: '0x00137a00000161f2', status: 'online' } ]);
+    });
+
+    it('should never ping a sleepy device and learn its poll rate', function (done) {
+        var clock = sinon.useFakeTimers({ now: Date.now(), toFake: [ 'Date' ] });
+
+        // lastSeen restored from the database says nothing about the poll rate
+        sensor.update({ status: 'online', lastSeen: Date.now() - 60000 });
+        poll(200);
+        expect(availability.pollIntervalOf('0x00137a00000161f3')).to.be.null;
+
+        clock.tick(60000);
+        poll(200);
+        clock.tick(1000);
+        poll(200);
+        clock.restore();
+
+        expect(availability.pollIntervalOf('0x00137a00000161f3')).to.be.equal(60000);
+        expect(availability.timeoutOf(sensor)).to.be.equal(600000);
+
+        availability.check().then(function () {
+            expect(pings).to.not.include(200);
+            expect(sensor.status).to.be.equal('online');
+            done();
+        }).fail(done).done();
+    });
+
+    it('should forget a slow poll rate when the device polls faster', function () {
+        var clock = sinon.useFakeTimers({ now: Date.now(), toFake: [ 'Date' ] });
+
+        for (var i = 0; i < 800; i += 1) {
+            clock.tick(10000);
+            poll(200);
+        }
+        clock.restore();
+
+        expect(availability.pollIntervalOf('0x00137a00000161f3')).to.be.equal(10000);
+    });
+
+    it('should persist lastSeen periodically', function (done) {
+        var fresh = new Availability(shepherd);
+
+        router.update({ status: 'online', lastSeen: Date.now() });
+        sensor.update({ status: 'online', lastSeen: Date.now() });
+
+        fresh.check().then(function () {
+            expect(syncs).to.be.deep.equal([ 1, 2 ]);
+            syncs = [];
+            router.lastSeen += 600000;
+            return fresh.check();
+        }).then(function () {
+            expect(syncs).to.be.deep.equal([ 1 ]);
+            done();
+        }).fail(done).done();
+    });
+});
@@ -1,11 +1,14 @@
 var Q = require('q'),
+    _ = require('busyman'),
     sinon = require('sinon'),
     expect = require('chai').expect,
     EventEmitter = require('events'),
     Controller = require('../lib/components/controller'),
-    ObjectBox = require('objectbox');
+    ObjectBox = require('objectbox'),
+    nvParams = require('../lib/config/nv_start_options.js');
 
 var Device  = require('../lib/model/device'),
+    Group  = require('../lib/model/group'),
     Endpoint  = require('../lib/model/endpoint'),
     Coord  = require('../lib/model/coord'),
     Coordpoint  = require('../lib/model/coordpoint');
@@ -459,6 +462,26 @@ describe('Signature Check', function () {
             expect(function () { return controller.remove(remoteDev, function () {}, function () {}); }).to.throw(TypeError);
         });
     });
+    describe('#.setNvParams', function () {
+        it('should throw if net.extPanId is not a hex string or 8 bytes', function () {
+            expect(function () { controller.setNvParams({ extPanId: '0x1234' }); }).to.throw(TypeError);
+            expect(function () { controller.setNvParams({ extPanId: [ 1, 2, 3 ] }); }).to.throw(TypeError);
+            expect(function () { controller.setNvParams({ extPanId: 100 }); }).to.throw(TypeError);
+        });
+
+        it('should throw if net.networkKeyDistribute is not a bool', function () {
+            expect(function () { controller.setNvParams({ networkKeyDistribute: 1 }); }).to.throw(TypeError);
+        });
+
+        it('should throw if net.networkKeyDistribute and net.precfgkeysEnable are both given', function () {
+            expect(function () { controller.setNvParams({ networkKeyDistribute: true, precfgkeysEnable: true }); }).to.throw(TypeError);
+        });
+
+        it('should throw if net.logicalType is not a known type', function () {
+            expect(function () { controller.setNvParams({ logicalType: 'hub' }); }).to.throw(TypeError);
+            expect(function () { controller.setNvParams({ logicalType: 3 }); }).to.throw(TypeError);
+        });
+    });
 });
 
 describe('Functional Check', function () {
@@ -561,6 +584,85 @@ describe('Functional Check', function () {
         });
     });
 
+    describe('#.checkNvParams', function () {
+        it('should report every mismatched item and hard reset', function (done) {
+            var extPanId = nvParams.extPanId.value,
+                resetStub = sinon.stub(controller, 'reset').callsFake(function () {
+                    return Q();
+                }),
+                requestStub = sinon.stub(controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                    var item = (cmdId === 'osalNvRead') ? nvParams.znpHasConfigured : _.find(_.values(nvParams), function (p) {
+                            return p.configid === valObj.configid;
+                        }),
+                        value = (item === nvParams.extPanId) ? [ 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD ] : item.value;
+
+                    return (item === nvParams.logicalType) ? Q.reject(new Error('rsp error: 2')).nodeify(callback) : Q({ status: 0, value: Buffer.from(value) }).nodeify(callback);
+                });
+
+            controller.setNvParams({ extPanId: '0x00124b0001ab89cd' });
+
+            controller.checkNvParams(function (err, diff) {
+                requestStub.restore();
+                resetStub.restore();
+                nvParams.extPanId.value = extPanId;
+
+                if (err)
+                    return done(err);
+
+                expect(diff).to.be.deep.equal([
+                    { param: 'extPanId', expected: [ 0xcd, 0x89, 0xab, 0x01, 0x00, 0x4b, 0x12, 0x00 ], actual: [ 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD, 0xDD ] },
+                    { param: 'logicalType', expected: [ 0x00 ], actual: null }
+                ]);
+                expect(resetStub.calledWith('hard')).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('#.scanChannels', function () {
+        function scanWith(msgdata) {
+            var requestStub = sinon.stub(controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                if (cmdId === 'mgmtNwkUpdateReq') {
+                    setImmediate(function () {
+                        controller.emit('ZDO:msgCbIncoming', { srcaddr: 0, clusterid: 0x8038, msgdata: msgdata });
+                    });
+                }
+
+                return Q({ status: 0 }).nodeify(callback);
+            });
+
+            return controller.scanChannels((1 << 11) | (1 << 15), 3).fin(function () {
+                requestStub.restore();
+            });
+        }
+
+        it('should resolve with the energy of each channel', function (done) {
+            scanWith(Buffer.from([ 0x00, 0x00, 0x88, 0x00, 0x00, 0x10, 0x00, 0x01, 0x00, 0x02, 0x20, 0x40 ])).then(function (result) {
+                expect(result).to.be.deep.equal({
+                    status: 0,
+                    totalTransmissions: 16,
+                    transmissionFailures: 1,
+                    channels: [ { channel: 11, energy: 0x20 }, { channel: 15, energy: 0x40 } ]
+                });
+                done();
+            }).fail(done).done();
+        });
+
+        it('should reject if the scan failed', function (done) {
+            scanWith(Buffer.from([ 0x8A ])).fail(function (err) {
+                expect(err.message).to.be.equal('Energy scan failed, status: 138.');
+                done();
+            }).done();
+        });
+
+        it('should reject if the energy list is truncated', function (done) {
+            scanWith(Buffer.from([ 0x00, 0x00, 0x88, 0x00, 0x00, 0x10, 0x00, 0x01, 0x00, 0x02, 0x20 ])).fail(function (err) {
+                expect(err.message).to.be.equal('Malformed mgmtNwkUpdateNotify.');
+                done();
+            }).done();
+        });
+    });
+
     describe('#.request', function () {
         it('request ZDO command', function (done) {
             var _zdoRequestStub = sinon.stub(controller._zdo, 'request').callsFake(function (cmdId, valObj, callback) {
@@ -828,4 +930,128 @@ describe('Functional Check', function () {
             });
         });
     });
+
+    describe('#.bind to other targets', function () {
+        var reqs = [],
+            requestStub;
+
+        beforeEach(function () {
+            reqs = [];
+            requestStub = sinon.stub(controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                reqs.push(valObj);
+                return Q({ srcaddr: 100, status: 0 }).nodeify(callback);
+            });
+        });
+
+        afterEach(function () {
+            requestStub.restore();
+        });
+
+        it('should bind to the endpoint of an ieeeAddr', function (done) {
+            controller.bind(rmEp2, 'genOnOff', '0x00137a00000161f2', 3).then(function () {
+                expect(reqs[0].dstaddrmode).to.be.equal(3);
+                expect(reqs[0].addr_short_long).to.be.equal('0x00137a00000161f2');
+                expect(reqs[0].dstendpoint).to.be.equal(3);
+                done();
+            }).fail(done).done();
+        });
+
+        it('should throw if the endpoint of an ieeeAddr is not given', function () {
+            expect(function () { return controller.bind(rmEp2, 'genOnOff', '0x00137a00000161f2'); }).to.throw(TypeError);
+        });
+
+        it('should bind to a group', function (done) {
+            controller.bind(rmEp2, 'genOnOff', new Group({ groupId: 7 })).then(function () {
+                expect(reqs[0].dstaddrmode).to.be.equal(1);
+                expect(reqs[0].addr_short_long).to.be.equal('0x0000000000000007');
+                done();
+            }).fail(done).done();
+        });
+
+        it('should bind to the delegator of the coordinator', function (done) {
+            coordDev.endpoints[1] = loEp1;
+
+            controller.bind(rmEp2, 'genOnOff', coordDev, function (err) {
+                delete coordDev.endpoints[1];
+                expect(reqs[0].addr_short_long).to.be.equal('0x0abcdef123456789');
+                expect(reqs[0].dstendpoint).to.be.equal(1);
+                done(err);
+            });
+        });
+
+        it('should bind to the HA delegator if the coordinator has none of the profile', function (done) {
+            var zllEp = new Endpoint(remoteDev, {
+                profId: 0xC05E,
+                epId: 11,
+                devId: 0x0100,
+                inClusterList: [ 0x0000, 0x0006 ],
+                outClusterList: []
+            });
+
+            coordDev.endpoints[1] = loEp1;
+
+            controller.bind(zllEp, 'genOnOff', coordDev, function (err) {
+                delete coordDev.endpoints[1];
+                expect(reqs[0].srcendpoint).to.be.equal(11);
+                expect(reqs[0].dstendpoint).to.be.equal(1);
+                done(err);
+            });
+        });
+    });
+
+    describe('#.request bindReq', function () {
+        var sendStub;
+
+        function stubZdo(bindStatus) {
+            var sent = [];
+
+            sendStub = sinon.stub(controller._zdo, '_sendZdoRequestViaZnp').callsFake(function (apiName, valObj, callback) {
+                var ind = (apiName === 'ieeeAddrReq') ?
+                    { status: 0, ieeeaddr: '0x00137a00000161f2', nwkaddr: 0x1234, startindex: 0, numassocdev: 0, assocdevlist: [] } :
+                    { srcaddr: valObj.dstaddr, status: bindStatus };
+
+                sent.push([ apiName, valObj ]);
+                setImmediate(function () {
+                    callback(null, { status: 0 });
+                    controller.emit(apiName === 'ieeeAddrReq' ? 'ZDO:ieeeAddrRsp:' + valObj.shortaddr : 'ZDO:bindRsp:' + valObj.dstaddr, ind);
+                });
+            });
+
+            return sent;
+        }
+
+        afterEach(function () {
+            sendStub.restore();
+        });
+
+        it('should resolve a 16-bit destination to its ieeeAddr', function (done) {
+            var sent = stubZdo(0);
+
+            controller.request('ZDO', 'bindReq', {
+                dstaddr: 100, srcaddr: '0x0123456789abcdef', srcendpoint: 1, clusterid: 6,
+                dstaddrmode: 2, addr_short_long: 0x1234, dstendpoint: 1
+            }).then(function (rsp) {
+                expect(sent[0][0]).to.be.equal('ieeeAddrReq');
+                expect(sent[0][1].shortaddr).to.be.equal(0x1234);
+                expect(sent[1][1].dstaddrmode).to.be.equal(3);
+                expect(sent[1][1].addr_short_long).to.be.equal('0x00137a00000161f2');
+                expect(rsp.status).to.be.equal(0);
+                done();
+            }).fail(done).done();
+        });
+
+        it('should reject if the device refuses the binding', function (done) {
+            stubZdo(0x8c);  // TABLE_FULL
+
+            controller.request('ZDO', 'bindReq', {
+                dstaddr: 100, srcaddr: '0x0123456789abcdef', srcendpoint: 1, clusterid: 6,
+                dstaddrmode: 1, addr_short_long: '0x0000000000000007', dstendpoint: 0xFF
+            }).then(function () {
+                done(new Error('should reject'));
+            }, function (err) {
+                expect(err.message).to.be.equal('request unsuccess: 140');
+                done();
+            }).done();
+        });
+    });
 });
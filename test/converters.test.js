@@ -0,0 +1,133 @@
+var Q = require('q'),
+    Ziee = require('ziee'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    Converters = require('../lib/components/converters');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var lamp = new Device({
+    type: 'Router',
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 10,
+    modelId: 'lamp',
+    epList: [ 1 ],
+    incomplete: false
+});
+
+var lampEp = new Endpoint(lamp, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0100,
+    inClusterList: [ 0x0000, 0x0006, 0x0008, 0x0402 ],
+    outClusterList: []
+});
+
+lampEp.clusters = new Ziee();
+lamp.endpoints[1] = lampEp;
+
+var sent = [],
+    changes = [];
+
+lampEp.functional = function (cId, cmd, zclData, cfg) {
+    sent.push({ cId: cId, cmd: cmd, zclData: zclData, cfg: cfg });
+    return Q({});
+};
+
+var shepherd = new EventEmitter();
+
+shepherd._findDevByAddr = function (addr) {
+    return (addr === lamp.getIeeeAddr()) ? lamp : undefined;
+};
+shepherd.on('stateChange', function (change) {
+    changes.push(change);
+});
+
+describe('Signature Check', function () {
+    var converters = new Converters(new EventEmitter());
+
+    it('should throw if cid is not a known cluster', function () {
+        expect(function () { converters.add({ fromZcl: function () {} }); }).to.throw(TypeError);
+        expect(function () { converters.add({ cid: 'ceed', fromZcl: function () {} }); }).to.throw(TypeError);
+    });
+
+    it('should throw if fromZcl or toZcl is not made of functions', function () {
+        expect(function () { converters.add({ cid: 'genOnOff', fromZcl: 'fn' }); }).to.throw(TypeError);
+        expect(function () { converters.add({ cid: 'genOnOff', toZcl: { state: 'on' } }); }).to.throw(TypeError);
+    });
+
+    it('should throw if state is not an object', function () {
+        expect(function () { converters.setState('0x00137a00000161f2', 'ON'); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var converters = new Converters(shepherd);
+
+    beforeEach(function () {
+        sent = [];
+        changes = [];
+    });
+
+    it('should convert a report into a normalized state', function () {
+        shepherd.emit('ind:reported', lampEp, 0x0402, [ { attrId: 0, dataType: 41, attrData: 2150 } ]);
+
+        expect(changes).to.have.lengthOf(1);
+        expect(changes[0].ieeeAddr).to.be.equal('0x00137a00000161f2');
+        expect(changes[0].changed).to.be.deep.equal({ temperature: 21.5 });
+        expect(converters.getState('0x00137a00000161f2')).to.be.deep.equal({ temperature: 21.5 });
+    });
+
+    it('should not emit stateChange if nothing changed', function () {
+        shepherd.emit('ind:changed', lampEp, { cid: 'msTemperatureMeasurement', data: { measuredValue: 2150 } });
+
+        expect(changes).to.be.deep.equal([]);
+    });
+
+    it('should always emit the commands of a device', function () {
+        shepherd.emit('ind:cmd', lampEp, 6, 'toggle', {});
+        shepherd.emit('ind:cmd', lampEp, 6, 'toggle', {});
+
+        expect(changes).to.have.lengthOf(2);
+        expect(changes[1].changed).to.be.deep.equal({ action: 'toggle' });
+    });
+
+    it('should use the converters of a model instead of the generic ones', function () {
+        var converter = {
+            cid: 'msTemperatureMeasurement',
+            modelId: 'lamp',
+            fromZcl: function (msg) {
+                return { temperature: msg.data.measuredValue / 10 };
+            }
+        };
+
+        converters.add(converter);
+        shepherd.emit('ind:changed', lampEp, { cid: 'msTemperatureMeasurement', data: { measuredValue: 226 } });
+        converters.remove(converter);
+
+        expect(changes[0].changed).to.be.deep.equal({ temperature: 22.6 });
+        expect(changes[0].state.temperature).to.be.equal(22.6);
+    });
+
+    it('should map a state back to functional commands', function (done) {
+        converters.setState('0x00137a00000161f2', { state: 'ON', brightness: 120, transition: 2 }).then(function () {
+            expect(sent).to.be.deep.equal([
+                { cId: 'genOnOff', cmd: 'on', zclData: {}, cfg: { skipFinalize: false } },
+                { cId: 'genLevelCtrl', cmd: 'moveToLevelWithOnOff', zclData: { level: 120, transtime: 20 }, cfg: { skipFinalize: false } }
+            ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject if no converter can set a key', function (done) {
+        converters.setState('0x00137a00000161f2', { colorTemp: 300 }).then(function () {
+            done(new Error('should reject'));
+        }, function (err) {
+            expect(err.message).to.match(/colorTemp/);
+            expect(sent).to.be.deep.equal([]);
+            done();
+        }).done();
+    });
+});
@@ -0,0 +1,248 @@
+var Q = require('q'),
+    crypto = require('crypto'),
+    EventEmitter = require('events'),
+    _ = require('busyman'),
+    expect = require('chai').expect,
+    storage = require('../lib/components/storage'),
+    GreenPower = require('../lib/components/green_power');
+
+var TAP = 0x0051b5c3,
+    SWITCH = 0x01756e2a,
+    GPD_KEY = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+var sent = [],
+    inds = [];
+
+var shepherd = new EventEmitter();
+
+shepherd._devbox = new storage.MemoryStorage();
+shepherd.controller = {
+    getCoord: function () {
+        return { getDelegator: function (profId) { return profId === 0xA1E0 ? {} : undefined; } };
+    },
+    getNetInfo: function () {
+        return { state: 'Coordinator', channel: 11, panId: '0x1a62', extPanId: '0xdddddddddddddddd', ieeeAddr: '0x00124b0001709887', nwkAddr: 0 };
+    }
+};
+shepherd.af = {
+    sendExt: function (srcEp, addrMode, dstAddr, cId, frame, opt) {
+        sent.push({ addrMode: addrMode, dstAddr: dstAddr, cId: cId, cmdId: frame.readUInt8(2), frame: frame, opt: opt });
+        return Q({ status: 0 });
+    }
+};
+shepherd.on('ind', function (msg) {
+    inds.push(msg);
+});
+
+function gpFrame(proxy, cmdId, options, srcId, frameCounter, gpdCmdId, gpdPayload) {
+    var payload = Buffer.alloc(12);
+
+    payload.writeUInt16LE(options, 0);
+    payload.writeUInt32LE(srcId, 2);
+    payload.writeUInt32LE(frameCounter, 6);
+    payload.writeUInt8(gpdCmdId, 10);
+    payload.writeUInt8(gpdPayload.length, 11);
+
+    return {
+        groupid: 0, clusterid: 0x0021, srcaddr: proxy, srcendpoint: 242, dstendpoint: 242, wasbroadcast: 0,
+        linkquality: 100, securityuse: 0, timestamp: 0, transseqnumber: 0,
+        data: Buffer.concat([ Buffer.from([ 0x11, 1, cmdId ]), payload, gpdPayload ])
+    };
+}
+
+function encryptedKey(srcId) {
+    // CCM of the key with the default TC link key, the nonce and the header are made of the source id
+    var nonce = Buffer.alloc(13),
+        header = Buffer.alloc(4),
+        cipher;
+
+    nonce.writeUInt32LE(srcId, 0);
+    nonce.writeUInt32LE(srcId, 4);
+    nonce.writeUInt32LE(srcId, 8);
+    nonce.writeUInt8(0x05, 12);
+    header.writeUInt32LE(srcId, 0);
+
+    cipher = crypto.createCipheriv('aes-128-ccm', Buffer.from('ZigBeeAlliance09'), nonce, { authTagLength: 4 });
+    cipher.setAAD(header, { plaintextLength: GPD_KEY.length });
+
+    return Buffer.concat([ cipher.update(GPD_KEY), cipher.final(), cipher.getAuthTag() ]);
+}
+
+function emitFrame(msg) {
+    shepherd.emit('ind:gpFrame', msg);
+    return Q.delay(10);
+}
+
+describe('Signature Check', function () {
+    var greenPower = new GreenPower(new EventEmitter());
+
+    it('should throw if srcId is not a number', function () {
+        expect(function () { greenPower.find('0x0051b5c3'); }).to.throw(TypeError);
+        expect(function () { greenPower.remove(); }).to.throw(TypeError);
+    });
+
+    it('should throw if time is not a number', function () {
+        expect(function () { greenPower.commissioning('60'); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var greenPower = new GreenPower(shepherd);
+
+    beforeEach(function () {
+        sent = [];
+        inds = [];
+    });
+
+    it('should put the proxies in commissioning mode while the network is open', function (done) {
+        shepherd.emit('permitJoining', 60);
+        shepherd.emit('permitJoining', 59);
+        shepherd.emit('permitJoining', 0);
+
+        expect(sent.length).to.be.equal(2);
+        expect(sent[0].dstAddr).to.be.equal(0xFFFD);
+        expect(sent[0].opt.dstEpId).to.be.equal(242);
+        expect(sent[0].frame.slice(2).toString('hex')).to.be.equal('02073c00');
+        expect(sent[1].frame.slice(2).toString('hex')).to.be.equal('0200');
+        done();
+    });
+
+    it('should commission a switch with an encrypted key and pair the proxies', function (done) {
+        // deviceId, options (extended options present), extended options (level 2, individual key, key encrypted, counter present)
+        var commissioning = Buffer.concat([ Buffer.from([ 0x02, 0x85, 0xF2 ]), encryptedKey(SWITCH), Buffer.from([ 0x10, 0x00, 0x00, 0x00 ]) ]);
+
+        greenPower.commissioning(180).then(function () {
+            sent = [];
+            return emitFrame(gpFrame(0x1234, 0x04, 0x0800, SWITCH, 5, 0xE0, commissioning));
+        }).then(function () {
+            var rec = greenPower.find(SWITCH),
+                pairing = sent[0].frame.slice(3);
+
+            expect(rec.deviceId).to.be.equal(0x02);
+            expect(rec.securityLevel).to.be.equal(2);
+            expect(rec.securityKeyType).to.be.equal(4);
+            expect(rec.key).to.be.deep.equal(Array.prototype.slice.call(GPD_KEY));
+            expect(rec.frameCounter).to.be.equal(0x10);
+
+            expect(sent.length).to.be.equal(1);
+            expect(sent[0].cmdId).to.be.equal(0x01);
+            expect(pairing.readUIntLE(0, 3)).to.be.equal(0x08 | (3 << 5) | 0x80 | (2 << 9) | (4 << 11) | (1 << 14) | (1 << 15));
+            expect(pairing.readUInt32LE(3)).to.be.equal(SWITCH);
+            expect(pairing.slice(7, 15).toString('hex')).to.be.equal('87987001004b1200');
+            expect(pairing.readUInt32LE(18)).to.be.equal(0x10);
+            expect(pairing.slice(22)).to.be.deep.equal(GPD_KEY);
+
+            expect(inds[0].type).to.be.equal('gpDevIncoming');
+            expect(inds[0].data.key).to.be.equal(undefined);
+            return Q.ninvoke(shepherd._devbox, 'findAll', { type: 'GpDevice' });
+        }).then(function (recs) {
+            expect(recs.length).to.be.equal(1);
+            expect(recs[0].srcId).to.be.equal(SWITCH);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should not take a key which fails its MIC', function (done) {
+        var key = encryptedKey(0x0badc0de),
+            commissioning;
+
+        key[19] ^= 0xFF;
+        commissioning = Buffer.concat([ Buffer.from([ 0x02, 0x85, 0x72 ]), key ]);
+
+        sent = [];
+        emitFrame(gpFrame(0x1234, 0x04, 0x0800, 0x0badc0de, 1, 0xE0, commissioning)).then(function () {
+            expect(greenPower.find(0x0badc0de)).to.be.equal(undefined);
+            expect(sent.length).to.be.equal(0);
+            expect(inds.length).to.be.equal(0);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should emit the commands of a commissioned switch once', function (done) {
+        emitFrame(gpFrame(0x1234, 0x00, 0x0000, SWITCH, 17, 0x10, Buffer.alloc(0))).then(function () {
+            return emitFrame(gpFrame(0x5678, 0x00, 0x0000, SWITCH, 17, 0x10, Buffer.alloc(0)));
+        }).then(function () {
+            return emitFrame(gpFrame(0x1234, 0x00, 0x0000, SWITCH, 18, 0x62, Buffer.alloc(0)));
+        }).then(function () {
+            expect(inds.length).to.be.equal(2);
+            expect(inds[0].type).to.be.equal('gpCommand');
+            expect(inds[0].data).to.include({ srcId: SWITCH, cmdId: 0x10, cmd: 'recallScene0', frameCounter: 17, proxy: 0x1234 });
+            expect(inds[1].data.cmd).to.be.equal('press1of2');
+            done();
+        }).fail(done).done();
+    });
+
+    it('should drop replayed frames and keep the counter in the store', function (done) {
+        emitFrame(gpFrame(0x1234, 0x00, 0x0000, SWITCH, 17, 0x10, Buffer.alloc(0))).then(function () {
+            return emitFrame(gpFrame(0x1234, 0x00, 0x0000, SWITCH, 18, 0x62, Buffer.alloc(0)));
+        }).then(function () {
+            expect(inds.length).to.be.equal(0);
+            return Q.ninvoke(shepherd._devbox, 'findAll', { type: 'GpDevice', srcId: SWITCH });
+        }).then(function (recs) {
+            expect(recs[0].lastFrameCounter).to.be.equal(18);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should commission a Hue Tap from its first data frame', function (done) {
+        greenPower.commissioning(0).then(function () {
+            sent = [];
+            return emitFrame(gpFrame(0x1234, 0x04, 0x0000, TAP, 2, 0x22, Buffer.alloc(0)));
+        }).then(function () {
+            expect(greenPower.find(TAP)).to.be.equal(undefined);
+            expect(sent.length).to.be.equal(0);
+            expect(inds.length).to.be.equal(0);
+            return greenPower.commissioning(180);
+        }).then(function () {
+            sent = [];
+            return emitFrame(gpFrame(0x1234, 0x04, 0x0000, TAP, 3, 0x22, Buffer.alloc(0)));
+        }).then(function () {
+            var rec = greenPower.find(TAP);
+
+            expect(rec.deviceId).to.be.equal(0xFE);
+            expect(rec.key).to.be.equal(null);
+            expect(sent[0].cmdId).to.be.equal(0x01);
+            expect(sent[0].frame.readUIntLE(3, 3) & (1 << 15)).to.be.equal(0);
+            expect(inds.map(function (ind) { return ind.type; })).to.be.deep.equal([ 'gpDevIncoming', 'gpCommand' ]);
+            expect(inds[1].data.cmd).to.be.equal('toggle');
+            done();
+        }).fail(done).done();
+    });
+
+    it('should drop the frames of an unknown device', function (done) {
+        emitFrame(gpFrame(0x1234, 0x00, 0x0000, 0x12345678, 1, 0x22, Buffer.alloc(0))).then(function () {
+            expect(inds.length).to.be.equal(0);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should drop truncated frames', function (done) {
+        var frame = gpFrame(0x1234, 0x00, 0x0000, SWITCH, 19, 0x10, Buffer.alloc(0)),
+            commissioning = gpFrame(0x1234, 0x04, 0x0800, SWITCH, 20, 0xE0, Buffer.from([ 0x02, 0x80 ]));
+
+        expect(function () {
+            shepherd.emit('ind:gpFrame', _.assign({}, frame, { data: Buffer.from([ 0x11 ]) }));
+            shepherd.emit('ind:gpFrame', _.assign({}, frame, { data: Buffer.from([ 0x15, 1, 0x00 ]) }));
+            shepherd.emit('ind:gpFrame', _.assign({}, frame, { data: frame.data.slice(0, 8) }));
+            shepherd.emit('ind:gpFrame', _.assign({}, frame, { data: Buffer.concat([ frame.data.slice(0, 14), Buffer.from([ 4 ]) ]) }));
+            shepherd.emit('ind:gpFrame', commissioning);
+        }).to.not.throw();
+
+        Q.delay(10).then(function () {
+            expect(inds.length).to.be.equal(0);
+            expect(greenPower.find(SWITCH).frameCounter).to.be.equal(0x10);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should unpair and remove a device', function (done) {
+        greenPower.remove(TAP).then(function () {
+            expect(sent[0].frame.readUIntLE(3, 3) & 0x10).to.be.equal(0x10);
+            expect(sent[0].frame.readUInt32LE(6)).to.be.equal(TAP);
+            expect(greenPower.find(TAP)).to.be.equal(undefined);
+            expect(greenPower.list().length).to.be.equal(1);
+            expect(inds[0]).to.include({ type: 'gpDevLeaving', data: TAP });
+            done();
+        }).fail(done).done();
+    });
+});
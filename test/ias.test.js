@@ -0,0 +1,137 @@
+var Q = require('q'),
+    Ziee = require('ziee'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    Ias = require('../lib/components/ias');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var sensor = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 10,
+    epList: [ 1 ],
+    capabilities: 0x80,
+    incomplete: false
+});
+
+var zoneEp = new Endpoint(sensor, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0402,
+    inClusterList: [ 0x0000, 0x0001, 0x0500 ],
+    outClusterList: []
+});
+
+zoneEp.clusters = new Ziee();
+sensor.endpoints[1] = zoneEp;
+sensor._setId(2);
+
+var sent = [],
+    zoneState = 0;
+
+zoneEp.write = function (cId, attrId, data) {
+    sent.push([ 'write', attrId, data ]);
+    return Q(data);
+};
+zoneEp.functional = function (cId, cmd, zclData) {
+    sent.push([ cmd, zclData ]);
+    zoneState = 1;
+    return Q({});
+};
+zoneEp.foundation = function (cId, cmd, zclData) {
+    return Q([
+        { attrId: 0, status: 0, attrData: zoneState },
+        { attrId: 1, status: 0, attrData: 0x0015 },
+        { attrId: 17, status: 0, attrData: 0 }
+    ]);
+};
+
+var shepherd = new EventEmitter();
+
+shepherd.controller = {
+    getCoord: function () {
+        return { getIeeeAddr: function () { return '0x00124b0001ce4beb'; } };
+    }
+};
+shepherd._devbox = {
+    exportAllObjs: function () {
+        return [ sensor ];
+    },
+    sync: function (id, callback) {
+        setImmediate(function () { callback(null, id); });
+    }
+};
+
+describe('Signature Check', function () {
+    it('should throw if mode is unknown', function () {
+        expect(function () { return new Ias(new EventEmitter(), { mode: 'auto' }); }).to.throw(TypeError);
+        expect(function () { return new Ias(new EventEmitter(), 'tripToPair'); }).to.throw(TypeError);
+    });
+
+    it('should throw if ep is not an Endpoint', function () {
+        var ias = new Ias(new EventEmitter());
+        expect(function () { ias.enroll({}); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    beforeEach(function () {
+        sent = [];
+        zoneState = 0;
+        zoneEp.iasZone = null;
+    });
+
+    it('should decode the zone status bits', function () {
+        var flags = Ias.decodeZoneStatus(0x0045);
+
+        expect(flags.alarm1).to.be.true;
+        expect(flags.alarm2).to.be.false;
+        expect(flags.tamper).to.be.true;
+        expect(flags.battery).to.be.false;
+        expect(flags.trouble).to.be.true;
+    });
+
+    it('should write the CIE address and enroll the zone', function (done) {
+        var ias = new Ias(shepherd);
+
+        ias.enroll(zoneEp).then(function (zone) {
+            expect(sent).to.be.deep.equal([
+                [ 'write', 'iasCieAddr', '0x00124b0001ce4beb' ],
+                [ 'enrollRsp', { enrollrspcode: 0, zoneid: 0 } ]
+            ]);
+            expect(zone).to.be.deep.equal({ zoneId: 0, zoneType: 0x0015, enrolled: true });
+            expect(zoneEp.dump().iasZone).to.be.deep.equal(zone);
+            expect(ias.list()).to.be.deep.equal([ { ieeeAddr: '0x00137a00000161f2', epId: 1, zoneId: 0, zoneType: 0x0015, enrolled: true } ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should only answer the enroll request in trip-to-pair mode', function (done) {
+        var ias = new Ias(shepherd, { mode: 'tripToPair' });
+
+        ias.enroll(zoneEp).then(function (zone) {
+            expect(sent).to.have.lengthOf(1);
+            expect(zone.enrolled).to.be.false;
+
+            shepherd.emit('ind:cmd', zoneEp, 0x0500, 'enrollReq', { zonetype: 0x0015, manucode: 10 });
+            setTimeout(function () {
+                expect(sent[1]).to.be.deep.equal([ 'enrollRsp', { enrollrspcode: 0, zoneid: 0 } ]);
+                done();
+            }, 20);
+        }).fail(done).done();
+    });
+
+    it('should keep the zone id of a restored endpoint', function () {
+        var ias = new Ias(shepherd),
+            restored;
+
+        zoneEp.iasZone = { zoneId: 7, zoneType: 0x0015, enrolled: true };
+        restored = new Device(sensor.dump());
+
+        expect(restored.getEndpoint(1).iasZone).to.be.deep.equal({ zoneId: 7, zoneType: 0x0015, enrolled: true });
+        expect(ias._zoneOf(zoneEp).zoneId).to.be.equal(7);
+    });
+});
@@ -0,0 +1,159 @@
+var Q = require('q'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    interview = require('../lib/components/interview'),
+    Quirks = require('../lib/components/quirks');
+
+var Device  = require('../lib/model/device');
+
+var simpleDesc = {
+    epList: [ 1, 2 ],
+    endpoints: [
+        { profId: 0x0104, epId: 1, devId: 0x0100, inClusterList: [ 0x0000, 0x0006 ], outClusterList: [] },
+        { profId: 0x0104, epId: 2, devId: 0x0100, inClusterList: [ 0x0006 ], outClusterList: [] }
+    ]
+};
+
+var shepherd = new EventEmitter(),
+    interviewed = [],
+    failEp = null,
+    joining = [];
+
+shepherd._devbox = {
+    sync: function (id, callback) {
+        setImmediate(function () { callback(null, id); });
+    }
+};
+shepherd._attachZclMethods = function () {};
+shepherd.quirks = new Quirks(shepherd);
+shepherd.af = {
+    zclFoundation: function () {
+        return Q({ payload: [ { attrId: 4, attrData: 'ACME' }, { attrId: 5, attrData: 'lamp' }, { attrId: 7, attrData: 1 } ] });
+    },
+    zclClustersReq: function (ep) {
+        if (ep.getEpId() === failEp)
+            return Q.reject(new Error('request timeout'));
+
+        interviewed.push(ep.getEpId());
+        return Q({ genOnOff: { dir: 1, attrs: { onOff: 0 } } });
+    }
+};
+shepherd.on('joining', function (msg) {
+    joining.push(msg.type);
+});
+
+var controller = {
+    getShepherd: function () {
+        return shepherd;
+    },
+    limitConcurrency: function (fn) {
+        return function () { return fn(); };
+    },
+    simpleDescReq: function () {
+        return Q(simpleDesc);
+    }
+};
+
+function notAborted() {
+    return false;
+}
+
+function newDev() {
+    var dev = new Device({ ieeeAddr: '0x00137a00000161f2', nwkAddr: 100 });
+    dev._setId(1);
+    return dev;
+}
+
+describe('Functional Check', function () {
+    beforeEach(function () {
+        interviewed = [];
+        joining = [];
+        delete shepherd.acceptDevInterview;
+    });
+
+    it('should go through every stage of a new device in order', function (done) {
+        var dev = newDev();
+
+        interview.run(controller, dev, { capabilities: 0x8e }, notAborted).then(function (result) {
+            expect(result).to.be.equal(dev);
+            expect(joining).to.be.deep.equal([ 'endpoints', 'basic', 'acceptInterview', 'clusters', 'acceptIncoming', 'sync' ]);
+            expect(interviewed).to.be.deep.equal([ 1, 2 ]);
+            expect(dev.modelId).to.be.equal('lamp');
+            expect(dev.powerSource).to.be.equal('Mains (single phase)');
+            expect(dev.status).to.be.equal('online');
+            expect(dev.incomplete).to.be.false;
+            expect(dev.dump().interview).to.be.null;
+            done();
+        }).fail(done).done();
+    });
+
+    it('should resume a partial interview from the last completed stage', function (done) {
+        var dev = newDev(),
+            rec;
+
+        // the device goes to sleep while its second endpoint is interviewed
+        failEp = 2;
+
+        interview.run(controller, dev, {}, notAborted).then(function () {
+            throw new Error('should fail');
+        }, function (err) {
+            expect(err.message).to.be.equal('request timeout');
+            expect(dev.interview.stage).to.be.equal('acceptInterview');
+            expect(dev.interview.doneEps).to.be.deep.equal([ 1 ]);
+
+            // restored from the database
+            rec = new Device(dev.dump());
+            rec._setId(1);
+            expect(interview.resumeStage(rec)).to.be.equal('clusters');
+
+            failEp = null;
+            interviewed = [];
+            joining = [];
+            return interview.run(controller, rec, {}, notAborted);
+        }).then(function (result) {
+            expect(result).to.be.equal(rec);
+            expect(joining).to.be.deep.equal([ 'clusters', 'acceptIncoming', 'sync' ]);
+            expect(interviewed).to.be.deep.equal([ 2 ]);
+            expect(rec.getEndpoint(1).clusters.dumpSync().genOnOff.attrs).to.be.deep.equal({ onOff: 0 });
+            done();
+        }).fail(done).done();
+    });
+
+    it('should keep the stage reached if the device is rejected', function (done) {
+        var dev = newDev();
+
+        shepherd.acceptDevInterview = function (info, callback) {
+            callback(null, false);
+        };
+
+        interview.run(controller, dev, {}, notAborted).then(function (result) {
+            expect(result).to.be.undefined;
+            expect(joining).to.be.deep.equal([ 'endpoints', 'basic', 'acceptInterview', 'rejected' ]);
+            expect(dev.incomplete).to.be.true;
+            expect(dev.interview.stage).to.be.equal('basic');
+            done();
+        }).fail(done).done();
+    });
+
+    it('should skip the cluster interview if a quirk says so', function (done) {
+        var dev = newDev(),
+            quirk = { modelId: 'lamp', skipClusterInterview: true };
+
+        shepherd.quirks.add(quirk);
+
+        interview.run(controller, dev, {}, notAborted).then(function (result) {
+            shepherd.quirks.remove(quirk);
+            expect(result).to.be.equal(dev);
+            expect(interviewed).to.be.deep.equal([]);
+            expect(dev.incomplete).to.be.false;
+            done();
+        }).fail(done).done();
+    });
+
+    it('should only accept a device which completed its interview before', function () {
+        var dev = newDev();
+
+        dev.update({ incomplete: false });
+        expect(interview.resumeStage(dev)).to.be.equal('acceptIncoming');
+    });
+});
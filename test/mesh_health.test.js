@@ -0,0 +1,102 @@
+var Q = require('q'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    MeshHealth = require('../lib/components/mesh_health');
+
+var COORD = '0x00124b0001ce4beb',
+    ROUTER_1 = '0x00137a0000000001',
+    ROUTER_2 = '0x00137a0000000002',
+    REMOTE = '0x0017880100000001';
+
+var graph;
+
+var shepherd = new EventEmitter();
+
+shepherd._enabled = true;
+shepherd.controller = new EventEmitter();
+shepherd.topology = function () {
+    return Q(graph);
+};
+
+function meshOf(remoteLqi, nextHop) {
+    // coordinator - router 1 - router 2 - remote, router 2 only hears router 1
+    return {
+        nodes: [
+            { ieeeAddr: COORD, type: 'Coordinator' },
+            { ieeeAddr: ROUTER_1, type: 'Router' },
+            { ieeeAddr: ROUTER_2, type: 'Router' },
+            { ieeeAddr: REMOTE, type: 'EndDevice' }
+        ],
+        edges: [
+            { source: COORD, target: ROUTER_1, lqi: 220, relationship: 'child', routes: [ { dest: REMOTE, status: 'active' } ] },
+            { source: ROUTER_1, target: COORD, lqi: 200, relationship: 'parent', routes: [] },
+            { source: ROUTER_1, target: ROUTER_2, lqi: 150, relationship: 'child', routes: nextHop === ROUTER_2 ? [ { dest: REMOTE, status: 'active' } ] : [] },
+            { source: ROUTER_1, target: REMOTE, lqi: 30, relationship: 'none', routes: nextHop === REMOTE ? [ { dest: REMOTE, status: 'active' } ] : [] },
+            { source: ROUTER_2, target: REMOTE, lqi: remoteLqi, relationship: 'child', routes: [] }
+        ]
+    };
+}
+
+describe('Signature Check', function () {
+    it('should throw if an option is unknown or not a number', function () {
+        expect(function () { return new MeshHealth(shepherd, { period: 1000 }); }).to.throw(TypeError);
+        expect(function () { return new MeshHealth(shepherd, { interval: '1h' }); }).to.throw(TypeError);
+        expect(function () { return new MeshHealth(shepherd, { interval: 0, parentLqiThreshold: 80 }); }).not.to.throw(TypeError);
+    });
+
+    it('should throw if ieeeAddr is not a string', function () {
+        expect(function () { new MeshHealth(shepherd).report(1); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    it('should compute the health of every device', function (done) {
+        var meshHealth = new MeshHealth(shepherd, { interval: 0 });
+
+        graph = meshOf(120, ROUTER_2);
+        meshHealth.check().then(function () {
+            expect(meshHealth.report(ROUTER_2)).to.include({ hops: 2, parent: ROUTER_1, parentLqi: 150, alternateParents: 0 });
+            expect(meshHealth.report(REMOTE)).to.include({ bestLqi: 120, worstLqi: 30, hops: 2, parent: ROUTER_2, parentLqi: 120, alternateParents: 1 });
+            expect(meshHealth.report(COORD)).to.be.null;
+            done();
+        }).fail(done).done();
+    });
+
+    it('should emit meshHealth warnings', function (done) {
+        var meshHealth = new MeshHealth(shepherd, { interval: 0, parentLqiThreshold: 50 }),
+            warnings = [];
+
+        function onWarning(warning) {
+            warnings.push(warning);
+        }
+
+        shepherd.on('meshHealth', onWarning);
+        graph = meshOf(40, ROUTER_2);
+
+        meshHealth.check().then(function (result) {
+            shepherd.removeListener('meshHealth', onWarning);
+            expect(warnings).to.be.deep.equal(result.warnings);
+            expect(warnings).to.be.deep.equal([
+                { type: 'singlePointOfFailure', ieeeAddr: ROUTER_2, via: ROUTER_1, hops: 2 },
+                { type: 'weakParentLink', ieeeAddr: REMOTE, parent: ROUTER_2, lqi: 40, threshold: 50 }
+            ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should record the route changes towards a device', function (done) {
+        var meshHealth = new MeshHealth(shepherd, { interval: 0 });
+
+        graph = meshOf(120, ROUTER_2);
+        meshHealth.check().then(function () {
+            graph = meshOf(120, REMOTE);
+            return meshHealth.check();
+        }).then(function () {
+            var changes = meshHealth.report(REMOTE).routeChanges;
+
+            expect(changes).to.have.lengthOf(1);
+            expect(changes[0]).to.include({ router: ROUTER_1, from: ROUTER_2, to: REMOTE });
+            done();
+        }).fail(done).done();
+    });
+});
@@ -0,0 +1,305 @@
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+var Q = require('q'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    Ota = require('../lib/components/ota'),
+    Quirks = require('../lib/components/quirks');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var remoteDev = new Device({
+    type: 1,
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 0x1234,
+    epList: [ 1 ],
+    incomplete: false
+});
+
+var rmEp1 = new Endpoint(remoteDev, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0100,
+    inClusterList: [ 0x0000 ],
+    outClusterList: [ 0x0019 ]
+});
+
+remoteDev.endpoints[1] = rmEp1;
+
+var sleepyDev = new Device({
+    type: 2,
+    ieeeAddr: '0x00137a00000161f3',
+    nwkAddr: 200,
+    manufId: 0x1234,
+    epList: [ 1 ],
+    capabilities: 0x80,
+    incomplete: false
+});
+
+var sleepyEp1 = new Endpoint(sleepyDev, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0302,
+    inClusterList: [ 0x0000 ],
+    outClusterList: [ 0x0019 ]
+});
+
+sleepyDev.endpoints[1] = sleepyEp1;
+
+var dlgEp = { getEpId: function () { return 1; } },
+    sent = [],
+    inds = [];
+
+var shepherd = new EventEmitter();
+
+shepherd.quirks = new Quirks(shepherd);
+shepherd.controller = {
+    getCoord: function () {
+        return { getDelegator: function () { return dlgEp; } };
+    }
+};
+shepherd.af = {
+    send: function (srcEp, dstEp, cId, rawPayload) {
+        sent.push({ cId: cId, frame: rawPayload });
+        return Q({ status: 0 });
+    }
+};
+shepherd.on('ind', function (msg) {
+    inds.push(msg);
+});
+
+function otaFile(fileVersion, bodySize, hwVersions) {
+    // hwVersions: [ min, max ], the optional hardware versions of the header
+    var header = Buffer.alloc(hwVersions ? 60 : 56),
+        body = Buffer.alloc(bodySize, 0xAB);
+
+    header.writeUInt32LE(0x0BEEF11E, 0);
+    header.writeUInt16LE(0x0100, 4);
+    header.writeUInt16LE(header.length, 6);
+    header.writeUInt16LE(hwVersions ? 0x04 : 0, 8);
+    header.writeUInt16LE(0x1234, 10);
+    header.writeUInt16LE(0x0001, 12);
+    header.writeUInt32LE(fileVersion, 14);
+    header.writeUInt16LE(2, 18);
+    header.write('bulb firmware', 20);
+    header.writeUInt32LE(header.length + bodySize, 52);
+
+    if (hwVersions) {
+        header.writeUInt16LE(hwVersions[0], 56);
+        header.writeUInt16LE(hwVersions[1], 58);
+    }
+
+    return Buffer.concat([ header, body ]);
+}
+
+function request(cmdId, seqNum, payload, ep) {
+    var data = Buffer.concat([ Buffer.from([ 0x01, seqNum, cmdId ]), payload ]),
+        zclHeader = { frameCntl: { frameType: 1, manufSpec: 0, direction: 0, disDefaultRsp: 0 }, manufCode: null, seqNum: seqNum, cmdId: cmdId };
+
+    shepherd.emit('ind:otaRequest', ep || rmEp1, zclHeader, { clusterid: 0x0019, data: data });
+}
+
+function imageId(fileVersion) {
+    var buf = Buffer.alloc(9);
+
+    buf.writeUInt8(0, 0);
+    buf.writeUInt16LE(0x1234, 1);
+    buf.writeUInt16LE(0x0001, 3);
+    buf.writeUInt32LE(fileVersion, 5);
+
+    return buf;
+}
+
+describe('Functional Check', function () {
+    var ota = new Ota(shepherd),
+        otaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ota-'));
+
+    before(function () {
+        fs.writeFileSync(path.join(otaDir, 'v2.ota'), otaFile(2, 100));
+        fs.writeFileSync(path.join(otaDir, 'v3.ota'), Buffer.concat([ Buffer.alloc(10), otaFile(3, 100) ]));
+        fs.writeFileSync(path.join(otaDir, 'readme.txt'), 'not an image');
+        fs.writeFileSync(path.join(otaDir, 'truncated.ota'), otaFile(4, 0, [ 1, 2 ]).slice(0, 58));
+    });
+
+    after(function () {
+        fs.readdirSync(otaDir).forEach(function (file) {
+            fs.unlinkSync(path.join(otaDir, file));
+        });
+        fs.rmdirSync(otaDir);
+    });
+
+    beforeEach(function () {
+        sent = [];
+        inds = [];
+    });
+
+    it('should load images and parse their headers', function (done) {
+        ota.load(otaDir).then(function (images) {
+            expect(images).to.have.lengthOf(2);
+            expect(images[1].fileVersion).to.be.equal(3);
+            expect(images[1].headerString).to.be.equal('bulb firmware');
+            expect(images[1].totalSize).to.be.equal(156);
+            expect(images[1]).not.to.have.property('data');
+            done();
+        }).fail(done).done();
+    });
+
+    it('should answer queryNextImageReq with the newest image', function (done) {
+        request(0x01, 10, imageId(1));
+
+        setImmediate(function () {
+            var frame = sent[0].frame;
+
+            expect(sent[0].cId).to.be.equal(0x0019);
+            expect(frame.slice(0, 4)).to.be.deep.equal(Buffer.from([ 0x19, 10, 0x02, 0x00 ]));
+            expect(frame.readUInt32LE(8)).to.be.equal(3);
+            expect(frame.readUInt32LE(12)).to.be.equal(156);
+            expect(inds[0].type).to.be.equal('otaProgress');
+            done();
+        });
+    });
+
+    it('should answer NO_IMAGE_AVAILABLE if the device is up to date', function (done) {
+        request(0x01, 11, imageId(3));
+
+        setImmediate(function () {
+            expect(sent[0].frame).to.be.deep.equal(Buffer.from([ 0x19, 11, 0x02, 0x98 ]));
+            done();
+        });
+    });
+
+    it('should answer imageBlockReq with a block of the image', function (done) {
+        var req = Buffer.alloc(14);
+
+        imageId(3).copy(req);
+        req.writeUInt32LE(50, 9);
+        req.writeUInt8(200, 13);
+
+        request(0x03, 12, req);
+
+        setImmediate(function () {
+            var frame = sent[0].frame;
+
+            expect(frame.readUInt8(3)).to.be.equal(0x00);
+            expect(frame.readUInt32LE(12)).to.be.equal(50);
+            expect(frame.readUInt8(16)).to.be.equal(50);
+            expect(frame.length).to.be.equal(17 + 50);
+            done();
+        });
+    });
+
+    it('should answer imagePageReq with the blocks of the page', function (done) {
+        var req = Buffer.alloc(18);
+
+        imageId(3).copy(req);
+        req.writeUInt32LE(0, 9);
+        req.writeUInt8(40, 13);         // maxDataSize
+        req.writeUInt16LE(100, 14);     // pageSize
+        req.writeUInt16LE(0, 16);       // responseSpacing
+
+        request(0x04, 20, req);
+
+        setTimeout(function () {
+            expect(sent.map(function (s) { return [ s.frame.readUInt8(2), s.frame.readUInt32LE(12), s.frame.readUInt8(16) ]; })).to.be.deep.equal([
+                [ 0x05, 0, 40 ], [ 0x05, 40, 40 ], [ 0x05, 80, 20 ]
+            ]);
+            done();
+        }, 50);
+    });
+
+    it('should answer imagePageReq with a maxDataSize of 0 with MALFORMED_COMMAND', function (done) {
+        var req = Buffer.alloc(18);
+
+        imageId(3).copy(req);
+        req.writeUInt16LE(100, 14);
+
+        request(0x04, 21, req);
+
+        setTimeout(function () {
+            expect(sent.map(function (s) { return s.frame; })).to.be.deep.equal([ Buffer.from([ 0x18, 21, 0x0B, 0x04, 0x80 ]) ]);
+            done();
+        }, 20);
+    });
+
+    it('should send upgradeEndRsp when the device finishes downloading', function (done) {
+        request(0x06, 13, imageId(3));     // status(1) of 0 takes the place of fieldControl
+
+        setImmediate(function () {
+            expect(sent[0].frame.slice(0, 3)).to.be.deep.equal(Buffer.from([ 0x19, 13, 0x07 ]));
+            expect(sent[0].frame.readUInt32LE(7)).to.be.equal(3);
+            expect(inds[0]).to.have.property('type', 'otaEnd');
+            expect(inds[0].data.status).to.be.equal('success');
+            expect(ota.sessions()).to.be.deep.equal([]);
+            done();
+        });
+    });
+
+    it('should answer truncated requests with MALFORMED_COMMAND', function (done) {
+        var hwVersion = imageId(1);
+
+        hwVersion.writeUInt8(0x01, 0);      // hwVersion present but missing
+
+        expect(function () {
+            request(0x01, 14, Buffer.alloc(4));
+            request(0x01, 15, hwVersion);
+            request(0x03, 16, imageId(3));
+            request(0x04, 17, Buffer.alloc(14));
+            request(0x06, 18, Buffer.from([ 0x00 ]));
+        }).to.not.throw();
+
+        setImmediate(function () {
+            expect(sent.map(function (s) { return s.frame; })).to.be.deep.equal([
+                Buffer.from([ 0x18, 14, 0x0B, 0x01, 0x80 ]),
+                Buffer.from([ 0x18, 15, 0x0B, 0x01, 0x80 ]),
+                Buffer.from([ 0x18, 16, 0x0B, 0x03, 0x80 ]),
+                Buffer.from([ 0x18, 17, 0x0B, 0x04, 0x80 ]),
+                Buffer.from([ 0x18, 18, 0x0B, 0x06, 0x80 ])
+            ]);
+            expect(inds).to.be.empty;
+            done();
+        });
+    });
+
+    it('should throttle the block requests of a sleepy device with WAIT_FOR_DATA', function (done) {
+        var req = Buffer.alloc(14);
+
+        imageId(3).copy(req);
+        req.writeUInt8(50, 13);
+
+        request(0x03, 22, req, sleepyEp1);
+        request(0x03, 23, req, sleepyEp1);
+
+        setImmediate(function () {
+            expect(sent[0].frame.readUInt8(3)).to.be.equal(0x00);
+            expect(sent[1].frame.slice(0, 4)).to.be.deep.equal(Buffer.from([ 0x19, 23, 0x05, 0x97 ]));
+            expect(sent[1].frame.readUInt32LE(8)).to.be.equal(1);       // requestTime, seconds from now
+            expect(sent[1].frame.readUInt16LE(12)).to.be.equal(250);    // minBlockPeriod
+            done();
+        });
+    });
+
+    it('should offer an image only to the hardware versions it is made for', function (done) {
+        var hwDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ota-')),
+            hwOta = new Ota(new EventEmitter());
+
+        fs.writeFileSync(path.join(hwDir, 'v3.ota'), otaFile(3, 10));
+        fs.writeFileSync(path.join(hwDir, 'v4.ota'), otaFile(4, 10, [ 2, 3 ]));
+
+        hwOta.load(hwDir).then(function (images) {
+            fs.readdirSync(hwDir).forEach(function (file) {
+                fs.unlinkSync(path.join(hwDir, file));
+            });
+            fs.rmdirSync(hwDir);
+
+            expect(images[1]).to.include({ fileVersion: 4, minHwVersion: 2, maxHwVersion: 3 });
+            expect(hwOta._findImage({ manufCode: 0x1234, imageType: 0x0001, fileVersion: 1, hwVersion: 1 }).fileVersion).to.be.equal(3);
+            expect(hwOta._findImage({ manufCode: 0x1234, imageType: 0x0001, fileVersion: 1, hwVersion: 3 }).fileVersion).to.be.equal(4);
+            expect(hwOta._findImage({ manufCode: 0x1234, imageType: 0x0001, fileVersion: 1, hwVersion: null }).fileVersion).to.be.equal(4);
+            done();
+        }).fail(done).done();
+    });
+});
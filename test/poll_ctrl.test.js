@@ -0,0 +1,154 @@
+var Q = require('q'),
+    Ziee = require('ziee'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    PollCtrl = require('../lib/components/poll_ctrl');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var trv = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x0017880100000001',
+    nwkAddr: 0x5678,
+    manufId: 10,
+    epList: [ 1 ],
+    capabilities: 0x80,
+    incomplete: false
+});
+
+var trvEp = new Endpoint(trv, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0301,
+    inClusterList: [ 0x0000, 0x0001, 0x0020, 0x0201 ],
+    outClusterList: []
+});
+
+trvEp.clusters = new Ziee();
+trv.endpoints[1] = trvEp;
+trv._setId(3);
+
+var sent = [],
+    pending = 0;
+
+trvEp.bind = function (cId, dstEp) {
+    sent.push([ 'bind', cId ]);
+    return Q();
+};
+trvEp.write = function (cId, attrId, data) {
+    sent.push([ 'write', attrId, data ]);
+    return Q(data);
+};
+trvEp.functional = function (cId, cmd, zclData, cfg) {
+    sent.push([ cmd, zclData ]);
+    return Q({});
+};
+
+var shepherd = new EventEmitter();
+
+shepherd.controller = {
+    getCoord: function () {
+        return { getDelegator: function () { return {}; } };
+    }
+};
+shepherd._findDevByAddr = function (addr) {
+    return addr === trv.getIeeeAddr() ? trv : undefined;
+};
+shepherd._devbox = {
+    sync: function (id, callback) {
+        setImmediate(function () { callback(null, id); });
+    }
+};
+shepherd.sleepyQueue = {
+    pending: function () { return pending; },
+    checkIn: function () {
+        sent.push([ 'release' ]);
+        pending = 0;
+        return Q();
+    }
+};
+
+describe('Signature Check', function () {
+    var pollCtrl = new PollCtrl(shepherd);
+
+    it('should throw if an option is unknown or not a number', function () {
+        expect(function () { return new PollCtrl(shepherd, { longPoll: 10 }); }).to.throw(TypeError);
+        expect(function () { return new PollCtrl(shepherd, { checkIn: '1h' }); }).to.throw(TypeError);
+    });
+
+    it('should throw if an interval is unknown or not a number', function () {
+        expect(function () { pollCtrl.set('0x0017880100000001', { fastPoll: 1 }); }).to.throw(TypeError);
+        expect(function () { pollCtrl.set('0x0017880100000001', { longPoll: '5' }); }).to.throw(TypeError);
+        expect(function () { pollCtrl.set(0x5678, { longPoll: 5 }); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    beforeEach(function () {
+        sent = [];
+        pending = 0;
+        trvEp.pollCtrl = null;
+    });
+
+    it('should bind and write the checkin interval when a device joins', function (done) {
+        var pollCtrl = new PollCtrl(shepherd, { checkIn: 1800 });
+
+        pollCtrl.setup(trvEp).then(function () {
+            expect(sent).to.be.deep.equal([ [ 'bind', 0x0020 ], [ 'write', 'checkinInterval', 7200 ] ]);
+            expect(trvEp.pollCtrl).to.be.deep.equal({ checkIn: null, longPoll: null, shortPoll: null, applied: true });
+            done();
+        }).fail(done).done();
+    });
+
+    it('should record the poll intervals and send them', function (done) {
+        var pollCtrl = new PollCtrl(shepherd);
+
+        pollCtrl.set('0x0017880100000001', { longPoll: 30, shortPoll: 0.5 }).then(function () {
+            expect(sent).to.be.deep.equal([
+                [ 'setLongPollInterval', { newlongpollinterval: 120 } ],
+                [ 'setShortPollInterval', { newshortpollinterval: 2 } ]
+            ]);
+            expect(trvEp.pollCtrl).to.include({ longPoll: 30, shortPoll: 0.5, applied: true });
+            sent = [];
+            return pollCtrl.setup(trvEp);
+        }).then(function () {
+            expect(sent[1]).to.be.deep.equal([ 'write', 'checkinInterval', 14400 ]);
+            expect(sent[2]).to.be.deep.equal([ 'setLongPollInterval', { newlongpollinterval: 120 } ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject a long poll interval above the checkin interval', function (done) {
+        var pollCtrl = new PollCtrl(shepherd);
+
+        pollCtrl.set('0x0017880100000001', { checkIn: 60, longPoll: 120 }).fail(function (err) {
+            expect(err.message).to.match(/shortPoll <= longPoll <= checkIn/);
+            expect(sent).to.be.empty;
+            done();
+        }).done();
+    });
+
+    it('should answer a checkin with a fast poll request if messages are queued', function (done) {
+        var pollCtrl = new PollCtrl(shepherd, { fastPollTimeout: 5 });
+
+        pending = 2;
+        pollCtrl._checkinRsp(trvEp).then(function () {
+            expect(sent).to.be.deep.equal([
+                [ 'checkinRsp', { startfastpolling: 1, fastpolltimeout: 20 } ],
+                [ 'release' ],
+                [ 'fastPollStop', {} ]
+            ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should answer a checkin without fast polling if nothing is queued', function (done) {
+        var pollCtrl = new PollCtrl(shepherd);
+
+        pollCtrl._checkinRsp(trvEp).then(function () {
+            expect(sent).to.be.deep.equal([ [ 'checkinRsp', { startfastpolling: 0, fastpolltimeout: 0 } ], [ 'release' ] ]);
+            done();
+        }).fail(done).done();
+    });
+});
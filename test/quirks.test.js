@@ -0,0 +1,127 @@
+var Q = require('q'),
+    expect = require('chai').expect,
+    Quirks = require('../lib/components/quirks');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var sensor = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x00158d0001a2b3c4',
+    nwkAddr: 100,
+    manufId: 4151,
+    manufName: 'LUMI',
+    modelId: 'lumi.sensor_ht',
+    epList: [ 1 ],
+    capabilities: 0x8e,
+    incomplete: false
+});
+
+var ep1 = new Endpoint(sensor, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0302,
+    inClusterList: [ 0x0000, 0x0402 ],
+    outClusterList: []
+});
+
+sensor.endpoints[1] = ep1;
+
+var bound = [],
+    reported = [];
+
+var shepherd = {
+    controller: {
+        getCoord: function () {
+            return { getDelegator: function () { return 'dlgEp'; } };
+        }
+    },
+    reporting: {
+        configure: function (ep, cId, attrId, minInt, maxInt, repChange) {
+            reported.push([ ep.getEpId(), cId, attrId, minInt, maxInt, repChange ]);
+            return Q();
+        }
+    }
+};
+
+ep1.bind = function (cId, dstEp) {
+    bound.push([ cId, dstEp ]);
+    return Q();
+};
+
+describe('Signature Check', function () {
+    var quirks = new Quirks(shepherd);
+
+    it('should throw if a quirk matches nothing', function () {
+        expect(function () { quirks.add({ sleepy: true }); }).to.throw(TypeError);
+    });
+
+    it('should throw if a quirk is unknown', function () {
+        expect(function () { quirks.add({ modelId: 'lumi.sensor_ht', skipInterview: true }); }).to.throw(TypeError);
+    });
+
+    it('should throw if a quirk has a wrong type', function () {
+        expect(function () { quirks.add({ modelId: 10 }); }).to.throw(TypeError);
+        expect(function () { quirks.add({ manufId: '4151' }); }).to.throw(TypeError);
+        expect(function () { quirks.add({ manufName: 'LUMI', bind: {} }); }).to.throw(TypeError);
+        expect(function () { quirks.add({ manufName: 'LUMI', configure: 'fn' }); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var quirks = new Quirks(shepherd, [
+        { manufName: 'LUMI', manufCode: 0x115f, sleepy: true },
+        { modelId: /^lumi\.sensor_/, endpointMap: { 2: 1 }, ignoreAttrs: { genBasic: [ 'locationDesc', 0x4000 ] }, singleReads: [ 'msTemperatureMeasurement' ] },
+        { manufId: 4151, modelId: 'lumi.plug', skipClusterInterview: true }
+    ]);
+
+    it('should merge every matching quirk', function () {
+        var quirk = quirks.find(sensor);
+
+        expect(quirk.manufCode).to.be.equal(0x115f);
+        expect(quirk.endpointMap).to.be.deep.equal({ 2: 1 });
+        expect(quirk.skipClusterInterview).to.be.undefined;
+        expect(quirks.find(new Device({ ieeeAddr: '0x00124b0001a2b3c4' }))).to.be.deep.equal({});
+    });
+
+    it('should override the capabilities and the manufacturer code', function () {
+        expect(quirks.isSleepy(sensor)).to.be.true;
+        expect(quirks.manufCodeOf(sensor)).to.be.equal(0x115f);
+    });
+
+    it('should remap the source endpoint', function () {
+        expect(quirks.remapEndpoint(sensor, 2)).to.be.equal(1);
+        expect(quirks.remapEndpoint(sensor, 3)).to.be.equal(3);
+    });
+
+    it('should tell the attributes to ignore and the clusters to read singly', function () {
+        expect(quirks.isAttrIgnored(sensor, 0, 0x0010)).to.be.true;
+        expect(quirks.isAttrIgnored(sensor, 'genBasic', 0x4000)).to.be.true;
+        expect(quirks.isAttrIgnored(sensor, 0, 0x0005)).to.be.false;
+        expect(quirks.readsSingly(sensor, 0x0402)).to.be.true;
+        expect(quirks.readsSingly(sensor, 0)).to.be.false;
+    });
+
+    it('should bind, report and configure a device after its interview', function (done) {
+        var configured = false,
+            quirk = {
+                modelId: 'lumi.sensor_ht',
+                bind: [ { epId: 1, cId: 'msTemperatureMeasurement' } ],
+                report: [ { epId: 1, cId: 'msTemperatureMeasurement', attrId: 'measuredValue', minInt: 10, maxInt: 3600, repChange: 50 } ],
+                configure: function (dev, shp, callback) {
+                    configured = (dev === sensor && shp === shepherd);
+                    callback(null);
+                }
+            };
+
+        quirks.add(quirk);
+
+        quirks.setup(sensor).then(function () {
+            quirks.remove(quirk);
+            expect(bound).to.be.deep.equal([ [ 'msTemperatureMeasurement', 'dlgEp' ] ]);
+            expect(reported).to.be.deep.equal([ [ 1, 'msTemperatureMeasurement', 'measuredValue', 10, 3600, 50 ] ]);
+            expect(configured).to.be.true;
+            done();
+        }).fail(done).done();
+    });
+});
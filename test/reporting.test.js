@@ -0,0 +1,171 @@
+var Q = require('q'),
+    Ziee = require('ziee'),
+    EventEmitter = require('events'),
+    sinon = require('sinon'),
+    expect = require('chai').expect,
+    Reporting = require('../lib/components/reporting');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint');
+
+var remoteDev = new Device({
+    type: 1,
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 10,
+    epList: [ 1 ],
+    incomplete: false
+});
+
+var rmEp1 = new Endpoint(remoteDev, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0302,
+    inClusterList: [ 0x0000, 0x0402 ],
+    outClusterList: []
+});
+
+rmEp1.clusters = new Ziee();
+remoteDev.endpoints[1] = rmEp1;
+remoteDev._setId(1);
+
+var dlgEp = { getEpId: function () { return 1; } };
+
+var shepherd = new EventEmitter();
+
+shepherd._devbox = {
+    sync: function (id, callback) {
+        setImmediate(function () { callback(null, id); });
+    }
+};
+shepherd.controller = new EventEmitter();
+shepherd.controller.getCoord = function () {
+    return { getDelegator: function () { return dlgEp; } };
+};
+shepherd._findDevByAddr = function (addr) {
+    return (addr === remoteDev.getIeeeAddr()) ? remoteDev : undefined;
+};
+
+var sent = [],
+    configStatus = 0,
+    actualConfig = null;
+
+rmEp1.bind = function (cId, dstEp) {
+    sent.push({ cmd: 'bind', cId: cId, dstEp: dstEp });
+    return Q();
+};
+
+rmEp1.foundation = function (cId, cmd, zclData) {
+    sent.push({ cmd: cmd, cId: cId, zclData: zclData });
+
+    if (cmd === 'configReport')
+        return Q([ { status: configStatus } ]);
+    else if (cmd === 'readReportConfig')
+        return Q(actualConfig ? [ actualConfig ] : [ { status: 0x86, direction: 0, attrId: zclData[0].attrId } ]);
+    else
+        return Q([]);
+};
+
+describe('Signature Check', function () {
+    var stub = new EventEmitter(),
+        reporting;
+
+    stub.controller = new EventEmitter();
+    reporting = new Reporting(stub);
+
+    it('should throw if ep is not a remote Endpoint', function () {
+        expect(function () { reporting.configure({}, 'msTemperatureMeasurement', 'measuredValue', 1, 60); }).to.throw(TypeError);
+        expect(function () { reporting.verify('ceed'); }).to.throw(TypeError);
+    });
+
+    it('should throw if intervals are not numbers', function () {
+        expect(function () { reporting.configure(rmEp1, 'msTemperatureMeasurement', 'measuredValue', '1', 60); }).to.throw(TypeError);
+        expect(function () { reporting.configure(rmEp1, 'msTemperatureMeasurement', 'measuredValue', 1, {}); }).to.throw(TypeError);
+    });
+
+    it('should throw if ieeeAddr is not a string', function () {
+        expect(function () { reporting.list(100); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var reporting = new Reporting(shepherd);
+
+    beforeEach(function () {
+        sent = [];
+        configStatus = 0;
+        actualConfig = null;
+    });
+
+    it('should bind, configure and record the reporting', function (done) {
+        reporting.configure(rmEp1, 'msTemperatureMeasurement', 'measuredValue', 1, 60, 10).then(function () {
+            expect(sent[0].cmd).to.be.equal('bind');
+            expect(sent[1].cmd).to.be.equal('configReport');
+            expect(reporting.list('0x00137a00000161f2')).to.be.deep.equal([
+                { epId: 1, cId: 'msTemperatureMeasurement', attrId: 'measuredValue', minRepIntval: 1, maxRepIntval: 60, repChange: 10, applied: true }
+            ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject and keep the record if the device refuses the configuration', function (done) {
+        configStatus = 0x86;
+
+        reporting.configure(rmEp1, 'msTemperatureMeasurement', 'measuredValue', 5, 300, 10).then(function () {
+            done(new Error('should not resolve'));
+        }).fail(function (err) {
+            expect(err.message).to.be.equal('request unsuccess: unsupAttribute');
+            expect(reporting.list('0x00137a00000161f2')[0].applied).to.be.equal(false);
+            done();
+        }).done();
+    });
+
+    it('should keep the record after dumping and restoring the device', function () {
+        var restored = new Device(remoteDev.dump());
+
+        expect(restored.getEndpoint(1).reporting).to.be.deep.equal(rmEp1.reporting);
+    });
+
+    it('should report mismatches found by readReportConfig', function (done) {
+        actualConfig = { status: 0, direction: 0, attrId: 0, dataType: 41, minRepIntval: 1, maxRepIntval: 60, repChange: 10 };
+
+        reporting.verify(rmEp1).then(function (mismatches) {
+            expect(sent[0].cmd).to.be.equal('readReportConfig');
+            expect(mismatches).to.have.lengthOf(1);
+            expect(mismatches[0].expected).to.be.deep.equal({ minRepIntval: 5, maxRepIntval: 300, repChange: 10 });
+            expect(mismatches[0].actual).to.be.deep.equal({ minRepIntval: 1, maxRepIntval: 60, repChange: 10 });
+            done();
+        }).fail(done).done();
+    });
+
+    it('should re-apply the configuration when the device comes online', function (done) {
+        shepherd.emit('ind:status', remoteDev, 'online');
+
+        setTimeout(function () {
+            expect(sent.map(function (s) { return s.cmd; })).to.be.deep.equal([ 'bind', 'configReport' ]);
+            expect(reporting.list('0x00137a00000161f2')[0].applied).to.be.equal(true);
+            done();
+        }, 20);
+    });
+
+    it('should re-apply the configuration once when a device still online rejoins', function (done) {
+        var clock = sinon.useFakeTimers({ now: Date.now() + 10000, toFake: [ 'Date' ] });
+
+        shepherd.controller.emit('ZDO:endDeviceAnnceInd', { srcaddr: 100, nwkaddr: 100, ieeeaddr: '0x00137a00000161f2' });
+        shepherd.controller.emit('ZDO:endDeviceAnnceInd', { srcaddr: 100, nwkaddr: 100, ieeeaddr: '0x00137a00000161f2' });
+        clock.restore();
+
+        setTimeout(function () {
+            expect(sent.map(function (s) { return s.cmd; })).to.be.deep.equal([ 'bind', 'configReport' ]);
+            done();
+        }, 20);
+    });
+
+    it('should disable the reporting and drop the record when removed', function (done) {
+        reporting.remove(rmEp1, 'msTemperatureMeasurement', 'measuredValue').then(function () {
+            expect(sent[0].zclData[0].maxRepIntval).to.be.equal(0xFFFF);
+            expect(reporting.list('0x00137a00000161f2')).to.be.deep.equal([]);
+            done();
+        }).fail(done).done();
+    });
+});
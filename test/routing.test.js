@@ -0,0 +1,126 @@
+var Q = require('q'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    Routing = require('../lib/components/routing'),
+    Zdo = require('../lib/components/zdo'),
+    bridge = require('../lib/components/event_bridge');
+
+var Device  = require('../lib/model/device');
+
+var remote = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x0017880100000001',
+    nwkAddr: 0x5678,
+    epList: [ 1 ]
+});
+
+var relay = new Device({
+    type: 'Router',
+    ieeeAddr: '0x00137a0000000001',
+    nwkAddr: 0x1234,
+    epList: [ 1 ]
+});
+
+var reqs = [];
+
+var shepherd = new EventEmitter();
+
+shepherd.controller = new EventEmitter();
+shepherd.controller.request = function (subsys, cmdId, valObj) {
+    reqs.push([ cmdId, valObj ]);
+    return Q({ status: 0 });
+};
+shepherd._findDevByAddr = function (addr) {
+    return [ remote, relay ].filter(function (dev) {
+        return dev.getIeeeAddr() === addr || dev.getNwkAddr() === addr;
+    })[0];
+};
+
+function areq(msg) {
+    // the same path as controller.js takes for the indications of znp
+    shepherd.controller.emit('ZNP:AREQ', msg);
+    bridge.areqEventBridge(shepherd.controller, msg);
+}
+
+describe('Signature Check', function () {
+    var routing = new Routing(shepherd);
+
+    it('should throw if an option is unknown or not a number', function () {
+        expect(function () { return new Routing(shepherd, { mto: 1000 }); }).to.throw(TypeError);
+        expect(function () { return new Routing(shepherd, { mtoInterval: '1m' }); }).to.throw(TypeError);
+    });
+
+    it('should throw if ieeeAddr is not a string', function () {
+        expect(function () { routing.route(0x5678); }).to.throw(TypeError);
+    });
+
+    it('should throw if nwkAddr is not a number', function () {
+        expect(function () { routing.discover('0x5678'); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    beforeEach(function () {
+        reqs = [];
+    });
+
+    it('should cache the source route of a device', function () {
+        var routing = new Routing(shepherd);
+
+        expect(routing.route('0x0017880100000001')).to.be.null;
+
+        areq({ subsys: 'ZDO', ind: 'srcRtgInd', data: { dstaddr: 0x5678, relaycount: 2, relaylist: [ 0x1234, 0x2345 ] } });
+
+        expect(routing.route('0x0017880100000001')).to.include({ nwkAddr: 0x5678, hops: 3 });
+        expect(routing.route('0x0017880100000001').relays).to.be.deep.equal([
+            { nwkAddr: 0x1234, ieeeAddr: '0x00137a0000000001' },
+            { nwkAddr: 0x2345, ieeeAddr: null }
+        ]);
+    });
+
+    it('should send many-to-one route requests periodically', function (done) {
+        var routing = new Routing(shepherd, { mtoInterval: 20 });
+
+        shepherd.emit('_ready');
+        setTimeout(function () {
+            routing.stop();
+            expect(reqs.length).to.be.within(2, 4);
+            expect(reqs[0]).to.be.deep.equal([ 'extRouteDisc', { dstAddr: 0xFFFC, options: 0x03, radius: 0x1e } ]);
+            done();
+        }, 50);
+    });
+
+    it('should not rediscover a route within the holdoff', function (done) {
+        var routing = new Routing(shepherd, { discoverHoldoff: 1000 });
+
+        routing.discover(0x5678).then(function () {
+            return routing.discover(0x5678);
+        }).then(function () {
+            expect(reqs).to.be.deep.equal([ [ 'extRouteDisc', { dstAddr: 0x5678, options: 0, radius: 0x1e } ] ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should resolve forceConcentratorChange although its srsp has no status', function (done) {
+        var controller = new EventEmitter(),
+            zdo = new Zdo(controller),
+            routing;
+
+        controller._znp = {
+            zdoRequest: function (apiName, valObj, callback) {
+                reqs.push([ apiName, valObj ]);
+                setImmediate(callback, null, {});
+            }
+        };
+        controller.request = function (subsys, cmdId, valObj) {
+            return Q.ninvoke(zdo, 'request', cmdId, valObj);
+        };
+
+        routing = new Routing({ controller: controller, on: function () {} });
+
+        routing.forceConcentratorChange().then(function () {
+            expect(reqs).to.be.deep.equal([ [ 'forceConcentratorChange', {} ] ]);
+            done();
+        }).fail(done).done();
+    });
+});
@@ -0,0 +1,127 @@
+var Q = require('q'),
+    Ziee = require('ziee'),
+    expect = require('chai').expect,
+    Scenes = require('../lib/components/scenes');
+
+var Device  = require('../lib/model/device'),
+    Endpoint  = require('../lib/model/endpoint'),
+    Group  = require('../lib/model/group');
+
+var remoteDev = new Device({
+    type: 1,
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 100,
+    manufId: 10,
+    epList: [ 1 ],
+    incomplete: false
+});
+
+var rmEp1 = new Endpoint(remoteDev, {
+    profId: 0x0104,
+    epId: 1,
+    devId: 0x0100,
+    inClusterList: [ 0x0000, 0x0004, 0x0005, 0x0006 ],
+    outClusterList: []
+});
+
+rmEp1.clusters = new Ziee();
+remoteDev.endpoints[1] = rmEp1;
+remoteDev._setId(1);
+
+var shepherd = {
+    _devbox: {
+        sync: function (id, callback) {
+            setImmediate(function () { callback(null, id); });
+        }
+    },
+    find: function (addr, epId) {
+        return (addr === remoteDev.getIeeeAddr()) ? remoteDev.getEndpoint(epId) : undefined;
+    },
+    _findDevByAddr: function (addr) {
+        return (addr === remoteDev.getIeeeAddr()) ? remoteDev : undefined;
+    }
+};
+
+var sent = [];
+
+rmEp1.functional = function (cId, cmd, zclData) {
+    sent.push({ cId: cId, cmd: cmd, zclData: zclData });
+
+    if (cmd === 'getSceneMembership')
+        return Q({ status: 0, capacity: 14, groupid: zclData.groupid, scenecount: 2, scenelist: [ 1, 3 ] });
+    else if (cmd === 'view')
+        return Q({ status: 0, groupid: zclData.groupid, sceneid: zclData.sceneid, transtime: 5, scenename: 'movie', extensionfieldsets: [] });
+    else
+        return Q({ status: 0, groupid: zclData.groupid, sceneid: zclData.sceneid });
+};
+
+describe('Signature Check', function () {
+    var scenes = new Scenes(shepherd);
+
+    it('should throw if target is not a remote Endpoint or a Group', function () {
+        expect(function () { scenes.store({}, 1, 1); }).to.throw(TypeError);
+        expect(function () { scenes.recall('ceed', 1, 1); }).to.throw(TypeError);
+        expect(function () { scenes.view(new Group({ groupId: 1 }), 1, 1); }).to.throw(TypeError);
+    });
+
+    it('should throw if groupId or sceneId is not a number', function () {
+        expect(function () { scenes.store(rmEp1, '1', 1); }).to.throw(TypeError);
+        expect(function () { scenes.remove(rmEp1, 1, {}); }).to.throw(TypeError);
+        expect(function () { scenes.add(rmEp1, { groupId: 1 }); }).to.throw(TypeError);
+        expect(function () { scenes.copy(rmEp1, { groupId: 1, sceneId: 1 }, { groupId: 2 }); }).to.throw(TypeError);
+        expect(function () { scenes.copy(rmEp1, { groupId: 1, sceneId: '1' }, { groupId: 2, sceneId: 1 }); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    var scenes = new Scenes(shepherd);
+
+    beforeEach(function () {
+        sent = [];
+    });
+
+    it('should record an added scene on the endpoint', function (done) {
+        scenes.add(rmEp1, { groupId: 1, sceneId: 2, name: 'dinner', transTime: 3 }).then(function () {
+            expect(sent[0].cmd).to.be.equal('add');
+            expect(scenes.list('0x00137a00000161f2')).to.be.deep.equal([
+                { epId: 1, groupId: 1, sceneId: 2, name: 'dinner', transTime: 3, extensionFieldSets: [] }
+            ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should keep the record after dumping and restoring the device', function () {
+        var restored = new Device(remoteDev.dump());
+
+        expect(restored.getEndpoint(1).scenes).to.be.deep.equal(rmEp1.scenes);
+    });
+
+    it('should align records with the scene membership of the device', function (done) {
+        scenes.membership(rmEp1, 1).then(function (result) {
+            expect(result).to.be.deep.equal({ capacity: 14, groupId: 1, scenes: [ 1, 3 ] });
+            expect(scenes.list('0x00137a00000161f2').map(function (rec) { return rec.sceneId; })).to.be.deep.equal([ 1, 3 ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should update the record when viewing a scene', function (done) {
+        scenes.view(rmEp1, 1, 3).then(function (rec) {
+            expect(rec.name).to.be.equal('movie');
+            expect(rec.transTime).to.be.equal(5);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should drop records of a group removed by groupcast', function (done) {
+        var group = new Group({ groupId: 1, members: [ { ieeeAddr: '0x00137a00000161f2', epId: 1 } ] });
+
+        group.functional = function () {
+            return Q();
+        };
+
+        scenes.removeAll(group, 1).then(function () {
+            expect(scenes.list('0x00137a00000161f2')).to.be.deep.equal([]);
+            done();
+        }).fail(done).done();
+    });
+});
@@ -0,0 +1,102 @@
+var Q = require('q'),
+    expect = require('chai').expect,
+    Scheduler = require('../lib/components/scheduler');
+
+function job(log, name, delay) {
+    return function () {
+        log.push(name);
+        return Q.delay(delay || 5).then(function () {
+            return name;
+        });
+    };
+}
+
+describe('Signature Check', function () {
+    var scheduler = new Scheduler();
+
+    it('should throw if an option is of a wrong type', function () {
+        expect(function () { return new Scheduler({ maxInFlight: '8' }); }).to.throw(TypeError);
+        expect(function () { return new Scheduler({ isSleepy: true }); }).to.throw(TypeError);
+    });
+
+    it('should throw if fn is not a function', function () {
+        expect(function () { scheduler.schedule('fn'); }).to.throw(TypeError);
+    });
+
+    it('should throw if lane is unknown', function () {
+        expect(function () { scheduler.schedule(function () {}, { lane: 'bulk' }); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    it('should not exceed maxInFlight', function (done) {
+        var scheduler = new Scheduler({ maxInFlight: 2 }),
+            running = 0,
+            peak = 0,
+            jobs = [];
+
+        function fn() {
+            running += 1;
+            peak = Math.max(peak, running);
+
+            return Q.delay(5).fin(function () {
+                running -= 1;
+            });
+        }
+
+        for (var i = 0; i < 6; i += 1)
+            jobs.push(scheduler.schedule(fn, { key: '0x000000000000000' + i }));
+
+        expect(scheduler.stats().queued.user).to.be.equal(4);
+
+        Q.all(jobs).then(function () {
+            expect(peak).to.be.equal(2);
+            expect(scheduler.stats().inFlight).to.be.equal(0);
+            expect(scheduler.stats().waitTime.user.count).to.be.equal(6);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should send one request at a time to a sleepy device', function (done) {
+        var scheduler = new Scheduler({ isSleepy: function (key) { return key === 'sleepy'; } }),
+            log = [];
+
+        Q.all([
+            scheduler.schedule(job(log, 's1'), { key: 'sleepy' }),
+            scheduler.schedule(job(log, 's2'), { key: 'sleepy' }),
+            scheduler.schedule(job(log, 'r1'), { key: 'router' }),
+            scheduler.schedule(job(log, 'r2'), { key: 'router' })
+        ]).then(function (results) {
+            expect(results).to.be.deep.equal([ 's1', 's2', 'r1', 'r2' ]);
+            expect(log).to.be.deep.equal([ 's1', 'r1', 'r2', 's2' ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should run user requests before queued interview requests', function (done) {
+        var scheduler = new Scheduler({ maxInFlight: 1 }),
+            log = [];
+
+        Q.all([
+            scheduler.schedule(job(log, 'i1'), { lane: 'interview' }),
+            scheduler.schedule(job(log, 'i2'), { lane: 'interview' }),
+            scheduler.schedule(job(log, 'i3'), { lane: 'interview' }),
+            scheduler.schedule(job(log, 'u1'))
+        ]).then(function () {
+            expect(log).to.be.deep.equal([ 'i1', 'u1', 'i2', 'i3' ]);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject with the error of the request', function (done) {
+        var scheduler = new Scheduler();
+
+        scheduler.schedule(function () {
+            throw new Error('request timeout');
+        }).fail(function (err) {
+            expect(err.message).to.be.equal('request timeout');
+            expect(scheduler.stats().inFlight).to.be.equal(0);
+            done();
+        }).done();
+    });
+});
@@ -186,6 +186,52 @@ describe('Top Level of Tests', function () {
             });
         });
 
+        describe('#.topology', function () {
+            it('should throw if format is unknown', function () {
+                expect(function () { shepherd.topology('dot'); }).to.throw(TypeError);
+                expect(function () { shepherd.topology({ format: 'svg' }); }).to.throw(TypeError);
+                expect(function () { shepherd.topology({ format: 'graphml' }); }).not.to.throw(TypeError);
+            });
+        });
+
+        describe('#.route', function () {
+            it('should throw if ieeeAddr is not a string', function () {
+                expect(function () { shepherd.route({}); }).to.throw(TypeError);
+                expect(function () { shepherd.route(100); }).to.throw(TypeError);
+                expect(function () { shepherd.route('ceed'); }).not.to.throw(TypeError);
+            });
+        });
+
+        describe('#.setPollInterval', function () {
+            it('should throw if ieeeAddr is not a string', function () {
+                expect(function () { shepherd.setPollInterval({}, { longPoll: 5 }); }).to.throw(TypeError);
+                expect(function () { shepherd.setPollInterval(100, { longPoll: 5 }); }).to.throw(TypeError);
+                expect(function () { shepherd.setPollInterval('ceed', { longPoll: 5 }); }).not.to.throw(TypeError);
+            });
+
+            it('should throw if intervals is not an object', function () {
+                expect(function () { shepherd.setPollInterval('ceed', 5); }).to.throw(TypeError);
+                expect(function () { shepherd.setPollInterval('ceed'); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.bindings', function () {
+            it('should throw if ieeeAddr is not a string', function () {
+                expect(function () { shepherd.bindings({}); }).to.throw(TypeError);
+                expect(function () { shepherd.bindings(true); }).to.throw(TypeError);
+                expect(function () { shepherd.bindings('ceed'); }).not.to.throw(TypeError);
+            });
+        });
+
+        describe('#.syncBindings', function () {
+            it('should throw if desired is not an array of bindings', function () {
+                expect(function () { shepherd.syncBindings('ceed', {}); }).to.throw(TypeError);
+                expect(function () { shepherd.syncBindings('ceed', [ { srcEp: 1, cId: 'ceed', groupId: 1 } ]); }).to.throw(TypeError);
+                expect(function () { shepherd.syncBindings('ceed', [ { srcEp: 1, cId: 6, dstEp: 1 } ]); }).to.throw(TypeError);
+                expect(function () { shepherd.syncBindings('ceed', [ { srcEp: 1, cId: 6, groupId: 1 } ]); }).not.to.throw(TypeError);
+            });
+        });
+
         describe('#.remove', function () {
             it('should throw if ieeeAddr is not a string', function () {
                 expect(function () { shepherd.remove({}); }).to.throw(TypeError);
@@ -193,6 +239,96 @@ describe('Top Level of Tests', function () {
                 expect(function () { shepherd.remove('ceed'); }).not.to.throw(TypeError);
             });
         });
+
+        describe('#.createGroup', function () {
+            it('should throw if groupId is not a number', function () {
+                expect(function () { shepherd.createGroup({}); }).to.throw(TypeError);
+                expect(function () { shepherd.createGroup('ceed'); }).to.throw(TypeError);
+            });
+
+            it('should throw if name is given but not a string', function () {
+                expect(function () { shepherd.createGroup(1, {}); }).to.throw(TypeError);
+                expect(function () { shepherd.createGroup(1, 2); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.removeGroup', function () {
+            it('should throw if groupId is not a number', function () {
+                expect(function () { shepherd.removeGroup({}); }).to.throw(TypeError);
+                expect(function () { shepherd.removeGroup('ceed'); }).to.throw(TypeError);
+                expect(function () { shepherd.removeGroup(1); }).not.to.throw(TypeError);
+            });
+        });
+
+        describe('#.rotateNetworkKey', function () {
+            it('should throw if opts is given but not an object', function () {
+                expect(function () { shepherd.rotateNetworkKey('ceed'); }).to.throw(TypeError);
+                expect(function () { shepherd.rotateNetworkKey(1); }).to.throw(TypeError);
+            });
+
+            it('should throw if opts.key is not 16 bytes', function () {
+                expect(function () { shepherd.rotateNetworkKey({ key: [ 1, 2, 3 ] }); }).to.throw(TypeError);
+                expect(function () { shepherd.rotateNetworkKey({ key: 'ceed' }); }).to.throw(TypeError);
+            });
+
+            it('should throw if opts.switchDelay is given but not a number', function () {
+                expect(function () { shepherd.rotateNetworkKey({ switchDelay: '10' }); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.addInstallCode', function () {
+            it('should throw if ieeeAddr is not a string', function () {
+                expect(function () { shepherd.addInstallCode({}, '83FED3407A939723A5C639B26916D505C3B5'); }).to.throw(TypeError);
+                expect(function () { shepherd.addInstallCode(100, '83FED3407A939723A5C639B26916D505C3B5'); }).to.throw(TypeError);
+            });
+
+            it('should throw if installCode is not a string and not a buffer', function () {
+                expect(function () { shepherd.addInstallCode('0x00137a00000161f2', {}); }).to.throw(TypeError);
+                expect(function () { shepherd.addInstallCode('0x00137a00000161f2', 123); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.scanChannels', function () {
+            it('should throw if mask is not an array of channels or a number', function () {
+                expect(function () { shepherd.scanChannels('ceed'); }).to.throw(TypeError);
+                expect(function () { shepherd.scanChannels([ 11, 27 ]); }).to.throw(TypeError);
+            });
+
+            it('should throw if duration is not a number between 0 and 5', function () {
+                expect(function () { shepherd.scanChannels([ 11 ], '3'); }).to.throw(TypeError);
+                expect(function () { shepherd.scanChannels([ 11 ], 6); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.changeChannel', function () {
+            it('should throw if channel is not a number between 11 and 26', function () {
+                expect(function () { shepherd.changeChannel('15'); }).to.throw(TypeError);
+                expect(function () { shepherd.changeChannel(10); }).to.throw(TypeError);
+                expect(function () { shepherd.changeChannel(27); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.restore', function () {
+            it('should throw if doc is not an object', function () {
+                expect(function () { shepherd.restore('ceed'); }).to.throw(TypeError);
+                expect(function () { shepherd.restore(1); }).to.throw(TypeError);
+            });
+
+            it('should throw if doc is not a backup document', function () {
+                expect(function () { shepherd.restore({}); }).to.throw(TypeError);
+                expect(function () { shepherd.restore({ version: 1, nv: {}, devbox: [] }); }).to.throw(TypeError);
+            });
+        });
+
+        describe('#.setState', function () {
+            it('should throw if ieeeAddr is not a string', function () {
+                expect(function () { shepherd.setState(1, { state: 'ON' }); }).to.throw(TypeError);
+            });
+
+            it('should throw if state is not an object', function () {
+                expect(function () { shepherd.setState('0x00137a00000161f2', 'ON'); }).to.throw(TypeError);
+            });
+        });
     });
 
     describe('Join Check', function () {
@@ -361,6 +497,7 @@ describe('Top Level of Tests', function () {
                 expect(shpInfo.enabled).to.be.true;
                 expect(shpInfo.net).to.be.deep.equal({ state: 'Coordinator', channel: 11, panId: '0x7c71', extPanId: '0xdddddddddddddddd', ieeeAddr: '0x00124b0001709887', nwkAddr: 0 });
                 expect(shpInfo.joinTimeLeft).to.be.equal(49);
+                expect(shpInfo.scheduler).to.include({ inFlight: 0, maxInFlight: 8 });
                 getNwkInfoStub.restore();
             }));
         });
@@ -452,6 +589,96 @@ describe('Top Level of Tests', function () {
             }));
         });
 
+        describe('#.bindings', function () {
+            it('should decode the binding table of the device', sinon.test(function (done) {
+                var requestStub = sinon.stub(shepherd.controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                    expect(cmdId).to.be.equal('mgmtBindReq');
+
+                    return Q({
+                        srcaddr: 100,
+                        status: 0,
+                        bindingtableentries: 2,
+                        startindex: 0,
+                        bindingtablelistcount: 2,
+                        bindingtablelist: [
+                            { srcAddr: '0x00137a00000161f2', srcEp: 1, clusterId: 6, dstAddrMode: 3, dstAddr: '0x0123456789abcdef', dstEp: 2 },
+                            { srcAddr: '0x00137a00000161f2', srcEp: 1, clusterId: 8, dstAddrMode: 1, dstAddr: '0x0000000000000007' }
+                        ]
+                    }).nodeify(callback);
+                });
+
+                shepherd.bindings('0x00137a00000161f2').then(function (data) {
+                    expect(data[0]).to.be.deep.equal({ srcEp: 1, cId: 6, cid: 'genOnOff', dstIeeeAddr: '0x0123456789abcdef', dstEp: 2, dstDev: null });
+                    expect(data[1]).to.be.deep.equal({ srcEp: 1, cId: 8, cid: 'genLevelCtrl', groupId: 7, dstGroup: null });
+                    requestStub.restore();
+                    done();
+                }).fail(done).done();
+            }));
+        });
+
+        describe('#.syncBindings', function () {
+            it('should unbind the extra entries and bind the missing ones', sinon.test(function (done) {
+                var reqs = [],
+                    requestStub = sinon.stub(shepherd.controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                        reqs.push([ cmdId, valObj ]);
+
+                        if (cmdId === 'mgmtBindReq')
+                            return Q({
+                                status: 0,
+                                bindingtablelist: [
+                                    { srcAddr: '0x00137a00000161f2', srcEp: 1, clusterId: 6, dstAddrMode: 3, dstAddr: '0x0123456789abcdef', dstEp: 2 },
+                                    { srcAddr: '0x00137a00000161f2', srcEp: 1, clusterId: 8, dstAddrMode: 3, dstAddr: '0x0123456789abcdef', dstEp: 2 }
+                                ]
+                            }).nodeify(callback);
+
+                        return Q({ srcaddr: 100, status: 0 }).nodeify(callback);
+                    });
+
+                shepherd.syncBindings('0x00137a00000161f2', [
+                    { srcEp: 1, cId: 'genOnOff', dstIeeeAddr: '0x0123456789abcdef', dstEp: 2 },
+                    { srcEp: 1, cId: 'genOnOff', groupId: 7 }
+                ]).then(function (result) {
+                    expect(reqs[1][0]).to.be.equal('unbindReq');
+                    expect(reqs[1][1].clusterid).to.be.equal(8);
+                    expect(reqs[2][0]).to.be.equal('bindReq');
+                    expect(reqs[2][1].dstaddrmode).to.be.equal(1);
+                    expect(reqs[2][1].addr_short_long).to.be.equal('0x0000000000000007');
+                    expect(result.added).to.have.lengthOf(1);
+                    expect(result.removed[0].cid).to.be.equal('genLevelCtrl');
+                    requestStub.restore();
+                    done();
+                }).fail(done).done();
+            }));
+        });
+
+        describe('#.addInstallCode', function () {
+            it('should reject if the CRC of install code mismatches', function (done) {
+                shepherd.addInstallCode('0x00137a00000161f2', '83FED3407A939723A5C639B26916D505C3B6').fail(function (err) {
+                    expect(err.message).to.be.equal('Install code CRC mismatch.');
+                    done();
+                }).done();
+            });
+
+            it('should set the link key derived from install code', sinon.test(function (done) {
+                var requestStub = sinon.stub(shepherd.controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
+                    expect(cmdId).to.be.equal('setLinkKey');
+                    expect(valObj.ieeeaddr).to.be.equal('0x00137a00000161f2');
+                    expect(valObj.linkkey.toString('hex')).to.be.equal('66b6900981e1ee3ca4206b6b861c02bb');
+
+                    return Q({ status: 0 }).nodeify(callback);
+                });
+
+                shepherd.addInstallCode('0x00137a00000161f2', '83FE-D340-7A93-9723-A5C6-39B2-6916-D505-C3B5', function (err, result) {
+                    requestStub.restore();
+
+                    if (!err) {
+                        expect(result.linkKey).to.be.equal('66b6900981e1ee3ca4206b6b861c02bb');
+                        done();
+                    }
+                });
+            }));
+        });
+
         describe('#.remove', function () {
             it('should remove the device', sinon.test(function (done) {
                 var requestStub = sinon.stub(shepherd.controller, 'request').callsFake(function (subsys, cmdId, valObj, callback) {
@@ -0,0 +1,158 @@
+var Q = require('q'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    SleepyQueue = require('../lib/components/sleepy_queue');
+
+var Device  = require('../lib/model/device');
+
+var trv = new Device({
+    type: 'EndDevice',
+    ieeeAddr: '0x0017880100000001',
+    nwkAddr: 0x5678,
+    epList: [ 1 ]
+});
+
+var pollIntervals = {};
+
+var shepherd = new EventEmitter();
+
+shepherd.controller = new EventEmitter();
+shepherd._findDevByAddr = function (addr) {
+    return (addr === trv.getIeeeAddr() || addr === trv.getNwkAddr()) ? trv : undefined;
+};
+shepherd.quirks = {
+    isSleepy: function () { return true; }
+};
+shepherd.availability = {
+    pollIntervalOf: function (ieeeAddr) { return pollIntervals[ieeeAddr] || null; }
+};
+
+describe('Signature Check', function () {
+    var sleepyQueue = new SleepyQueue(shepherd);
+
+    it('should throw if an option is unknown or not a number', function () {
+        expect(function () { return new SleepyQueue(shepherd, { ttl: 1000 }); }).to.throw(TypeError);
+        expect(function () { return new SleepyQueue(shepherd, { expiry: '1h' }); }).to.throw(TypeError);
+    });
+
+    it('should throw if ieeeAddr is not a string', function () {
+        expect(function () { sleepyQueue.enqueue(0x5678, function () {}); }).to.throw(TypeError);
+        expect(function () { sleepyQueue.flush(0x5678); }).to.throw(TypeError);
+    });
+
+    it('should throw if fn is not a function', function () {
+        expect(function () { sleepyQueue.enqueue('0x0017880100000001', 'fn'); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    it('should hold messages only for sleepy devices known to wake up', function () {
+        var sleepyQueue = new SleepyQueue(shepherd);
+
+        expect(sleepyQueue.holds('0x0017880100000001')).to.be.false;
+        pollIntervals['0x0017880100000001'] = 10000;
+        expect(sleepyQueue.holds('0x0017880100000001')).to.be.true;
+        expect(sleepyQueue.holds('0x00137a0000000001')).to.be.false;
+        delete pollIntervals['0x0017880100000001'];
+    });
+
+    it('should release the messages in order when the device polls', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd),
+            log = [];
+
+        function msg(name) {
+            return function (holdTime) {
+                log.push(name);
+                expect(holdTime).to.be.at.least(30000);
+                return Q.delay(5).thenResolve(name);
+            };
+        }
+
+        Q.all([
+            sleepyQueue.enqueue('0x0017880100000001', msg('m1')),
+            sleepyQueue.enqueue('0x0017880100000001', msg('m2'))
+        ]).then(function (results) {
+            expect(results).to.be.deep.equal([ 'm1', 'm2' ]);
+            expect(log).to.be.deep.equal([ 'm1', 'm2' ]);
+            expect(sleepyQueue.pending('0x0017880100000001')).to.be.equal(0);
+            done();
+        }).fail(done).done();
+
+        setTimeout(function () {
+            expect(log).to.be.empty;
+            expect(sleepyQueue.pending('0x0017880100000001')).to.be.equal(2);
+            shepherd.controller.emit('NWK:pollInd', { nwkaddr: 0x5678 });
+        }, 10);
+    });
+
+    it('should release the messages when the device checks in', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd);
+
+        sleepyQueue.enqueue('0x0017880100000001', function () { return 'sent'; }).then(function (result) {
+            expect(result).to.be.equal('sent');
+            expect(sleepyQueue.holds('0x0017880100000001')).to.be.true;
+            done();
+        }).fail(done).done();
+
+        sleepyQueue.checkIn('0x0017880100000001').done();
+    });
+
+    it('should coalesce superseded writes', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd),
+            sent = [];
+
+        function write(value) {
+            return function () {
+                sent.push(value);
+                return value;
+            };
+        }
+
+        Q.all([
+            sleepyQueue.enqueue('0x0017880100000001', write(19), { coalesce: 'write:1:513:18' }),
+            sleepyQueue.enqueue('0x0017880100000001', write('mode'), { coalesce: 'write:1:513:28' }),
+            sleepyQueue.enqueue('0x0017880100000001', write(21), { coalesce: 'write:1:513:18' })
+        ]).then(function (results) {
+            expect(sent).to.be.deep.equal([ 'mode', 21 ]);
+            expect(results).to.be.deep.equal([ 21, 'mode', 21 ]);
+            done();
+        }).fail(done).done();
+
+        sleepyQueue.flush('0x0017880100000001').done();
+    });
+
+    it('should not hold a released message much longer than an indirect timeout', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd);
+
+        pollIntervals['0x0017880100000001'] = 1800000;
+
+        sleepyQueue.enqueue('0x0017880100000001', function (holdTime) { return holdTime; }).then(function (holdTime) {
+            delete pollIntervals['0x0017880100000001'];
+            expect(holdTime).to.be.equal(50000);
+            done();
+        }).fail(done).done();
+
+        sleepyQueue.flush('0x0017880100000001').done();
+    });
+
+    it('should reject a message that expires before the device wakes up', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd, { expiry: 1000 });
+
+        sleepyQueue.enqueue('0x0017880100000001', function () {}, { expiry: 10 }).fail(function (err) {
+            expect(err.message).to.match(/expired/);
+            expect(sleepyQueue.pending('0x0017880100000001')).to.be.equal(0);
+            done();
+        }).done();
+    });
+
+    it('should clear the queue of a leaving device', function (done) {
+        var sleepyQueue = new SleepyQueue(shepherd);
+
+        sleepyQueue.enqueue('0x0017880100000001', function () {}).fail(function (err) {
+            expect(err.message).to.match(/cleared/);
+            done();
+        }).done();
+
+        shepherd.emit('ind', { type: 'devLeaving', endpoints: [ 1 ], data: '0x0017880100000001' });
+    });
+});
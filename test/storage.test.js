@@ -0,0 +1,107 @@
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+var Q = require('q'),
+    expect = require('chai').expect,
+    storage = require('../lib/components/storage');
+
+var Device  = require('../lib/model/device');
+
+function newDev(ieeeAddr, nwkAddr) {
+    return new Device({ type: 1, ieeeAddr: ieeeAddr, nwkAddr: nwkAddr, manufId: 10, epList: [] });
+}
+
+describe('Signature Check', function () {
+    it('should throw if filePath is not a string', function () {
+        expect(function () { return new storage.JsonLinesStorage(); }).to.throw(TypeError);
+        expect(function () { return new storage.JsonLinesStorage({}); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    describe('MemoryStorage', function () {
+        var box = new storage.MemoryStorage(),
+            dev = newDev('0x00137a00000161f2', 100);
+
+        it('should add an object and keep its dump', function (done) {
+            Q.ninvoke(box, 'add', dev).then(function (id) {
+                dev._setId(id);
+                expect(box.get(id)).to.be.equal(dev);
+                return Q.ninvoke(box, 'findAll', {});
+            }).then(function (recs) {
+                expect(recs).to.have.lengthOf(1);
+                expect(recs[0].ieeeAddr).to.be.equal('0x00137a00000161f2');
+                done();
+            }).fail(done).done();
+        });
+
+        it('should persist the changes on sync', function (done) {
+            dev.update({ nwkAddr: 200 });
+
+            Q.ninvoke(box, 'sync', dev._getId()).then(function () {
+                return Q.ninvoke(box, 'findAll', { ieeeAddr: '0x00137a00000161f2' });
+            }).then(function (recs) {
+                expect(recs[0].nwkAddr).to.be.equal(200);
+                done();
+            }).fail(done).done();
+        });
+
+        it('should find only the records matching the query', function (done) {
+            Q.ninvoke(box, 'add', { type: 'NetParams', channelList: [ 15 ] }).then(function () {
+                return Q.ninvoke(box, 'findAll', { type: 'NetParams' });
+            }).then(function (recs) {
+                expect(recs).to.have.lengthOf(1);
+                expect(recs[0].channelList).to.be.deep.equal([ 15 ]);
+                done();
+            }).fail(done).done();
+        });
+
+        it('should remove the object from the box and the backend', function (done) {
+            Q.ninvoke(box, 'remove', dev._getId()).then(function () {
+                expect(box.has(dev._getId())).to.be.false;
+                return Q.ninvoke(box, 'findAll', { ieeeAddr: '0x00137a00000161f2' });
+            }).then(function (recs) {
+                expect(recs).to.be.deep.equal([]);
+                done();
+            }).fail(done).done();
+        });
+    });
+
+    describe('JsonLinesStorage', function () {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')),
+            filePath = path.join(dir, 'dev.jsonl');
+
+        after(function () {
+            fs.readdirSync(dir).forEach(function (file) {
+                fs.unlinkSync(path.join(dir, file));
+            });
+            fs.rmdirSync(dir);
+        });
+
+        it('should write every record as a line and leave no temporary file', function (done) {
+            var box = new storage.JsonLinesStorage(filePath);
+
+            Q.all([
+                Q.ninvoke(box, 'add', newDev('0x00137a00000161f2', 100)),
+                Q.ninvoke(box, 'add', newDev('0x00137a00000161f3', 101))
+            ]).then(function () {
+                var lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+
+                expect(lines).to.have.lengthOf(2);
+                expect(JSON.parse(lines[1]).nwkAddr).to.be.equal(101);
+                expect(fs.readdirSync(dir)).to.be.deep.equal([ 'dev.jsonl' ]);
+                done();
+            }).fail(done).done();
+        });
+
+        it('should reload the records and skip a malformed line', function (done) {
+            fs.appendFileSync(filePath, '{"id": 3, "ieeeAddr": "0x0013\n');
+
+            Q.ninvoke(new storage.JsonLinesStorage(filePath), 'findAll', {}).then(function (recs) {
+                expect(recs.map(function (rec) { return rec.id; })).to.be.deep.equal([ 1, 2 ]);
+                done();
+            }).fail(done).done();
+        });
+    });
+});
@@ -0,0 +1,75 @@
+var expect = require('chai').expect,
+    topology = require('../lib/components/topology');
+
+var Device  = require('../lib/model/device');
+
+var router = new Device({
+    type: 'Router',
+    ieeeAddr: '0x00137a00000161f2',
+    nwkAddr: 0x1234,
+    manufName: 'ceed',
+    modelId: 'plug',
+    epList: [ 1 ]
+});
+
+router.status = 'online';
+
+var shepherd = {
+    controller: {
+        getNetInfo: function () {
+            return { ieeeAddr: '0x00124b0001ce4beb', nwkAddr: 0 };
+        }
+    },
+    _findDevByAddr: function (addr) {
+        return (addr === router.getIeeeAddr() || addr === router.getNwkAddr()) ? router : undefined;
+    }
+};
+
+var neighbors = [
+    { parent: '0x00124b0001ce4beb', ieeeAddr: '0x00137a00000161f2', nwkAddr: 0x1234, lqi: 200, deviceType: 1, relationship: 2, depth: 1 },
+    { parent: '0x00137a00000161f2', ieeeAddr: '0x00124b0001ce4beb', nwkAddr: 0, lqi: 180, deviceType: 0, relationship: 2, depth: 0 },
+    { parent: '0x00137a00000161f2', ieeeAddr: '0x0017880100000001', nwkAddr: 0x5678, lqi: 90, deviceType: 2, relationship: 1, depth: 2 }
+];
+
+var routes = {
+    '0x00124b0001ce4beb': [ { destNwkAddr: 0x5678, routeStatus: 0, nextHopNwkAddr: 0x1234 } ]
+};
+
+describe('Functional Check', function () {
+    var graph = topology.graph(shepherd, neighbors, routes);
+
+    it('should collect every device as a node', function () {
+        expect(graph.nodes).to.have.lengthOf(3);
+        expect(graph.nodes[0]).to.include({ ieeeAddr: '0x00124b0001ce4beb', type: 'Coordinator', depth: 0 });
+        expect(graph.nodes[1]).to.include({ ieeeAddr: '0x00137a00000161f2', type: 'Router', status: 'online', modelId: 'plug', depth: 1 });
+        expect(graph.nodes[2]).to.include({ ieeeAddr: '0x0017880100000001', nwkAddr: 0x5678, type: 'EndDevice', status: 'offline' });
+    });
+
+    it('should keep the link quality and the routes of every link', function () {
+        expect(graph.edges).to.have.lengthOf(3);
+        expect(graph.edges[0]).to.be.deep.equal({
+            source: '0x00124b0001ce4beb',
+            target: '0x00137a00000161f2',
+            lqi: 200,
+            relationship: 'sibling',
+            routes: [ { dest: '0x0017880100000001', status: 'active' } ]
+        });
+        expect(graph.edges[2]).to.include({ source: '0x00137a00000161f2', target: '0x0017880100000001', lqi: 90, relationship: 'child' });
+    });
+
+    it('should export the graph as DOT', function () {
+        var dot = topology.format(graph, 'dot');
+
+        expect(dot).to.match(/^digraph zigbee \{/);
+        expect(dot).to.contain('"0x00137a00000161f2" [label="plug\\n0x00137a00000161f2\\n0x1234", shape=ellipse, style=solid];');
+        expect(dot).to.contain('"0x00124b0001ce4beb" -> "0x00137a00000161f2" [label="200", relationship="sibling", color=blue, routes="0x0017880100000001:active"];');
+    });
+
+    it('should export the graph as GraphML', function () {
+        var graphml = topology.format(graph, 'graphml');
+
+        expect(graphml).to.contain('<graph id="zigbee" edgedefault="directed">');
+        expect(graphml).to.contain('<node id="0x0017880100000001">');
+        expect(graphml).to.contain('<edge source="0x00137a00000161f2" target="0x0017880100000001">\n      <data key="lqi">90</data>');
+    });
+});
@@ -0,0 +1,259 @@
+var Q = require('q'),
+    crypto = require('crypto'),
+    EventEmitter = require('events'),
+    expect = require('chai').expect,
+    Touchlink = require('../lib/components/touchlink');
+
+var Coordinator = require('../lib/model/coord');
+
+var LIGHT = '0x0017880100000042',
+    NWK_KEY = [ 1, 3, 5, 7, 9, 11, 13, 15, 0, 2, 4, 6, 8, 10, 12, 13 ];
+
+var coord = new Coordinator({ type: 0, ieeeAddr: '0x00124b0001709887', nwkAddr: 0, manufId: 0, epList: [], endpoints: [] }),
+    requests = [],
+    sent = [],
+    channel = null,
+    joinStatus = 0;
+
+var shepherd = new EventEmitter(),
+    controller = new EventEmitter();
+
+shepherd._enabled = true;
+shepherd.controller = controller;
+shepherd._findDevByAddr = function () {
+    return undefined;
+};
+
+controller.getCoord = function () {
+    return coord;
+};
+controller.getNetInfo = function () {
+    return { state: 'Coordinator', channel: 20, panId: '0x1a62', extPanId: '0xdddddddddddddddd', ieeeAddr: '0x00124b0001709887', nwkAddr: 0 };
+};
+controller.getNwkKeyInfo = function () {
+    return Q({ keySeqNum: 0, key: NWK_KEY });
+};
+controller.registerEp = function (loEp) {
+    requests.push([ 'register', loEp.getEpId(), loEp.getProfId() ]);
+    return Q({ status: 0 });
+};
+controller.request = function (subsys, cmdId, valObj) {
+    requests.push([ cmdId, valObj.cmd, Array.prototype.slice.call(valObj.data) ]);
+
+    if (valObj.cmd === 1)
+        channel = valObj.data[0];
+
+    return Q({ status: 0 });
+};
+
+shepherd.af = {
+    sendExt: function (srcEp, addrMode, dstAddr, cId, frame, opt) {
+        var cmdId = frame.readUInt8(2),
+            transId = frame.readUInt32LE(3);
+
+        sent.push({ addrMode: addrMode, dstAddr: dstAddr, cmdId: cmdId, channel: channel, frame: frame, opt: opt });
+
+        if (cmdId === 0x00 && channel === 15)
+            incoming(0x01, scanRsp(transId));
+        else if (cmdId === 0x12)
+            incoming(0x13, Buffer.from([ transId & 0xFF, (transId >> 8) & 0xFF, (transId >> 16) & 0xFF, (transId >>> 24) & 0xFF, joinStatus ]));
+
+        return Q({ status: 0 });
+    }
+};
+
+function incoming(cmdId, payload) {
+    setImmediate(function () {
+        controller.emit('AF:incomingMsgExt', {
+            groupid: 0, clusterid: 0x1000, srcaddrmode: 3, srcaddr: LIGHT, srcendpoint: 0xFE, srcpanid: 0x4321,
+            dstendpoint: 7, wasbroadcast: 0, linkquality: 120, securityuse: 0, timestamp: 0, transseqnumber: 0,
+            data: Buffer.concat([ Buffer.from([ 0x19, 1, cmdId ]), payload ])
+        });
+    });
+}
+
+function scanRsp(transId) {
+    var payload = Buffer.alloc(36);
+
+    payload.writeUInt32LE(transId, 0);
+    payload.writeUInt8(0, 4);           // rssi correction
+    payload.writeUInt8(0x05, 5);        // router, receiver on when idle
+    payload.writeUInt8(0x01, 6);        // factory new
+    payload.writeUInt16LE(0x8000, 7);   // certification key
+    payload.writeUInt32LE(0x11223344, 9);
+    Buffer.from('0807060504030201', 'hex').copy(payload, 13);
+    payload.writeUInt8(0, 21);
+    payload.writeUInt8(15, 22);
+    payload.writeUInt16LE(0x4321, 23);
+    payload.writeUInt16LE(0x0001, 25);
+    payload.writeUInt8(1, 27);
+    payload.writeUInt8(0, 28);
+    payload.writeUInt8(11, 29);
+    payload.writeUInt16LE(0xC05E, 30);
+    payload.writeUInt16LE(0x0100, 32);
+
+    return payload;
+}
+
+function aesDecrypt(key, data) {
+    var decipher = crypto.createDecipheriv('aes-128-ecb', key, null);
+
+    decipher.setAutoPadding(false);
+
+    return Buffer.concat([ decipher.update(data), decipher.final() ]);
+}
+
+describe('Signature Check', function () {
+    var touchlink = new Touchlink(shepherd);
+
+    it('should throw if an option is unknown or of a wrong type', function () {
+        expect(function () { return new Touchlink(shepherd, { duration: 10 }); }).to.throw(TypeError);
+        expect(function () { return new Touchlink(shepherd, { channels: [ 10 ] }); }).to.throw(TypeError);
+        expect(function () { return new Touchlink(shepherd, { masterKey: 'key' }); }).to.throw(TypeError);
+    });
+
+    it('should throw if ieeeAddr is given but not a string', function () {
+        expect(function () { touchlink.identify(1); }).to.throw(TypeError);
+        expect(function () { touchlink.resetToFactoryNew({}); }).to.throw(TypeError);
+        expect(function () { touchlink.join([]); }).to.throw(TypeError);
+    });
+
+    it('should throw if duration is not a number', function () {
+        expect(function () { touchlink.identify(LIGHT, '10'); }).to.throw(TypeError);
+    });
+});
+
+describe('Functional Check', function () {
+    this.timeout(5000);
+
+    var touchlink = new Touchlink(shepherd, { channels: [ 11, 15 ] });
+
+    beforeEach(function () {
+        requests = [];
+        sent = [];
+        touchlink._scan = null;
+    });
+
+    it('should scan the channels and find the light', function (done) {
+        touchlink.scan().then(function (targets) {
+            var scanReqs = sent.filter(function (s) { return s.cmdId === 0x00; });
+
+            expect(requests[0]).to.be.deep.equal([ 'register', 7, 0xC05E ]);
+            expect(requests[1]).to.be.deep.equal([ 'interPanCtl', 2, [ 7 ] ]);
+            expect(requests[requests.length - 1]).to.be.deep.equal([ 'interPanCtl', 0, [] ]);
+
+            expect(scanReqs.length).to.be.equal(6);
+            expect(scanReqs[0].addrMode).to.be.equal(2);
+            expect(scanReqs[0].dstAddr).to.be.equal(0xFFFF);
+            expect(scanReqs[0].opt.dstPanId).to.be.equal(0xFFFF);
+            expect(scanReqs[5].channel).to.be.equal(15);
+
+            expect(targets.length).to.be.equal(1);
+            expect(targets[0]).to.include({
+                ieeeAddr: LIGHT, channel: 15, panId: 0x4321, extPanId: '0x0102030405060708', deviceType: 'Router',
+                factoryNew: true, responseId: 0x11223344, epId: 11, profId: 0xC05E, devId: 0x0100, lqi: 120
+            });
+            done();
+        }).fail(done).done();
+    });
+
+    it('should identify the nearest light on its channel', function (done) {
+        touchlink.identify(null, 5).then(function (ieeeAddr) {
+            var req = sent[sent.length - 1];
+
+            expect(ieeeAddr).to.be.equal(LIGHT);
+            expect(req.cmdId).to.be.equal(0x06);
+            expect(req.addrMode).to.be.equal(3);
+            expect(req.dstAddr).to.be.equal(LIGHT);
+            expect(req.channel).to.be.equal(15);
+            expect(req.frame.readUInt32LE(3)).to.be.equal(touchlink._scan.transId);
+            expect(req.frame.readUInt16LE(7)).to.be.equal(5);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reset the light to factory new without scanning again', function (done) {
+        touchlink.scan().then(function () {
+            sent = [];
+            return touchlink.resetToFactoryNew(LIGHT);
+        }).then(function () {
+            expect(sent.length).to.be.equal(1);
+            expect(sent[0].cmdId).to.be.equal(0x07);
+            expect(sent[0].frame.length).to.be.equal(7);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject if the light is not found', function (done) {
+        touchlink.identify('0x0017880100000099').fail(function (err) {
+            expect(err.message).to.be.equal('Touchlink device 0x0017880100000099 is not found.');
+            expect(touchlink._busy).to.be.equal(false);
+            done();
+        }).done();
+    });
+
+    it('should hand the network parameters and the encrypted key to the light', function (done) {
+        touchlink.join(LIGHT).then(function (result) {
+            var req = sent[sent.length - 1],
+                payload = req.frame.slice(3),
+                transId = payload.readUInt32LE(0),
+                expanded = Buffer.alloc(16),
+                transportKey;
+
+            expanded.writeUInt32BE(transId, 0);
+            expanded.writeUInt32BE(transId, 4);
+            expanded.writeUInt32BE(0x11223344, 8);
+            expanded.writeUInt32BE(0x11223344, 12);
+            transportKey = crypto.createCipheriv('aes-128-ecb', Buffer.from('c0c1c2c3c4c5c6c7c8c9cacbcccdcecf', 'hex'), null).update(expanded);
+
+            expect(req.cmdId).to.be.equal(0x12);
+            expect(payload.length).to.be.equal(47);
+            expect(payload.slice(4, 12).toString('hex')).to.be.equal('dddddddddddddddd');
+            expect(payload.readUInt8(12)).to.be.equal(15);
+            expect(Array.prototype.slice.call(aesDecrypt(transportKey, payload.slice(13, 29)))).to.be.deep.equal(NWK_KEY);
+            expect(payload.readUInt8(30)).to.be.equal(20);
+            expect(payload.readUInt16LE(31)).to.be.equal(0x1a62);
+            expect(payload.readUInt16LE(33)).to.be.equal(result.nwkAddr);
+            expect(result.ieeeAddr).to.be.equal(LIGHT);
+            done();
+        }).fail(done).done();
+    });
+
+    it('should reject if the light refuses to join', function (done) {
+        joinStatus = 1;
+
+        touchlink.join(LIGHT).fail(function (err) {
+            joinStatus = 0;
+            expect(err.message).to.be.equal('Device ' + LIGHT + ' refused to join, status: 1.');
+            done();
+        }).done();
+    });
+
+    it('should ignore malformed frames', function () {
+        function frame(data) {
+            controller.emit('AF:incomingMsgExt', {
+                groupid: 0, clusterid: 0x1000, srcaddrmode: 3, srcaddr: LIGHT, srcendpoint: 0xFE, srcpanid: 0x4321,
+                dstendpoint: 7, wasbroadcast: 0, linkquality: 120, securityuse: 0, timestamp: 0, transseqnumber: 0,
+                data: data
+            });
+        }
+
+        expect(function () {
+            frame(Buffer.alloc(0));
+            frame(Buffer.from([ 0x19 ]));
+            frame(Buffer.from([ 0x1D, 0x5E, 0xC0 ]));
+            frame(Buffer.from([ 0x19, 1, 0x01, 0x44, 0x33 ]));
+        }).to.not.throw();
+    });
+
+    it('should reject while another operation is in progress', function (done) {
+        var scanning = touchlink.scan();
+
+        touchlink.scan().fail(function (err) {
+            expect(err.message).to.be.equal('Touchlink is in progress.');
+            return scanning;
+        }).then(function () {
+            done();
+        }).fail(done).done();
+    });
+});